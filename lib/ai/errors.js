@@ -0,0 +1,36 @@
+// lib/ai/errors.js
+// Classified AI provider failures. `code` is what API clients switch on.
+
+const AI_ERROR_CODES = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED', // no provider set up for the task
+  TIMEOUT:        'TIMEOUT',        // provider went quiet for longer than its timeout
+  AUTH:           'AUTH',           // key missing or rejected
+  RATE_LIMITED:   'RATE_LIMITED',   // 429 / model loading
+  UPSTREAM:       'UPSTREAM',       // network / service error
+  BAD_RESPONSE:   'BAD_RESPONSE',   // answered, but not in a shape we understand
+  ABORTED:        'ABORTED',        // caller cancelled
+};
+
+const HTTP_STATUS = {
+  NOT_CONFIGURED: 503,
+  TIMEOUT:        504,
+  AUTH:           502,
+  RATE_LIMITED:   503,
+  UPSTREAM:       502,
+  BAD_RESPONSE:   502,
+  ABORTED:        499,
+};
+
+class AIError extends Error {
+  constructor(code, message, { cause, provider, retryable = false } = {}) {
+    super(message);
+    this.name      = 'AIError';
+    this.code      = code;
+    this.provider  = provider || null;
+    this.retryable = retryable;
+    this.status    = HTTP_STATUS[code] || 502;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { AIError, AI_ERROR_CODES };
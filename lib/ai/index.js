@@ -0,0 +1,128 @@
+// lib/ai/index.js
+// AI provider registry. Every provider exposes:
+//   generate({ messages | prompt, schema, maxTokens, temperature, topP, signal, onToken })
+//     → { text, finishReason, usage }
+// and serves one or more tasks: 'chat' (AstroSage conversation), 'vision'
+// (image description) and 'moderation' (community content screening).
+// generate(task, …) walks the task's provider chain and falls back to the
+// next provider on failure, as long as nothing has been streamed to the
+// caller yet. `schema` only hints that the reply should be JSON; callers
+// still validate what comes back.
+//
+// Configuration (env):
+//   AI_PROVIDER=mock          use the deterministic mock for every task
+//   AI_PROVIDERS=[…]          JSON list of provider definitions, replacing the defaults:
+//                             { name, type: 'openai'|'mock', baseUrl, apiKey, model,
+//                               api: 'chat'|'completions', template, tasks, timeoutMs, jsonMode }
+//   AI_LOCAL_BASE_URL, AI_LOCAL_MODEL, AI_LOCAL_API_KEY, AI_LOCAL_TASKS
+//                             add a local OpenAI-compatible server (llama.cpp, vLLM…)
+//   AI_CHAT_PROVIDERS, AI_VISION_PROVIDERS, AI_MODERATION_PROVIDERS
+//                             comma-separated fallback order per task
+//   AI_TIMEOUT_MS             per-call idle timeout (default 60s)
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider }   = require('./mock');
+const { AIError, AI_ERROR_CODES } = require('./errors');
+
+const TASKS      = ['chat', 'vision', 'moderation'];
+const TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS) || 60 * 1000;
+
+const factories = {
+  openai: createOpenAIProvider,
+  mock:   createMockProvider,
+};
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+function defaultDefinitions(env) {
+  const hfKey = env.HF_API_KEY || env.HF_TOKEN;
+  const defs  = [];
+  if (hfKey) {
+    defs.push({
+      name: 'astrosage', type: 'openai', tasks: ['chat'],
+      baseUrl: 'https://router.huggingface.co/featherless-ai/v1', apiKey: hfKey,
+      model: env.AI_CHAT_MODEL || 'AstroMLab/AstroSage-8B', api: 'completions', template: 'llama3',
+    });
+    defs.push({
+      name: 'hf-vision', type: 'openai', tasks: ['vision'],
+      baseUrl: 'https://router.huggingface.co/v1', apiKey: hfKey,
+      model: env.AI_VISION_MODEL || 'moonshotai/Kimi-K2.5:novita', api: 'chat',
+    });
+  }
+  if (env.AI_LOCAL_BASE_URL) {
+    defs.push({
+      name: 'local', type: 'openai',
+      tasks: (env.AI_LOCAL_TASKS || 'chat').split(',').map(s => s.trim()),
+      baseUrl: env.AI_LOCAL_BASE_URL, apiKey: env.AI_LOCAL_API_KEY, model: env.AI_LOCAL_MODEL || 'local', api: 'chat',
+    });
+  }
+  return defs;
+}
+
+function loadDefinitions(env = process.env) {
+  if (env.AI_PROVIDER === 'mock') return [{ name: 'mock', type: 'mock', tasks: TASKS }];
+  if (!env.AI_PROVIDERS) return defaultDefinitions(env);
+  try {
+    return JSON.parse(env.AI_PROVIDERS);
+  } catch (err) {
+    console.warn('⚠️  AI_PROVIDERS is not valid JSON, using defaults');
+    return defaultDefinitions(env);
+  }
+}
+
+function buildRegistry(env = process.env) {
+  const providers = loadDefinitions(env).map(def => {
+    const type = def.type || 'openai';
+    if (!factories[type]) throw new Error(`Unknown AI provider type "${type}"`);
+    return factories[type]({ tasks: ['chat'], timeoutMs: TIMEOUT_MS, ...def });
+  });
+
+  const chains = {};
+  for (const task of TASKS) {
+    const order = env[`AI_${task.toUpperCase()}_PROVIDERS`];
+    chains[task] = order
+      ? order.split(',').map(n => providers.find(p => p.name === n.trim())).filter(Boolean)
+      : providers.filter(p => p.tasks.includes(task));
+  }
+  return { providers, chains };
+}
+
+let registry = null;
+const getRegistry = () => (registry ??= buildRegistry());
+
+// ── Generation ────────────────────────────────────────────────────────────────
+// Returns { text, finishReason, usage, provider, model, attempts }.
+async function generate(task, options = {}) {
+  const chain = getRegistry().chains[task] || [];
+  if (chain.length === 0) throw new AIError(AI_ERROR_CODES.NOT_CONFIGURED, `No AI provider configured for ${task}`);
+
+  const attempts = [];
+  let streamed   = false;
+  const onToken  = options.onToken && (t => { streamed = true; options.onToken(t); });
+
+  for (const provider of chain) {
+    try {
+      const result = await provider.generate({ ...options, onToken });
+      return { ...result, provider: provider.name, model: provider.model, attempts };
+    } catch (err) {
+      const code = err.code || AI_ERROR_CODES.UPSTREAM;
+      attempts.push({ provider: provider.name, code, error: err.message });
+      // a half-streamed answer can't be restarted elsewhere, and aborts are final
+      if (streamed || code === AI_ERROR_CODES.ABORTED || options.signal?.aborted) throw err;
+      console.warn(`AI provider ${provider.name} failed for ${task} (${code}): ${err.message}`);
+    }
+  }
+  const last = attempts[attempts.length - 1];
+  const err  = new AIError(last.code, `All ${task} providers failed: ${attempts.map(a => `${a.provider} (${a.code})`).join(', ')}`);
+  err.attempts = attempts;
+  throw err;
+}
+
+const isConfigured = task => (getRegistry().chains[task] || []).length > 0;
+
+// For the status endpoint: provider names per task, in fallback order.
+function describeProviders() {
+  const { chains } = getRegistry();
+  return Object.fromEntries(TASKS.map(task => [task, chains[task].map(p => `${p.name}:${p.model}`)]));
+}
+
+module.exports = { generate, isConfigured, describeProviders, buildRegistry, AIError, AI_ERROR_CODES };
@@ -0,0 +1,78 @@
+// lib/ai/mock.js
+// Deterministic offline provider: the same input always gives the same reply,
+// streamed word by word. Use AI_PROVIDER=mock to run the AI routes without
+// network access. With a `schema` it answers with a matching JSON object.
+// `fail: '<AI_ERROR_CODE>'` in its definition makes it throw that error
+// instead, for exercising fallback chains.
+
+const crypto = require('crypto');
+const { AIError, AI_ERROR_CODES: E } = require('./errors');
+
+const OBJECTS = ['spiral galaxy', 'globular cluster', 'emission nebula', 'open cluster', 'planetary nebula', 'star field'];
+
+const digest = value => crypto.createHash('sha256').update(JSON.stringify(value)).digest();
+
+function lastUserText(messages = []) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  if (!last) return '';
+  return Array.isArray(last.content)
+    ? last.content.filter(p => p.type === 'text').map(p => p.text).join(' ')
+    : String(last.content);
+}
+
+const hasImage = (messages = []) => messages.some(m => Array.isArray(m.content) && m.content.some(p => p.type === 'image_url'));
+
+// Deterministic value satisfying a lib/ai/schema.js schema.
+function sampleFor(schema, hash, key = '') {
+  const pick = list => list[hash[key.length % hash.length] % list.length];
+  if (schema.enum) return pick(schema.enum);
+  const type = [].concat(schema.type || 'string').find(t => t !== 'null');
+  switch (type) {
+    case 'object':  return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, s]) => [k, sampleFor(s, hash, k)]));
+    case 'array':   return Array.from({ length: Math.min(schema.maxItems ?? 3, 3) }, (_, i) => sampleFor(schema.items || {}, hash, `${key}${i}`));
+    case 'number':  return +((schema.minimum ?? 0) + (hash[key.length] / 255) * ((schema.maximum ?? 1) - (schema.minimum ?? 0))).toFixed(2);
+    case 'integer': return (schema.minimum ?? 0) + (hash[key.length] % 10);
+    case 'boolean': return hash[key.length] % 2 === 0;
+    default:        return `mock ${key || 'text'} ${hash.readUInt16BE(key.length % 30)}`.slice(0, schema.maxLength || 80);
+  }
+}
+
+function replyFor({ messages, prompt, schema }) {
+  const hash = digest(messages || prompt);
+  if (schema) return JSON.stringify(sampleFor(schema, hash));
+  if (hasImage(messages)) {
+    return `Mock description: a ${OBJECTS[hash[0] % OBJECTS.length]} with ${2 + (hash[1] % 8)} bright stars in the field.`;
+  }
+  const question = (prompt ?? lastUserText(messages)).trim().replace(/\s+/g, ' ').slice(0, 80);
+  return `Mock reply #${hash.readUInt16BE(0)} to "${question}".`;
+}
+
+function createMockProvider(def = {}) {
+  return {
+    name:  def.name || 'mock',
+    model: def.model || 'mock',
+    tasks: def.tasks || ['chat', 'vision'],
+    async generate({ messages, prompt, schema, maxTokens = 300, signal, onToken }) {
+      if (def.fail) throw new AIError(E[def.fail] || E.UPSTREAM, `${def.name || 'mock'} configured to fail`, { provider: def.name, retryable: true });
+
+      const reply = replyFor({ messages, prompt, schema });
+      const words = schema ? [reply] : reply.split(/(?<= )/).slice(0, maxTokens);
+      let text = '';
+      for (const word of words) {
+        if (signal?.aborted) throw new AIError(E.ABORTED, 'Generation aborted', { provider: def.name || 'mock' });
+        text += word;
+        if (onToken) {
+          onToken(word);
+          await new Promise(resolve => setTimeout(resolve, Number(def.delayMs) || 0));
+        }
+      }
+      return {
+        text,
+        finishReason: words.length < maxTokens ? 'stop' : 'length',
+        usage:        { prompt_tokens: 0, completion_tokens: words.length, total_tokens: words.length },
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
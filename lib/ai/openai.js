@@ -0,0 +1,137 @@
+// lib/ai/openai.js
+// Provider for any OpenAI-compatible server: the Hugging Face router, vLLM,
+// llama.cpp's server, Ollama, OpenAI itself. `api: 'chat'` posts messages to
+// /chat/completions; `api: 'completions'` renders them with a prompt template
+// and posts to /completions (for base models served without a chat template).
+
+const { AIError, AI_ERROR_CODES: E } = require('./errors');
+
+// ── Prompt templates ──────────────────────────────────────────────────────────
+const textOf = content => (Array.isArray(content)
+  ? content.filter(p => p.type === 'text').map(p => p.text).join('\n')
+  : String(content));
+
+const TEMPLATES = {
+  // Llama 3 / 3.1 chat markup (AstroSage-8B is a Llama 3.1 fine-tune)
+  llama3: {
+    render: messages => '<|begin_of_text|>'
+      + messages.map(m => `<|start_header_id|>${m.role}<|end_header_id|>\n\n${textOf(m.content)}<|eot_id|>`).join('')
+      + '<|start_header_id|>assistant<|end_header_id|>\n\n',
+    stop: ['<|eot_id|>'],
+  },
+  // ChatML (Qwen, many llama.cpp GGUFs)
+  chatml: {
+    render: messages => messages.map(m => `<|im_start|>${m.role}\n${textOf(m.content)}<|im_end|>\n`).join('')
+      + '<|im_start|>assistant\n',
+    stop: ['<|im_end|>'],
+  },
+};
+
+// ── Responses ─────────────────────────────────────────────────────────────────
+function classifyHttpError(status, body, provider) {
+  const detail = `${provider} answered ${status}${body ? `: ${String(body).slice(0, 200)}` : ''}`;
+  if (status === 401 || status === 403) return new AIError(E.AUTH, detail, { provider });
+  if (status === 429 || status === 503) return new AIError(E.RATE_LIMITED, detail, { provider, retryable: true });
+  return new AIError(E.UPSTREAM, detail, { provider, retryable: status >= 500 });
+}
+
+const chunkText = (api, choice) => (api === 'chat' ? choice?.delta?.content ?? choice?.message?.content : choice?.text);
+
+// Reads an SSE completion stream, calling onToken per text chunk and
+// touch() on every network chunk (for the idle timeout).
+async function readStream(response, api, { onToken, touch }) {
+  let buffered = '';
+  let text     = '';
+  let finishReason = null;
+  let usage        = null;
+  for await (const chunk of response.body) {
+    touch();
+    buffered += Buffer.from(chunk).toString('utf8');
+    const lines = buffered.split('\n');
+    buffered    = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return { text, finishReason, usage };
+      const parsed = JSON.parse(data);
+      const choice = parsed.choices?.[0];
+      const piece  = chunkText(api, choice);
+      if (piece) { text += piece; onToken(piece); }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (parsed.usage) usage = parsed.usage;
+    }
+  }
+  return { text, finishReason, usage };
+}
+
+// ── Provider ──────────────────────────────────────────────────────────────────
+// def: { name, baseUrl, apiKey, model, api, template, tasks, timeoutMs, headers, jsonMode }
+// jsonMode: the server honours response_format json_object (vLLM, llama.cpp, OpenAI).
+function createOpenAIProvider(def) {
+  const api      = def.api === 'completions' ? 'completions' : 'chat';
+  const template = TEMPLATES[def.template || 'llama3'];
+  const baseUrl  = String(def.baseUrl).replace(/\/+$/, '');
+  if (api === 'completions' && !template) throw new Error(`Unknown prompt template "${def.template}"`);
+
+  return {
+    name:   def.name,
+    model:  def.model,
+    tasks:  def.tasks,
+    // messages: OpenAI-style [{ role, content }] (content may hold image_url parts);
+    // `prompt` sends a ready-made prompt to completions providers as-is.
+    async generate({ messages, prompt, schema, maxTokens = 300, temperature = 0.7, topP = 0.9, signal, onToken, timeoutMs }) {
+      const body = { model: def.model, max_tokens: maxTokens, temperature, top_p: topP, stream: Boolean(onToken) };
+      if (schema && def.jsonMode) body.response_format = { type: 'json_object' };
+      if (api === 'chat') {
+        body.messages = messages || [{ role: 'user', content: prompt }];
+      } else {
+        body.prompt = prompt ?? template.render(messages);
+        body.stop   = template.stop;
+      }
+
+      // Idle timeout: reset whenever bytes arrive, so long streamed answers survive.
+      const controller = new AbortController();
+      const idleMs     = timeoutMs || def.timeoutMs;
+      let timedOut = false;
+      let timer;
+      const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => { timedOut = true; controller.abort(); }, idleMs);
+      };
+      const forward = () => controller.abort();
+      signal?.addEventListener('abort', forward);
+      touch();
+
+      try {
+        const response = await fetch(`${baseUrl}/${api === 'chat' ? 'chat/completions' : 'completions'}`, {
+          method:  'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(def.apiKey && { Authorization: `Bearer ${def.apiKey}` }),
+            ...def.headers,
+          },
+          body:   JSON.stringify(body),
+          signal: controller.signal,
+        });
+        if (!response.ok) throw classifyHttpError(response.status, await response.text().catch(() => ''), def.name);
+
+        if (onToken) return await readStream(response, api, { onToken, touch });
+        const data   = await response.json();
+        const choice = data.choices?.[0];
+        const text   = chunkText(api, choice);
+        if (typeof text !== 'string') throw new AIError(E.BAD_RESPONSE, `${def.name} returned no completion text`, { provider: def.name });
+        return { text, finishReason: choice.finish_reason || null, usage: data.usage || null };
+      } catch (err) {
+        if (err instanceof AIError) throw err;
+        if (signal?.aborted) throw new AIError(E.ABORTED, 'Generation aborted', { provider: def.name });
+        if (timedOut)        throw new AIError(E.TIMEOUT, `${def.name} sent nothing for ${idleMs}ms`, { provider: def.name, retryable: true });
+        throw new AIError(E.UPSTREAM, `${def.name}: ${err.message}`, { provider: def.name, cause: err, retryable: true });
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', forward);
+      }
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider, TEMPLATES };
@@ -0,0 +1,84 @@
+// lib/ai/schema.js
+// The small JSON Schema subset we use to check model output: type (string or
+// list, "null" included), enum, required, properties, additionalProperties:
+// false, items, minItems/maxItems, minLength/maxLength, minimum/maximum.
+// Also pulls the JSON object out of chatty model replies.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Returns a list of "path: problem" strings; empty when valid.
+function validate(schema, value, path = '$') {
+  const errors = [];
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validate(schema.items, v, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (schema.properties?.[key]) errors.push(...validate(schema.properties[key], v, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+// First balanced {...} in the text (models like to wrap JSON in prose or
+// ``` fences). Returns { value } or { error }.
+function extractJson(text) {
+  const start = String(text).indexOf('{');
+  if (start < 0) return { error: 'no JSON object in the reply' };
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) {
+      try {
+        return { value: JSON.parse(text.slice(start, i + 1)) };
+      } catch (err) {
+        return { error: `invalid JSON: ${err.message}` };
+      }
+    }
+  }
+  return { error: 'unterminated JSON object' };
+}
+
+module.exports = { validate, extractJson };
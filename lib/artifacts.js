@@ -0,0 +1,179 @@
+// lib/artifacts.js
+// PNG renderings of a comparison — difference map, side-by-side and an
+// annotated overlay — uploaded to Supabase Storage like DAO post images.
+// Every artifact is also kept on the job, so a storage outage still leaves
+// them downloadable from /api/discovery-jobs/:id/files/:name.
+
+const Jimp     = require('jimp');
+const supabase = require('./supabase');
+const { pixelToSky, skyToPixel } = require('./wcs');
+const { LABELS } = require('./classifier');
+
+const BUCKET = process.env.DISCOVERY_BUCKET || 'discovery-artifacts';
+
+const GREY_OUTSIDE = 0x202020ff;
+const LABEL_COLORS = {
+  [LABELS.NEW_POINT_SOURCE]:      [255, 64, 64],
+  [LABELS.BRIGHTENED_SOURCE]:     [255, 160, 0],
+  [LABELS.FADED_SOURCE]:          [80, 160, 255],
+  [LABELS.KNOWN_VARIABLE]:        [255, 230, 80],
+  [LABELS.CATALOGUED_SOURCE]:     [200, 200, 120],
+  [LABELS.LINEAR_STREAK]:         [200, 80, 255],
+  [LABELS.HOT_PIXEL]:             [160, 160, 160],
+  [LABELS.EDGE_ARTIFACT]:         [120, 120, 120],
+  [LABELS.NO_SIGNIFICANT_CHANGE]: [90, 90, 90],
+};
+
+// ── Drawing primitives ────────────────────────────────────────────────────────
+function setPixel(img, x, y, [r, g, b], alpha = 1) {
+  x = Math.round(x); y = Math.round(y);
+  const { width, height, data } = img.bitmap;
+  if (x < 0 || y < 0 || x >= width || y >= height) return;
+  const i = (y * width + x) * 4;
+  data[i]     = data[i]     * (1 - alpha) + r * alpha;
+  data[i + 1] = data[i + 1] * (1 - alpha) + g * alpha;
+  data[i + 2] = data[i + 2] * (1 - alpha) + b * alpha;
+}
+
+function drawCircle(img, cx, cy, radius, color) {
+  const steps = Math.max(24, Math.ceil(radius * 8));
+  for (let k = 0; k < steps; k++) {
+    const a = (k / steps) * 2 * Math.PI;
+    setPixel(img, cx + radius * Math.cos(a), cy + radius * Math.sin(a), color);
+  }
+}
+
+function greyImage(values, mask, n) {
+  const img = new Jimp(n, n, GREY_OUTSIDE);
+  for (let i = 0; i < n * n; i++) {
+    if (mask && !mask[i]) continue;
+    const v = Math.max(0, Math.min(255, values[i]));
+    img.bitmap.data.fill(v, i * 4, i * 4 + 3);
+  }
+  return img;
+}
+
+// ── Renderings ────────────────────────────────────────────────────────────────
+// Diverging map: brighter-than-reference in red, fainter in blue, ±10σ full scale.
+function renderDiffMap(diff, mask, n, sigma) {
+  const img   = new Jimp(n, n, GREY_OUTSIDE);
+  const scale = 10 * (sigma || 1);
+  for (let i = 0; i < n * n; i++) {
+    if (!mask[i]) continue;
+    const t = Math.max(-1, Math.min(1, diff[i] / scale));
+    const r = t > 0 ? 255 : Math.round(255 * (1 + t));
+    const b = t < 0 ? 255 : Math.round(255 * (1 - t));
+    const g = Math.round(255 * (1 - Math.abs(t)));
+    img.bitmap.data[i * 4]     = r;
+    img.bitmap.data[i * 4 + 1] = g;
+    img.bitmap.data[i * 4 + 2] = b;
+  }
+  return img;
+}
+
+function renderSideBySide(frames, n) {
+  const img = new Jimp(2 * n + 4, n, 0x000000ff);
+  img.composite(greyImage(frames.user, frames.mask, n), 0, 0);
+  img.composite(greyImage(frames.ref, null, n), n + 4, 0);
+  return img;
+}
+
+// Grid spacing giving ~4 lines across the field.
+const GRID_STEPS_ARCSEC = [5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
+function gridStep(sizeDeg) {
+  const target = (sizeDeg * 3600) / 4;
+  return (GRID_STEPS_ARCSEC.find(s => s >= target) || GRID_STEPS_ARCSEC.at(-1)) / 3600;
+}
+
+// Sexagesimal label; rounds to whole seconds before splitting so 59.6" never prints as 60".
+function formatAngle(deg, isRa) {
+  const total = Math.round(Math.abs(isRa ? deg / 15 : deg) * 3600);
+  const [d, m, s] = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+  if (isRa) return `${d}h${m}m${s}s`;
+  return `${deg < 0 ? '-' : '+'}${d}°${m}'${s}"`;
+}
+
+async function renderOverlay(frames, candidates, reference) {
+  const n    = reference.pixels;
+  const img  = greyImage(frames.user, frames.mask, n);
+  const font = await Jimp.loadFont(Jimp.FONT_SANS_8_WHITE);
+
+  // RA/Dec grid: walk each constant-RA and constant-Dec line across the cutout.
+  const step    = gridStep(reference.sizeDeg);
+  const corners = [[0, 0], [n, 0], [0, n], [n, n]].map(([x, y]) => pixelToSky(reference.wcs, x, y));
+  const center  = pixelToSky(reference.wcs, n / 2, n / 2);
+  const cosDec  = Math.max(0.05, Math.cos((center.dec * Math.PI) / 180));
+  const decLo   = Math.min(...corners.map(c => c.dec));
+  const decHi   = Math.max(...corners.map(c => c.dec));
+  const raSpan  = Math.min(180, (reference.sizeDeg / cosDec));
+  const raStep  = step / cosDec > 15 ? 15 : gridStep(reference.sizeDeg / cosDec);
+  const grid    = [120, 200, 120];
+
+  for (let dec = Math.ceil(decLo / step) * step; dec <= decHi; dec += step) {
+    for (let ra = center.ra - raSpan; ra <= center.ra + raSpan; ra += raSpan / 400) {
+      const p = skyToPixel(reference.wcs, ra, dec);
+      if (p) setPixel(img, p.x, p.y, grid, 0.6);
+    }
+    const edge = skyToPixel(reference.wcs, center.ra + raSpan / 2, dec);
+    if (edge) img.print(font, 2, Math.round(Math.max(0, Math.min(n - 10, edge.y - 10))), formatAngle(dec, false));
+  }
+  for (let ra = Math.ceil((center.ra - raSpan) / raStep) * raStep; ra <= center.ra + raSpan; ra += raStep) {
+    for (let dec = decLo; dec <= decHi; dec += (decHi - decLo) / 400) {
+      const p = skyToPixel(reference.wcs, ra, dec);
+      if (p) setPixel(img, p.x, p.y, grid, 0.6);
+    }
+    const edge = skyToPixel(reference.wcs, ra, decLo);
+    if (edge && edge.x > 0 && edge.x < n - 40) img.print(font, Math.round(edge.x) + 2, n - 12, formatAngle(((ra % 360) + 360) % 360, true));
+  }
+
+  // Candidate markers, sized by area and coloured by class.
+  for (const c of candidates) {
+    const color  = LABEL_COLORS[c.classification?.label] || [255, 255, 255];
+    const radius = Math.max(6, Math.sqrt(c.area) * 1.5);
+    drawCircle(img, c.pixel.x, c.pixel.y, radius, color);
+    drawCircle(img, c.pixel.x, c.pixel.y, radius + 1, color);
+    img.print(font, Math.round(c.pixel.x + radius + 2), Math.round(c.pixel.y - 5), String(c.id));
+  }
+
+  img.print(font, 4, 2, 'N up, E left');
+  return img;
+}
+
+// ── Publishing ────────────────────────────────────────────────────────────────
+async function uploadPng(path, buffer) {
+  const { error } = await supabase.storage
+    .from(BUCKET)
+    .upload(path, buffer, { contentType: 'image/png', upsert: true });
+  if (error) throw error;
+  const { data: { publicUrl } } = supabase.storage.from(BUCKET).getPublicUrl(path);
+  return publicUrl;
+}
+
+// detection: performChangeDetection output (frames, diff, stats). Returns
+// { diffMap, sideBySide, overlay } URLs plus `storage` ('supabase' | 'job').
+async function publishArtifacts(job, detection, candidates, reference) {
+  const n = reference.pixels;
+  const renders = {
+    diffMap:    renderDiffMap(detection.diff, detection.frames.mask, n, detection.stats.noiseSigma),
+    sideBySide: renderSideBySide(detection.frames, n),
+    overlay:    await renderOverlay(detection.frames, candidates, reference),
+  };
+
+  const urls = {};
+  let storage = 'supabase';
+  for (const [name, img] of Object.entries(renders)) {
+    const buffer   = await img.getBufferAsync(Jimp.MIME_PNG);
+    const filename = `${name}.png`;
+    const local    = job.attachFile(filename, 'image/png', buffer);
+    try {
+      urls[name] = await uploadPng(`${job.id}/${filename}`, buffer);
+    } catch (err) {
+      console.error(`Artifact upload error (${filename}):`, err.message || err);
+      urls[name] = local;
+      storage    = 'job';
+    }
+  }
+  return { ...urls, storage };
+}
+
+module.exports = { publishArtifacts, renderDiffMap, renderSideBySide, renderOverlay, formatAngle };
@@ -0,0 +1,178 @@
+// lib/cache/index.js
+// Content-addressed result cache for expensive upstream calls (plate solves,
+// vision identifications, chat completions). Keys are sha256 hashes of the
+// inputs — image bytes, prompts, parameters — under a namespace with its own
+// TTL. Lookups go through the backend tiers in order (memory first); a hit
+// in a slower tier is copied into the faster ones. Concurrent calls for the
+// same key share one upstream call.
+//
+// Every cached() call reports what happened:
+//   { status: 'hit' | 'miss' | 'shared' | 'bypass', backend, storedAt, expiresAt }
+// 'shared' means the value came from an identical call already in flight.
+//
+// Configuration (env):
+//   CACHE_BACKEND=memory      memory (default) | supabase (memory + cache_entries table) | none
+//   CACHE_MAX_ENTRIES         memory tier size (default 1000)
+//   CACHE_TTL_<NAMESPACE>_MS  override a namespace TTL, e.g. CACHE_TTL_PLATESOLVE_MS
+
+const crypto = require('crypto');
+const { createMemoryBackend }   = require('./memory');
+const { createSupabaseBackend } = require('./supabase');
+
+const HOUR = 60 * 60 * 1000;
+const DAY  = 24 * HOUR;
+
+const NAMESPACES = {
+  platesolve: { ttlMs: 30 * DAY }, // the same bytes always solve to the same field
+  identify:   { ttlMs: 7 * DAY },
+  chat:       { ttlMs: DAY },
+};
+
+const ttlFor = namespace => Number(process.env[`CACHE_TTL_${namespace.toUpperCase()}_MS`])
+  || NAMESPACES[namespace]?.ttlMs || HOUR;
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+// JSON with sorted object keys, so { a, b } and { b, a } hash the same.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// sha256 over the parts; Buffers are hashed as raw bytes.
+function hashKey(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) ? part : stableStringify(part));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+// ── Backends ──────────────────────────────────────────────────────────────────
+function createBackends(env = process.env) {
+  const memory = () => createMemoryBackend({ maxEntries: Number(env.CACHE_MAX_ENTRIES) || 1000 });
+  switch (env.CACHE_BACKEND || 'memory') {
+    case 'none':     return [];
+    case 'memory':   return [memory()];
+    case 'supabase': return [memory(), createSupabaseBackend()];
+    default:
+      console.warn(`⚠️  Unknown CACHE_BACKEND "${env.CACHE_BACKEND}", using memory`);
+      return [memory()];
+  }
+}
+
+const backends = createBackends();
+const inflight = new Map(); // key → { promise, signal }
+const stats    = {};        // namespace → { hit, miss, shared }
+
+const count = (namespace, status) => {
+  stats[namespace] ??= { hit: 0, miss: 0, shared: 0, bypass: 0 };
+  stats[namespace][status]++;
+};
+
+// A broken persistent tier must never fail the request it is caching.
+async function lookup(key) {
+  for (let i = 0; i < backends.length; i++) {
+    let entry = null;
+    try {
+      entry = await backends[i].get(key);
+    } catch (err) {
+      console.warn(`Cache ${backends[i].name} read failed: ${err.message}`);
+    }
+    if (!entry) continue;
+    const ttlMs = entry.expiresAt - entry.storedAt;
+    for (const faster of backends.slice(0, i)) {
+      await faster.set(key, entry.value, { ttlMs, storedAt: entry.storedAt }).catch(() => {});
+    }
+    return { ...entry, backend: backends[i].name };
+  }
+  return null;
+}
+
+async function store(namespace, key, value) {
+  const storedAt = Date.now();
+  const ttlMs    = ttlFor(namespace);
+  await Promise.all(backends.map(b => b.set(key, value, { ttlMs, storedAt, namespace })
+    .catch(err => console.warn(`Cache ${b.name} write failed: ${err.message}`))));
+  return { storedAt, expiresAt: storedAt + ttlMs };
+}
+
+const describeHit = (status, entry = {}) => ({
+  status,
+  backend:   entry.backend || null,
+  storedAt:  entry.storedAt ? new Date(entry.storedAt).toISOString() : null,
+  expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+});
+
+// ── Public API ────────────────────────────────────────────────────────────────
+// Returns { value, cache } where value comes from the cache, from an identical
+// call in flight, or from compute(). Only successful results are stored.
+// signal: the caller's abort signal. When the call being shared was aborted by
+// its own caller, the others start over instead of failing with it.
+async function cached(namespace, hash, compute, { signal, bypass = false } = {}) {
+  if (bypass || backends.length === 0) {
+    count(namespace, 'bypass');
+    return { value: await compute(), cache: describeHit('bypass') };
+  }
+  const key = `${namespace}:${hash}`;
+
+  const running = inflight.get(key);
+  if (running) {
+    try {
+      const value = await running.promise;
+      count(namespace, 'shared');
+      return { value, cache: describeHit('shared') };
+    } catch (err) {
+      if (running.signal?.aborted && !signal?.aborted) return cached(namespace, hash, compute, { signal });
+      throw err;
+    }
+  }
+
+  // the lookup is part of the in-flight promise, so racing callers wait on it too
+  let status = 'miss';
+  let entry  = null;
+  const promise = (async () => {
+    const found = await lookup(key);
+    if (found) {
+      status = 'hit';
+      entry  = found;
+      return found.value;
+    }
+    const value = await compute();
+    entry = await store(namespace, key, value);
+    return value;
+  })();
+  inflight.set(key, { promise, signal });
+  try {
+    const value = await promise;
+    count(namespace, status);
+    return { value, cache: describeHit(status, entry) };
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+async function invalidate(namespace, hash) {
+  const key = `${namespace}:${hash}`;
+  await Promise.all(backends.map(b => b.delete(key).catch(() => {})));
+}
+
+// For the status endpoint.
+function describeCache() {
+  return {
+    backends: backends.map(b => b.name),
+    ttlMs:    Object.fromEntries(Object.keys(NAMESPACES).map(ns => [ns, ttlFor(ns)])),
+    stats,
+  };
+}
+
+// ── Cleanup ───────────────────────────────────────────────────────────────────
+setInterval(() => {
+  backends.forEach(b => b.prune().catch(err => console.warn(`Cache ${b.name} prune failed: ${err.message}`)));
+}, HOUR).unref();
+
+module.exports = { cached, hashKey, invalidate, describeCache, stableStringify };
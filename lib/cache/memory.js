@@ -0,0 +1,35 @@
+// lib/cache/memory.js
+// In-process cache backend: a Map kept in least-recently-used order and
+// capped at maxEntries. Values are stored serialized, so callers can't
+// mutate a cached result and every backend hands back the same shapes.
+
+function createMemoryBackend({ maxEntries = 1000 } = {}) {
+  const entries = new Map(); // key → { json, expiresAt, storedAt }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry); // most recently used goes last
+      return { value: JSON.parse(entry.json), storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+    },
+    async set(key, value, { ttlMs, storedAt = Date.now() }) {
+      entries.delete(key);
+      entries.set(key, { json: JSON.stringify(value), storedAt, expiresAt: storedAt + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async prune() {
+      const now = Date.now();
+      for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key);
+    },
+    get size() { return entries.size; },
+  };
+}
+
+module.exports = { createMemoryBackend };
@@ -0,0 +1,40 @@
+// lib/cache/supabase.js
+// Persistent cache backend in the `cache_entries` table, so solved fields
+// and model answers survive restarts and are shared between instances.
+
+const supabase = require('../supabase');
+
+function createSupabaseBackend({ table = 'cache_entries' } = {}) {
+  return {
+    name: 'supabase',
+    async get(key) {
+      const { data, error } = await supabase.from(table)
+        .select('value, stored_at, expires_at').eq('key', key).maybeSingle();
+      if (error) throw error;
+      if (!data) return null;
+      const expiresAt = new Date(data.expires_at).getTime();
+      if (expiresAt <= Date.now()) return null;
+      return { value: data.value, storedAt: new Date(data.stored_at).getTime(), expiresAt };
+    },
+    async set(key, value, { ttlMs, storedAt = Date.now(), namespace = null }) {
+      const { error } = await supabase.from(table).upsert({
+        key,
+        namespace,
+        value,
+        stored_at:  new Date(storedAt).toISOString(),
+        expires_at: new Date(storedAt + ttlMs).toISOString(),
+      });
+      if (error) throw error;
+    },
+    async delete(key) {
+      const { error } = await supabase.from(table).delete().eq('key', key);
+      if (error) throw error;
+    },
+    async prune() {
+      const { error } = await supabase.from(table).delete().lt('expires_at', new Date().toISOString());
+      if (error) throw error;
+    },
+  };
+}
+
+module.exports = { createSupabaseBackend };
@@ -0,0 +1,224 @@
+// lib/candidates.js
+// Flux-matched image differencing and segmentation of the residual into
+// transient candidates. Works on the reference pixel grid produced by
+// lib/registration.js.
+
+const { pixelToSky } = require('./wcs');
+
+const DEFAULTS = {
+  sigma:         Number(process.env.CANDIDATE_SIGMA)    || 5,  // detection threshold in σ
+  minArea:       Number(process.env.CANDIDATE_MIN_AREA) || 3,  // pixels
+  maxCandidates: 50,
+  edgeMargin:    3,                                           // pixels from footprint edge
+};
+
+// ── Robust statistics ─────────────────────────────────────────────────────────
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = Float32Array.from(values).sort();
+  const mid    = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function robustSigma(values, center = median(values)) {
+  return 1.4826 * median(values.map(v => Math.abs(v - center)));
+}
+
+// ── Flux normalization ────────────────────────────────────────────────────────
+// Matches user ≈ gain·ref + offset over the shared footprint: offset from the
+// two sky backgrounds, gain from the summed flux of sources that are already
+// bright in the reference (grown by a couple of pixels so PSF wings count on
+// both sides). A new source is faint in the reference, so it can't pull the
+// fit towards itself.
+const SATURATED = 250;
+
+function fitFluxScale(user, ref, mask, n) {
+  const u = [];
+  const r = [];
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) { u.push(user[i]); r.push(ref[i]); }
+  }
+  if (u.length < 10) return { gain: 1, offset: 0, refBackground: 0, refSigma: 1 };
+
+  const bgU    = median(u);
+  const bgR    = median(r);
+  const sigmaR = robustSigma(r, bgR) || 1;
+
+  let bright = new Uint8Array(mask.length);
+  for (let i = 0; i < mask.length; i++) bright[i] = mask[i] && ref[i] - bgR > 5 * sigmaR ? 1 : 0;
+  bright = dilateMask(bright, n, 2);
+
+  let sumU = 0;
+  let sumR = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (!bright[i] || !mask[i] || user[i] >= SATURATED || ref[i] >= SATURATED) continue;
+    sumU += user[i] - bgU;
+    sumR += ref[i] - bgR;
+  }
+  let gain = sumR > 50 * sigmaR ? sumU / sumR : (robustSigma(u, bgU) || 1) / sigmaR;
+  if (!(gain > 0)) gain = 1;
+  return { gain, offset: bgU - gain * bgR, refBackground: bgR, refSigma: sigmaR };
+}
+
+// ── Segmentation ──────────────────────────────────────────────────────────────
+function dilateMask(mask, n, radius) {
+  let current = mask;
+  for (let m = 0; m < radius; m++) {
+    const next = Uint8Array.from(current);
+    for (let y = 1; y < n - 1; y++) {
+      for (let x = 1; x < n - 1; x++) {
+        const i = y * n + x;
+        if (current[i - 1] || current[i + 1] || current[i - n] || current[i + n]) next[i] = 1;
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Interior of the footprint: masked pixels at least `margin` px from its edge.
+function erodeMask(mask, n, margin) {
+  let current = mask;
+  for (let m = 0; m < margin; m++) {
+    const next = new Uint8Array(current.length);
+    for (let y = 1; y < n - 1; y++) {
+      for (let x = 1; x < n - 1; x++) {
+        const i = y * n + x;
+        next[i] = current[i] && current[i - 1] && current[i + 1] && current[i - n] && current[i + n] ? 1 : 0;
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+// 8-connected components of pixels where sign·diff > threshold.
+function segment(diff, mask, n, threshold, sign) {
+  const seen  = new Uint8Array(diff.length);
+  const blobs = [];
+  for (let start = 0; start < diff.length; start++) {
+    if (seen[start] || !mask[start] || sign * diff[start] <= threshold) continue;
+    const pixels = [];
+    const stack  = [start];
+    seen[start]  = 1;
+    while (stack.length) {
+      const i = stack.pop();
+      pixels.push(i);
+      const x = i % n;
+      const y = (i - x) / n;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= n || ny >= n) continue;
+          const j = ny * n + nx;
+          if (!seen[j] && mask[j] && sign * diff[j] > threshold) { seen[j] = 1; stack.push(j); }
+        }
+      }
+    }
+    blobs.push({ sign, pixels });
+  }
+  return blobs;
+}
+
+// ── Measurement ───────────────────────────────────────────────────────────────
+// Second moments of |diff| give the blob's elongation (major/minor axis ratio).
+function shapeOf(blob, diff, n, cx, cy) {
+  let w = 0, mxx = 0, myy = 0, mxy = 0;
+  for (const i of blob.pixels) {
+    const x = i % n;
+    const y = (i - x) / n;
+    const v = Math.abs(diff[i]);
+    w += v; mxx += v * (x - cx) ** 2; myy += v * (y - cy) ** 2; mxy += v * (x - cx) * (y - cy);
+  }
+  mxx /= w; myy /= w; mxy /= w;
+  const tr    = mxx + myy;
+  const disc  = Math.sqrt(Math.max(0, ((mxx - myy) / 2) ** 2 + mxy ** 2));
+  const major = tr / 2 + disc + 1 / 12; // + a pixel's own variance
+  const minor = tr / 2 - disc + 1 / 12;
+  return {
+    elongation: +Math.sqrt(major / minor).toFixed(2),
+    angleDeg:   +((Math.atan2(2 * mxy, mxx - myy) / 2) * 180 / Math.PI).toFixed(1),
+  };
+}
+
+function measure(blob, diff, n, sigma, interior, refWcs, ref, fit) {
+  let sum = 0, sx = 0, sy = 0, peak = 0, peakAt = blob.pixels[0];
+  let minX = n, minY = n, maxX = 0, maxY = 0;
+  let touchesEdge = false;
+  for (const i of blob.pixels) {
+    const x = i % n;
+    const y = (i - x) / n;
+    const w = Math.abs(diff[i]);
+    sum += diff[i]; sx += x * w; sy += y * w;
+    if (w > Math.abs(peak)) { peak = diff[i]; peakAt = i; }
+    if (x < minX) minX = x; if (x > maxX) maxX = x;
+    if (y < minY) minY = y; if (y > maxY) maxY = y;
+    if (!interior[i]) touchesEdge = true;
+  }
+  const wsum = Math.abs(sum) || 1;
+  const cx   = sx / wsum;
+  const cy   = sy / wsum;
+  const sky  = pixelToSky(refWcs, cx, cy);
+  return {
+    pixel:          { x: +cx.toFixed(2), y: +cy.toFixed(2) },
+    peakPixel:      { x: peakAt % n, y: Math.floor(peakAt / n) },
+    ra:             +sky.ra.toFixed(6),
+    dec:            +sky.dec.toFixed(6),
+    area:           blob.pixels.length,
+    bbox:           { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+    sign:           blob.sign > 0 ? 'brighter' : 'fainter',
+    peakDelta:      +peak.toFixed(2),
+    integratedDelta: +sum.toFixed(2),
+    snr:            +(Math.abs(sum) / (sigma * Math.sqrt(blob.pixels.length))).toFixed(2),
+    sharpness:      +(Math.abs(peak) / (Math.abs(sum) || 1)).toFixed(3),
+    refLevel:       +((ref[peakAt] - fit.refBackground) / fit.refSigma).toFixed(2),
+    ...shapeOf(blob, diff, n, cx, cy),
+    touchesEdge,
+  };
+}
+
+// user / ref: Float32Array luminance on the n×n reference grid;
+// mask: footprint from registerToReference; refWcs: reference grid WCS.
+function extractCandidates({ user, ref, mask, n, refWcs }, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const fit = fitFluxScale(user, ref, mask, n);
+  const { gain, offset } = fit;
+
+  const diff    = new Float32Array(n * n);
+  const samples = [];
+  for (let i = 0; i < diff.length; i++) {
+    if (!mask[i]) continue;
+    diff[i] = user[i] - (gain * ref[i] + offset);
+    samples.push(diff[i]);
+  }
+  const center = median(samples);
+  for (let i = 0; i < diff.length; i++) if (mask[i]) diff[i] -= center;
+  const sigma = robustSigma(samples, center) || 1;
+
+  const threshold = opts.sigma * sigma;
+  const interior  = erodeMask(mask, n, opts.edgeMargin);
+  const blobs     = [...segment(diff, mask, n, threshold, 1), ...segment(diff, mask, n, threshold, -1)]
+    .filter(b => b.pixels.length >= opts.minArea);
+
+  const candidates = blobs
+    .map(b => measure(b, diff, n, sigma, interior, refWcs, ref, fit))
+    .sort((a, b) => b.snr - a.snr)
+    .slice(0, opts.maxCandidates)
+    .map((c, i) => ({ id: i + 1, ...c }));
+
+  return {
+    candidates,
+    diff,
+    stats: {
+      gain:              +gain.toFixed(4),
+      offset:            +offset.toFixed(2),
+      noiseSigma:        +sigma.toFixed(3),
+      threshold:         +threshold.toFixed(3),
+      significantPixels: blobs.reduce((n, b) => n + b.pixels.length, 0),
+      totalCandidates:   blobs.length,
+    },
+  };
+}
+
+module.exports = { extractCandidates, fitFluxScale, median, robustSigma };
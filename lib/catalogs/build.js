@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Regenerates lib/catalogs/data/*.json from the d3-celestial data files
+// (https://github.com/ofrohn/d3-celestial, BSD-3-Clause, © Olaf Frohn).
+//
+//   npm pack d3-celestial && tar xzf d3-celestial-*.tgz
+//   node lib/catalogs/build.js package/data
+//
+// Rows are stored as arrays (see `columns`) to keep the bundle small.
+
+const fs   = require('fs');
+const path = require('path');
+
+const BRIGHT_STAR_LIMIT = 6.5; // mag, roughly the Yale Bright Star Catalogue
+
+// Well-known variables that carry a Bayer letter, so Hipparcos names don't
+// list a GCVS designation for them.
+const BAYER_VARIABLES = [
+  'ο Cet', 'β Per', 'α Ori', 'δ Cep', 'η Aql', 'χ Cyg', 'β Lyr', 'ε Aur', 'ρ Cas',
+  'μ Cep', 'γ Cas', 'α1 Her', 'α Sco', 'λ Tau', 'ζ Gem', 'P Cyg', 'η Car', 'ι Boo', 'δ Sco',
+];
+
+const SOURCE  = 'd3-celestial (Hipparcos, OpenNGC); BSD-3-Clause';
+const round   = (v, d) => +Number(v).toFixed(d);
+const toRa    = lon => round(lon < 0 ? lon + 360 : lon, 5);
+const magOf   = v => (v === '' || v == null || Number(v) >= 99 ? null : round(v, 2));
+
+function main(dataDir) {
+  const read = name => JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+  const out  = path.join(__dirname, 'data');
+
+  // ── Deep-sky objects ──────────────────────────────────────────────────────
+  const messierBy = {};
+  for (const f of read('messier.json').features) {
+    const m = f.id.replace(/^M/, 'M ');
+    messierBy[f.properties.desig || m] = { m, alt: f.properties.alt || null };
+    messierBy[m] = messierBy[f.properties.desig || m];
+  }
+  const dsoNames = read('dsonames.json');
+  const dsos = read('dsos.14.json').features
+    .filter(f => /^(NGC|IC|M) /.test(f.id))
+    .map(f => {
+      const p       = f.properties;
+      const messier = messierBy[f.id] || (/^M \d+$/.test(p.desig) ? { m: p.desig, alt: null } : null);
+      const [maj, min = maj] = String(p.dim || '').split('x').map(Number);
+      return [
+        f.id,
+        toRa(f.geometry.coordinates[0]),
+        round(f.geometry.coordinates[1], 5),
+        p.type,
+        magOf(p.mag),
+        Number.isFinite(maj) ? round(maj, 2) : null,
+        Number.isFinite(min) ? round(min, 2) : null,
+        messier ? messier.m : null,
+        dsoNames[f.id]?.name || messier?.alt || (messier && dsoNames[messier.m]?.name) || null,
+      ];
+    });
+  write(out, 'dsos.json', ['id', 'ra', 'dec', 'type', 'mag', 'majorArcmin', 'minorArcmin', 'messier', 'name'], dsos);
+
+  // ── Stars ─────────────────────────────────────────────────────────────────
+  const starNames = read('starnames.json');
+  const label = n => (n.bayer || n.flam ? `${n.bayer || n.flam} ${n.c}` : n.var ? `${n.var} ${n.c}` : null);
+  const starRow = (f, n) => [
+    f.id, toRa(f.geometry.coordinates[0]), round(f.geometry.coordinates[1], 5), magOf(f.properties.mag),
+    n ? label(n) : null, n?.name || null,
+  ];
+
+  const allStars = read('stars.14.json').features;
+  const stars = allStars
+    .filter(f => f.properties.mag <= BRIGHT_STAR_LIMIT)
+    .map(f => starRow(f, starNames[f.id]));
+  write(out, 'stars.json', ['hip', 'ra', 'dec', 'mag', 'designation', 'name'], stars);
+
+  // ── Variable stars ────────────────────────────────────────────────────────
+  const bayerVars = new Set(BAYER_VARIABLES);
+  const variables = allStars
+    .filter(f => {
+      const n = starNames[f.id];
+      return n && (n.var || bayerVars.has(`${n.bayer} ${n.c}`));
+    })
+    .map(f => {
+      const n = starNames[f.id];
+      const row = starRow(f, n);
+      if (n.var) row[4] = `${n.var} ${n.c}`;
+      return row;
+    });
+  write(out, 'variables.json', ['hip', 'ra', 'dec', 'mag', 'designation', 'name'], variables);
+}
+
+function write(dir, name, columns, rows) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify({ source: SOURCE, columns, rows }).replace(/\],\[/g, '],\n['));
+  console.log(`${name}: ${rows.length} rows`);
+}
+
+if (!process.argv[2]) {
+  console.error('usage: node lib/catalogs/build.js <d3-celestial data dir>');
+  process.exit(1);
+}
+main(process.argv[2]);
@@ -0,0 +1,248 @@
+// lib/catalogs/index.js
+// Offline cross-match against the catalogs bundled in ./data (Messier/NGC/IC
+// deep-sky objects, bright stars and known variable stars; see build.js for
+// their provenance). Used to name what a calibrated field contains and to
+// keep known variables and catalogued stars from being reported as new.
+
+const path = require('path');
+const { angularSeparation } = require('../wcs');
+
+const TYPE_LABELS = {
+  gg:  'galaxy cluster',
+  g:   'galaxy',
+  s:   'spiral galaxy',
+  s0:  'lenticular galaxy',
+  sd:  'dwarf spheroidal galaxy',
+  i:   'irregular galaxy',
+  e:   'elliptical galaxy',
+  oc:  'open cluster',
+  gc:  'globular cluster',
+  dn:  'dark nebula',
+  bn:  'bright nebula',
+  sfr: 'star-forming region',
+  rn:  'reflection nebula',
+  en:  'emission nebula',
+  pn:  'planetary nebula',
+  snr: 'supernova remnant',
+};
+const GALAXY_TYPES = new Set(['g', 's', 's0', 'sd', 'i', 'e']);
+
+const MATCH_RADIUS_ARCSEC = Number(process.env.CATALOG_MATCH_ARCSEC) || 5;
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+// Parsed on first use and kept for the life of the process.
+let loaded = null;
+
+function readTable(name) {
+  const { columns, rows } = require(path.join(__dirname, 'data', `${name}.json`));
+  return rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i]])));
+}
+
+function catalogs() {
+  if (!loaded) loaded = { dsos: readTable('dsos'), stars: readTable('stars'), variables: readTable('variables') };
+  return loaded;
+}
+
+// ── Entries ───────────────────────────────────────────────────────────────────
+function dsoEntry(d, separation) {
+  return {
+    catalog:      'dso',
+    id:           d.id,
+    messier:      d.messier,
+    name:         d.name,
+    type:         TYPE_LABELS[d.type] || d.type,
+    mag:          d.mag,
+    sizeArcmin:   d.majorArcmin != null ? [d.majorArcmin, d.minorArcmin] : null,
+    ra:           d.ra,
+    dec:          d.dec,
+    separationDeg: +separation.toFixed(4),
+  };
+}
+
+function starEntry(catalog, s, separation) {
+  return {
+    catalog,
+    id:            `HIP ${s.hip}`,
+    designation:   s.designation,
+    name:          s.name,
+    mag:           s.mag,
+    ra:            s.ra,
+    dec:           s.dec,
+    separationDeg: +separation.toFixed(4),
+  };
+}
+
+const displayName = o => (o.catalog !== 'dso' ? o.designation || o.id
+  : o.messier && o.messier !== o.id ? `${o.messier} / ${o.id}` : o.id);
+
+// Search within `radius` of (ra, dec). A cheap dec cut skips the trig for
+// most rows; DSOs count as "in field" if any part of them reaches it.
+function within(rows, ra, dec, radius, extent = () => 0) {
+  const out = [];
+  for (const r of rows) {
+    const reach = radius + extent(r);
+    if (Math.abs(r.dec - dec) > reach) continue;
+    const sep = angularSeparation(ra, dec, r.ra, r.dec);
+    if (sep <= reach) out.push([r, sep]);
+  }
+  return out.sort((a, b) => a[1] - b[1]);
+}
+
+// ── Field contents ────────────────────────────────────────────────────────────
+// The object a description should be about: large, bright, catalogued and
+// near the center beats small or off to the side.
+function scoreMain(o, radius) {
+  const size = o.sizeArcmin ? o.sizeArcmin[0] : 0.5;
+  return Math.log10(Math.max(0.5, size))
+       + (o.messier ? 1.5 : 0)
+       + (o.name ? 0.5 : 0)
+       - (o.mag ?? 14) / 5
+       - (2 * o.separationDeg) / Math.max(radius, size / 120);
+}
+
+// Everything catalogued in a solved field. `radius` in degrees.
+function fieldObjects(ra, dec, radius, { limit = 25 } = {}) {
+  const { dsos, stars, variables } = catalogs();
+  const inField = {
+    dsos:      within(dsos, ra, dec, radius, d => (d.majorArcmin || 0) / 120).map(([d, sep]) => dsoEntry(d, sep)),
+    stars:     within(stars, ra, dec, radius).map(([s, sep]) => starEntry('star', s, sep)),
+    variables: within(variables, ra, dec, radius).map(([s, sep]) => starEntry('variable', s, sep)),
+  };
+
+  const main = inField.dsos.length
+    ? [...inField.dsos].sort((a, b) => scoreMain(b, radius) - scoreMain(a, radius))[0]
+    : [...inField.stars].sort((a, b) => a.mag - b.mag)[0] || null;
+
+  return {
+    center:       { ra, dec, radius },
+    mainObject:   main,
+    description:  describeField(main, inField),
+    dsos:         inField.dsos.slice(0, limit),
+    stars:        inField.stars.sort((a, b) => a.mag - b.mag).slice(0, limit),
+    variables:    inField.variables.slice(0, limit),
+    counts:       { dsos: inField.dsos.length, stars: inField.stars.length, variables: inField.variables.length },
+  };
+}
+
+// One sentence naming the main object, e.g. for /api/identify.
+function describeField(main, inField) {
+  if (!main) return 'No catalogued deep-sky objects or bright stars in this field.';
+  const kind   = main.catalog === 'dso'
+    ? `a ${main.type}${main.mag != null ? ` of magnitude ${main.mag}` : ''}`
+    : `a magnitude ${main.mag} star`;
+  const others = inField.dsos.filter(o => o !== main).slice(0, 3).map(displayName);
+  const named  = main.name ? `, ${main.catalog === 'dso' ? 'the ' : ''}${main.name}` : '';
+  return `${displayName(main)}${named}: ${kind}`
+    + `${others.length ? `; also in the field: ${others.join(', ')}` : ''}.`;
+}
+
+// ── Candidate cross-match ─────────────────────────────────────────────────────
+// Adds `catalogMatch` to every candidate: the nearest known variable or bright
+// star within `radiusArcsec`, and the galaxy it sits in (if any), which makes
+// a new point source a supernova candidate rather than a stray detection.
+function crossMatch(candidates, { radiusArcsec = MATCH_RADIUS_ARCSEC } = {}) {
+  const { dsos, stars, variables } = catalogs();
+  const radius   = radiusArcsec / 3600;
+  const galaxies = dsos.filter(d => GALAXY_TYPES.has(d.type));
+
+  return candidates.map(c => {
+    const [variable] = within(variables, c.ra, c.dec, radius);
+    const [star]     = variable ? [] : within(stars, c.ra, c.dec, radius);
+    const [host]     = within(galaxies, c.ra, c.dec, 0, d => (d.majorArcmin || 0) / 120);
+
+    const source = variable ? starEntry('variable', ...variable) : star ? starEntry('star', ...star) : null;
+    return {
+      ...c,
+      catalogMatch: {
+        source: source && { ...source, separationArcsec: +(source.separationDeg * 3600).toFixed(2) },
+        host:   host ? dsoEntry(...host) : null,
+      },
+    };
+  });
+}
+
+// ── Name lookup ───────────────────────────────────────────────────────────────
+// Objects named in free text: Messier/NGC/IC designations ("M51", "NGC 5194")
+// and proper names ("Whirlpool Galaxy", "North America", "Betelgeuse"). A
+// Messier number needs a capital M that does not follow a letter or an
+// apostrophe, so "I'm 2 hours late" is not M 2.
+// The alias table additionally answers single-token references such as
+// hashtags ("#M51", "#ngc5194", "#WhirlpoolGalaxy"): every designation, name
+// and nickname (./data/aliases.json) compacted to lower-case letters and digits.
+let nameIndex = null;
+
+const compactName = s => String(s || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+function buildNameIndex() {
+  const { dsos, stars, variables } = catalogs();
+  const designations = new Map();
+  const names        = new Map();
+  const aliases      = new Map();
+  const alias = (name, entry) => {
+    const key = compactName(name);
+    if (key && !aliases.has(key)) aliases.set(key, entry);
+  };
+  for (const d of dsos) {
+    designations.set(d.id.toLowerCase(), d);
+    if (d.messier) designations.set(d.messier.toLowerCase(), d);
+    alias(d.messier, dsoEntry(d, 0));
+    alias(d.id, dsoEntry(d, 0));
+  }
+  for (const d of dsos) {
+    if (!d.name) continue;
+    const name = d.name.toLowerCase();
+    names.set(name, names.get(name) || dsoEntry(d, 0));
+    alias(name, names.get(name));
+    // "North America Nebula" is usually just "North America"; one-word short
+    // forms ("orion", "helix") are too common in running text to count there
+    const short = name.replace(/\s+(galaxy|nebula|cluster|star cluster)$/, '');
+    if (short !== name && short.includes(' ') && !names.has(short)) names.set(short, dsoEntry(d, 0));
+    if (short !== name) alias(short, dsoEntry(d, 0));
+  }
+  for (const s of [...stars, ...variables]) {
+    if (s.name && s.name.length >= 4 && !names.has(s.name.toLowerCase())) names.set(s.name.toLowerCase(), starEntry('star', s, 0));
+    if (s.name) alias(s.name, starEntry('star', s, 0));
+  }
+  const { aliases: nicknames } = require(path.join(__dirname, 'data', 'aliases.json'));
+  for (const [nickname, designation] of Object.entries(nicknames)) {
+    const d = designations.get(designation.toLowerCase());
+    if (!d) continue;
+    if (!names.has(nickname.toLowerCase())) names.set(nickname.toLowerCase(), dsoEntry(d, 0));
+    alias(nickname, dsoEntry(d, 0));
+  }
+  return { designations, names, aliases };
+}
+
+// The catalog object a single name or hashtag refers to, or null:
+// "M42", "#m42", "NGC 1976", "OrionNebula" and "orion" are all the Orion Nebula.
+function resolveAlias(name) {
+  nameIndex ??= buildNameIndex();
+  const entry = nameIndex.aliases.get(compactName(name));
+  if (!entry) return null;
+  const { separationDeg, ...o } = entry;
+  return o;
+}
+
+// The one tag an object is filed under, whichever alias was written: its
+// Messier number, else its NGC/IC designation, else its proper name ("m42", "ngc7000", "vega").
+const objectTag = o => compactName(o.messier || (o.catalog === 'dso' ? o.id : o.name || o.id));
+
+function resolveNames(text) {
+  nameIndex ??= buildNameIndex();
+  const found = new Map();
+  for (const [, prefix, number] of String(text).matchAll(/(?<![\p{L}\p{N}_'’])(M|[Nn][Gg][Cc]|[Ii][Cc])\s?-?(\d{1,4})(?![\p{L}\p{N}_])/gu)) {
+    const d = nameIndex.designations.get(`${prefix.toLowerCase()} ${number}`);
+    if (d && !found.has(d.id)) found.set(d.id, dsoEntry(d, 0));
+  }
+  const lower = String(text).toLowerCase();
+  for (const [name, entry] of nameIndex.names) {
+    if (found.has(entry.id) || !lower.includes(name)) continue;
+    // whole words only ("Mira" must not match "admiral" or "Mira_fan")
+    if (new RegExp(`(?<![\\p{L}\\p{N}_])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_])`, 'u').test(lower)) {
+      found.set(entry.id, entry);
+    }
+  }
+  return [...found.values()].map(({ separationDeg, ...o }) => o);
+}
+
+module.exports = { fieldObjects, crossMatch, describeField, resolveNames, resolveAlias, objectTag, displayName, TYPE_LABELS };
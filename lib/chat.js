@@ -0,0 +1,169 @@
+// lib/chat.js
+// Server-side chat sessions: stored history with the AstroSage persona,
+// history trimming to fit the context window, and streamed generation
+// (through the 'chat' providers in lib/ai) that can be aborted mid-answer.
+// A reply can be grounded in retrieved records (lib/retrieval), which are
+// added to the system prompt for that turn only.
+// Sessions live in memory and expire CHAT_SESSION_TTL_MS after last use.
+
+const crypto = require('crypto');
+const ai     = require('./ai');
+const { extractCitations } = require('./retrieval');
+
+const CONTEXT_TOKENS   = Number(process.env.CHAT_CONTEXT_TOKENS) || 8192;
+const SESSION_TTL_MS   = Number(process.env.CHAT_SESSION_TTL_MS) || 2 * 60 * 60 * 1000; // 2 hours
+const MAX_OUTPUT_TOKENS = 1024;
+
+const SYSTEM_PROMPT = 'You are AstroSage, an astronomy assistant for the AstroVision community. '
+  + 'Answer accurately and concisely, explain observing and astrophysics concepts at the level of the question, '
+  + 'and say when something is uncertain or outside current knowledge.';
+
+const sessions = new Map();
+
+class ChatError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'ChatError';
+    this.status = status;
+  }
+}
+
+// ── History ───────────────────────────────────────────────────────────────────
+// ~4 characters per token is close enough for English prose and Llama's tokenizer.
+const estimateTokens = text => Math.ceil(text.length / 4) + 4;
+
+// Newest messages that fit the budget left after the system prompt and the
+// reply; the latest user message is always kept.
+function trimHistory(system, messages, maxTokens) {
+  let budget = CONTEXT_TOKENS - maxTokens - estimateTokens(system) - 16;
+  const kept = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (kept.length > 0 && cost > budget) break;
+    budget -= cost;
+    kept.unshift(messages[i]);
+  }
+  // the model expects the conversation to open with a user turn
+  while (kept.length > 1 && kept[0].role !== 'user') kept.shift();
+  return kept;
+}
+
+// ── Session ───────────────────────────────────────────────────────────────────
+class ChatSession {
+  constructor({ userId = null, system } = {}) {
+    this.id         = crypto.randomUUID();
+    this.userId     = userId;
+    this.system     = system || SYSTEM_PROMPT;
+    this.messages   = [];
+    this.createdAt  = Date.now();
+    this.updatedAt  = this.createdAt;
+    this.controller = null; // set while a reply is being generated
+  }
+
+  get generating() { return this.controller !== null; }
+
+  // Streams the assistant's reply to `content`. The reply is stored even when
+  // aborted, so the history matches what the user saw. grounding:
+  // { context, documents } from retrieveContext(); cited documents are
+  // stored with the reply.
+  async reply(content, { maxTokens = 300, temperature = 0.7, topP = 0.9, grounding = null, onToken = () => {} } = {}) {
+    if (this.generating) throw new ChatError(409, 'A reply is already being generated for this session');
+    maxTokens = Math.min(MAX_OUTPUT_TOKENS, Math.max(1, Number(maxTokens) || 300));
+
+    const userMessage = { role: 'user', content, at: Date.now() };
+    this.messages.push(userMessage);
+    const system  = grounding?.context ? `${this.system}\n\n${grounding.context}` : this.system;
+    const context = trimHistory(system, this.messages, maxTokens);
+
+    this.controller = new AbortController();
+    this.updatedAt  = Date.now();
+    let text    = '';
+    let aborted = false;
+    let outcome = {};
+    try {
+      outcome = await ai.generate('chat', {
+        messages: [{ role: 'system', content: system }, ...context.map(({ role, content: c }) => ({ role, content: c }))],
+        maxTokens,
+        temperature,
+        topP,
+        signal:   this.controller.signal,
+        onToken:  t => { text += t; onToken(t); },
+      });
+    } catch (err) {
+      if (!this.controller.signal.aborted) {
+        if (!text) this.messages.pop(); // nothing was answered; let the user retry
+        throw err;
+      }
+      aborted = true;
+    } finally {
+      this.controller = null;
+      this.updatedAt  = Date.now();
+    }
+
+    const citations = grounding ? extractCitations(text, grounding.documents) : null;
+    const message   = {
+      role:    'assistant',
+      content: text,
+      at:      Date.now(),
+      ...(aborted && { aborted: true }),
+      ...(citations && { citations: citations.filter(c => c.cited).map(({ ref, kind, id }) => ({ ref, kind, id })) }),
+    };
+    this.messages.push(message);
+    return {
+      message,
+      aborted,
+      citations,
+      finishReason:    aborted ? 'aborted' : outcome.finishReason,
+      usage:           outcome.usage || null,
+      provider:        outcome.provider || null,
+      contextMessages: context.length,
+    };
+  }
+
+  abort() {
+    if (!this.generating) return false;
+    this.controller.abort();
+    return true;
+  }
+
+  toJSON() {
+    return {
+      id:         this.id,
+      userId:     this.userId,
+      system:     this.system,
+      messages:   this.messages,
+      generating: this.generating,
+      createdAt:  new Date(this.createdAt).toISOString(),
+      updatedAt:  new Date(this.updatedAt).toISOString(),
+      expiresAt:  new Date(this.updatedAt + SESSION_TTL_MS).toISOString(),
+    };
+  }
+}
+
+function createSession(options) {
+  const session = new ChatSession(options);
+  sessions.set(session.id, session);
+  return session;
+}
+
+function getSession(id) {
+  return sessions.get(id) || null;
+}
+
+function deleteSession(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+  session.abort();
+  sessions.delete(id);
+  return true;
+}
+
+// ── Cleanup ───────────────────────────────────────────────────────────────────
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (!session.generating && session.updatedAt < cutoff) sessions.delete(id);
+  }
+}, 10 * 60 * 1000).unref();
+
+module.exports = { createSession, getSession, deleteSession, trimHistory, ChatError, SYSTEM_PROMPT };
@@ -0,0 +1,211 @@
+// lib/classifier.js
+// Rule-based labelling of difference-image candidates (lib/candidates.js).
+// Every rule scores a candidate 0..1 from its measured features; the best
+// score wins and the rule's reasons are returned alongside it.
+// Thresholds: DEFAULT_THRESHOLDS < CLASSIFIER_THRESHOLDS env (JSON) < per call.
+
+const LABELS = {
+  NEW_POINT_SOURCE:      'NEW_POINT_SOURCE',
+  BRIGHTENED_SOURCE:     'BRIGHTENED_SOURCE',
+  FADED_SOURCE:          'FADED_SOURCE',
+  KNOWN_VARIABLE:        'KNOWN_VARIABLE',        // matches a catalogued variable star
+  CATALOGUED_SOURCE:     'CATALOGUED_SOURCE',     // residual of a catalogued bright star
+  LINEAR_STREAK:         'LINEAR_STREAK',         // satellite / aircraft / meteor
+  HOT_PIXEL:             'HOT_PIXEL',             // hot pixel / cosmic ray
+  EDGE_ARTIFACT:         'EDGE_ARTIFACT',         // footprint edge / registration residual
+  NO_SIGNIFICANT_CHANGE: 'NO_SIGNIFICANT_CHANGE',
+};
+
+const ARTIFACTS = [LABELS.LINEAR_STREAK, LABELS.HOT_PIXEL, LABELS.EDGE_ARTIFACT, LABELS.NO_SIGNIFICANT_CHANGE];
+// Real changes that are already known; they only lead the summary when nothing new was found.
+const EXPLAINED = [LABELS.KNOWN_VARIABLE, LABELS.CATALOGUED_SOURCE];
+
+const DEFAULT_THRESHOLDS = {
+  minSnr:             7,    // below this a candidate is noise
+  hotPixelMaxArea:    4,    // px
+  hotPixelSharpness:  0.4,  // peak / integrated delta
+  streakElongation:   4,    // major / minor axis
+  streakMinLength:    12,   // px (bbox diagonal)
+  pointMaxElongation: 2,
+  refSourceLevel:     5,    // σ above reference sky = "a source already exists here"
+  refEmptyLevel:      3,    // σ above reference sky = "nothing catalogued here"
+  dipoleDistance:     4,    // px between opposite-sign residuals
+};
+
+function loadThresholds() {
+  try {
+    return { ...DEFAULT_THRESHOLDS, ...JSON.parse(process.env.CLASSIFIER_THRESHOLDS || '{}') };
+  } catch (err) {
+    console.warn('⚠️  CLASSIFIER_THRESHOLDS is not valid JSON, using defaults');
+    return { ...DEFAULT_THRESHOLDS };
+  }
+}
+
+const clamp01 = v => Math.max(0, Math.min(1, v));
+const ramp    = (v, from, to) => clamp01((v - from) / (to - from));
+// A real PSF spreads over several pixels; single-pixel spikes are never sources.
+const isSpike = (c, t) => c.area <= t.hotPixelMaxArea && c.sharpness >= t.hotPixelSharpness;
+
+// ── Rules ─────────────────────────────────────────────────────────────────────
+// Each returns { score, reasons } for a candidate `c` with context `ctx`.
+// c.catalogMatch comes from lib/catalogs crossMatch() when it has been run.
+const catalogued = (c, catalog) => c.catalogMatch?.source?.catalog === catalog && c.catalogMatch.source;
+const sourceName = s => `${s.designation || s.id}${s.name ? ` (${s.name})` : ''}`;
+
+const RULES = {
+  [LABELS.EDGE_ARTIFACT]: (c, t, ctx) => {
+    if (c.touchesEdge) return { score: 0.9, reasons: ['touches the edge of the overlapping footprint'] };
+    if (ctx.dipole)    return { score: 0.75, reasons: [`opposite-sign residual ${ctx.dipole.toFixed(1)}px away (registration/PSF mismatch)`] };
+    return { score: 0, reasons: [] };
+  },
+
+  [LABELS.HOT_PIXEL]: (c, t) => {
+    if (!isSpike(c, t)) return { score: 0, reasons: [] };
+    return {
+      score:   0.6 + 0.4 * ramp(c.sharpness, t.hotPixelSharpness, 1),
+      reasons: [`only ${c.area}px in area`, `${Math.round(c.sharpness * 100)}% of the flux in one pixel`],
+    };
+  },
+
+  [LABELS.LINEAR_STREAK]: (c, t) => {
+    const length = Math.hypot(c.bbox.width, c.bbox.height);
+    if (c.elongation < t.streakElongation || length < t.streakMinLength) return { score: 0, reasons: [] };
+    return {
+      score:   0.6 + 0.4 * ramp(c.elongation, t.streakElongation, t.streakElongation * 3),
+      reasons: [`elongation ${c.elongation}`, `${length.toFixed(0)}px long at ${c.angleDeg}°`],
+    };
+  },
+
+  [LABELS.KNOWN_VARIABLE]: (c, t) => {
+    const match = catalogued(c, 'variable');
+    if (!match || isSpike(c, t)) return { score: 0, reasons: [] };
+    return {
+      score:   0.97,
+      reasons: [`${match.separationArcsec}" from known variable ${sourceName(match)}`, `${c.sign} by S/N ${c.snr}`],
+    };
+  },
+
+  [LABELS.CATALOGUED_SOURCE]: (c, t) => {
+    const match = catalogued(c, 'star');
+    if (!match || isSpike(c, t)) return { score: 0, reasons: [] };
+    return {
+      score:   0.93,
+      reasons: [`${match.separationArcsec}" from catalogued star ${sourceName(match)} (mag ${match.mag})`],
+    };
+  },
+
+  [LABELS.NEW_POINT_SOURCE]: (c, t) => {
+    if (c.sign !== 'brighter' || isSpike(c, t) || c.refLevel >= t.refEmptyLevel || c.elongation > t.pointMaxElongation
+        || c.catalogMatch?.source) {
+      return { score: 0, reasons: [] };
+    }
+    const host = c.catalogMatch?.host;
+    return {
+      score:   0.5 + 0.45 * ramp(c.snr, t.minSnr, t.minSnr * 4),
+      reasons: [
+        `brighter by S/N ${c.snr}`, `reference is empty here (${c.refLevel}σ)`, `compact (elongation ${c.elongation})`,
+        ...(host ? [`inside ${host.messier || host.id} (${host.type}): possible supernova`] : []),
+      ],
+    };
+  },
+
+  [LABELS.BRIGHTENED_SOURCE]: (c, t) => {
+    if (c.sign !== 'brighter' || isSpike(c, t) || c.refLevel < t.refSourceLevel) return { score: 0, reasons: [] };
+    return {
+      score:   0.45 + 0.45 * ramp(c.snr, t.minSnr, t.minSnr * 4),
+      reasons: [`existing reference source (${c.refLevel}σ)`, `brighter by S/N ${c.snr}`],
+    };
+  },
+
+  [LABELS.FADED_SOURCE]: (c, t) => {
+    if (c.sign !== 'fainter' || isSpike(c, t)) return { score: 0, reasons: [] };
+    const hasSource = c.refLevel >= t.refSourceLevel;
+    return {
+      score:   hasSource ? 0.45 + 0.45 * ramp(c.snr, t.minSnr, t.minSnr * 4) : 0.3,
+      reasons: [`fainter by S/N ${c.snr}`, hasSource ? `reference source at ${c.refLevel}σ` : 'no clear reference source'],
+    };
+  },
+};
+
+// ── Classification ────────────────────────────────────────────────────────────
+function classifyCandidate(c, thresholds, ctx = {}) {
+  if (c.snr < thresholds.minSnr) {
+    return {
+      label:      LABELS.NO_SIGNIFICANT_CHANGE,
+      confidence: +(0.5 + 0.4 * (1 - c.snr / thresholds.minSnr)).toFixed(2),
+      reasons:    [`S/N ${c.snr} below ${thresholds.minSnr}`],
+    };
+  }
+
+  const scored = Object.entries(RULES)
+    .map(([label, rule]) => ({ label, ...rule(c, thresholds, ctx) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, runnerUp] = scored;
+
+  if (best.score === 0) {
+    return { label: LABELS.NO_SIGNIFICANT_CHANGE, confidence: 0.4, reasons: ['no rule matched the residual'] };
+  }
+  // Close calls lose confidence.
+  const margin = best.score - (runnerUp?.score || 0);
+  return {
+    label:      best.label,
+    confidence: +clamp01(best.score * (0.75 + 0.25 * ramp(margin, 0, 0.3))).toFixed(2),
+    reasons:    best.reasons,
+  };
+}
+
+// Nearest opposite-sign candidate within dipoleDistance (px), or null.
+function dipoleDistance(c, candidates, maxDistance) {
+  let best = null;
+  for (const o of candidates) {
+    if (o === c || o.sign === c.sign) continue;
+    const d = Math.hypot(o.pixel.x - c.pixel.x, o.pixel.y - c.pixel.y);
+    if (d <= maxDistance && (best === null || d < best)) best = d;
+  }
+  return best;
+}
+
+// Labels every candidate and picks the field-level result: the most
+// significant new change, else the most significant known one, or
+// NO_SIGNIFICANT_CHANGE when only artifacts remain.
+function classifyCandidates(candidates, overrides = {}) {
+  const thresholds = loadThresholds();
+  for (const [k, v] of Object.entries(overrides || {})) {
+    if (k in DEFAULT_THRESHOLDS && Number.isFinite(Number(v))) thresholds[k] = Number(v);
+  }
+  const labelled = candidates.map(c => ({
+    ...c,
+    classification: classifyCandidate(c, thresholds, { dipole: dipoleDistance(c, candidates, thresholds.dipoleDistance) }),
+  }));
+
+  const bySignificance = (a, b) => b.classification.confidence * b.snr - a.classification.confidence * a.snr;
+  const fresh = labelled.filter(c => !ARTIFACTS.includes(c.classification.label) && !EXPLAINED.includes(c.classification.label));
+  const known = labelled.filter(c => EXPLAINED.includes(c.classification.label));
+  const real  = [...fresh.sort(bySignificance), ...known.sort(bySignificance)];
+
+  const counts = {};
+  labelled.forEach(c => { counts[c.classification.label] = (counts[c.classification.label] || 0) + 1; });
+
+  let summary;
+  if (real.length > 0) {
+    const top = real[0];
+    summary = {
+      label:       top.classification.label,
+      confidence:  top.classification.confidence,
+      candidateId: top.id,
+      reasons:     top.classification.reasons,
+    };
+  } else {
+    const artifacts = labelled.length;
+    summary = {
+      label:       LABELS.NO_SIGNIFICANT_CHANGE,
+      confidence:  artifacts === 0 ? 0.9 : +(0.85 - Math.min(0.3, artifacts * 0.02)).toFixed(2),
+      candidateId: null,
+      reasons:     artifacts === 0 ? ['no residuals above threshold'] : [`all ${artifacts} residual(s) explained as artifacts`],
+    };
+  }
+
+  return { candidates: labelled, summary: { ...summary, counts }, thresholds };
+}
+
+module.exports = { classifyCandidates, classifyCandidate, LABELS, DEFAULT_THRESHOLDS };
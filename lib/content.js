@@ -0,0 +1,164 @@
+// lib/content.js
+// Editing and deleting DAO posts and comments after they were posted. Only
+// the author or a moderator may change a submission.
+//   edit    the new text goes through moderation like a new submission; the
+//           previous text is kept in content_revisions and edited_at is set
+//   delete  a post goes with its comments, their likes and its dao-images
+//           files (unless another post shares them); a comment with replies
+//           is soft-deleted to "[deleted]" so the thread stays intact, one
+//           without replies is removed
+// Moderators changing someone else's submission are recorded in the
+// moderation audit trail.
+
+const supabase     = require('./supabase');
+const moderation   = require('./moderation');
+const { annotate } = require('./tags');
+const images       = require('./images');
+
+const TABLES       = { post: 'posts', comment: 'comments' };
+const DELETED_TEXT = '[deleted]';
+
+class ContentError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name   = 'ContentError';
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+// Removed submissions are gone as far as their author is concerned.
+async function loadTarget(type, id) {
+  if (!TABLES[type]) throw new ContentError(400, 'type must be post or comment');
+  const { data, error } = await supabase.from(TABLES[type]).select('*')
+    .eq('id', id).neq('moderation_status', moderation.STATUS.REMOVED).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new ContentError(404, `${type === 'post' ? 'Post' : 'Comment'} not found`);
+  return data;
+}
+
+// Returns true when the actor changes someone else's submission as a moderator.
+function authorize(row, actor) {
+  if (!actor) throw new ContentError(400, 'userId required');
+  if (row.user_id && row.user_id === actor) return false;
+  if (moderation.isModerator(actor)) return true;
+  throw new ContentError(403, 'Only the author or a moderator can change this');
+}
+
+// ── Revisions ─────────────────────────────────────────────────────────────────
+async function listRevisions(type, id) {
+  if (!TABLES[type]) throw new ContentError(400, 'type must be post or comment');
+  const { data, error } = await supabase.from('content_revisions').select('*')
+    .eq('target_type', type).eq('target_id', String(id)).order('revision', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+async function addRevision(type, row, action, actor) {
+  const { count, error: countError } = await supabase.from('content_revisions')
+    .select('id', { count: 'exact', head: true }).eq('target_type', type).eq('target_id', String(row.id));
+  if (countError) throw countError;
+
+  const { error } = await supabase.from('content_revisions').insert([{
+    target_type: type,
+    target_id:   String(row.id),
+    revision:    count + 1,
+    action,
+    text:        row.text,
+    actor,
+  }]);
+  // two edits racing for the same revision number
+  if (error && error.code === '23505') throw new ContentError(409, 'Edited concurrently, reload and try again');
+  if (error) throw error;
+}
+
+// ── Edit ──────────────────────────────────────────────────────────────────────
+// Returns { [type]: row, moderation, changed }. A rejected edit throws a
+// ContentError carrying the moderation verdict; a held one hides the
+// submission until a moderator approves it.
+async function editContent(type, id, { actor, text }) {
+  const row = await loadTarget(type, id);
+  const asModerator = authorize(row, actor);
+  if (row.deleted_at) throw new ContentError(409, 'Deleted comments cannot be edited');
+  if (typeof text !== 'string' || (!text.trim() && !row.image)) throw new ContentError(400, 'text required');
+  if (text === row.text) return { [type]: row, moderation: null, changed: false };
+
+  const submission = { kind: type, userId: row.user_id, text, hasImage: Boolean(row.image) };
+  const verdict    = await moderation.moderate(submission);
+  if (verdict.decision === 'reject') {
+    await moderation.logDecision(type, row.id, verdict, submission);
+    throw new ContentError(moderation.rejectionStatus(verdict), 'Edit rejected by moderation', { moderation: verdict });
+  }
+
+  await addRevision(type, row, 'edit', actor);
+  const { data, error } = await supabase.from(TABLES[type]).update({
+    text,
+    edited_at:         new Date().toISOString(),
+    moderation_status: verdict.status,
+    ...annotate(text),
+  }).eq('id', row.id).select().single();
+  if (error) throw error;
+
+  await moderation.logDecision(type, row.id, verdict, submission);
+  if (asModerator) await moderation.audit({ targetType: type, targetId: row.id, action: 'edit', actor, userId: row.user_id, text: row.text });
+  return { [type]: data, moderation: verdict, changed: true };
+}
+
+// ── Delete ────────────────────────────────────────────────────────────────────
+// Returns { deleted: 'soft' | 'hard', [type]: row } (row is the soft-deleted comment, or what was removed).
+async function deleteContent(type, id, { actor }) {
+  const row = await loadTarget(type, id);
+  const asModerator = authorize(row, actor);
+  if (row.deleted_at) return { deleted: 'soft', [type]: row };
+
+  await addRevision(type, row, 'delete', actor);
+  const result = type === 'post' ? await deletePost(row) : await deleteComment(row);
+  if (asModerator) await moderation.audit({ targetType: type, targetId: row.id, action: 'delete', actor, userId: row.user_id, text: row.text });
+  return result;
+}
+
+async function deleteComment(comment) {
+  const { data: replies, error } = await supabase.from('comments').select('id').eq('parent_id', comment.id).limit(1);
+  if (error) throw error;
+  await removeLikes('comment', [comment.id]);
+
+  if (replies.length > 0) {
+    const { data, error: updateError } = await supabase.from('comments')
+      .update({ text: DELETED_TEXT, author: DELETED_TEXT, deleted_at: new Date().toISOString() })
+      .eq('id', comment.id).select().single();
+    if (updateError) throw updateError;
+    return { deleted: 'soft', comment: data };
+  }
+
+  const { error: deleteError } = await supabase.from('comments').delete().eq('id', comment.id);
+  if (deleteError) throw deleteError;
+  return { deleted: 'hard', comment };
+}
+
+async function deletePost(post) {
+  const { data: comments, error } = await supabase.from('comments').select('id').eq('post_id', post.id);
+  if (error) throw error;
+  await removeLikes('comment', comments.map(c => c.id));
+
+  const { error: commentsError } = await supabase.from('comments').delete().eq('post_id', post.id);
+  if (commentsError) throw commentsError;
+  await removeLikes('post', [post.id]);
+  const { error: postError } = await supabase.from('posts').delete().eq('id', post.id);
+  if (postError) throw postError;
+
+  // the post is gone either way; a leftover file only costs storage
+  try {
+    await images.removeDaoImage(post);
+  } catch (err) {
+    console.warn(`Could not remove the image of post ${post.id}: ${err.message}`);
+  }
+  return { deleted: 'hard', post, commentsDeleted: comments.length };
+}
+
+async function removeLikes(type, ids) {
+  if (ids.length === 0) return;
+  const { error } = await supabase.from('likes').delete().eq('target_type', type).in('target_id', ids.map(String));
+  if (error) throw error;
+}
+
+module.exports = { editContent, deleteContent, listRevisions, ContentError, DELETED_TEXT };
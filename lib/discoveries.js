@@ -0,0 +1,148 @@
+// lib/discoveries.js
+// Discovery records in Supabase: saving pipeline results, filtered listing
+// and cone search. The cone search narrows with a dec/ra box in SQL and then
+// applies the exact great-circle distance here.
+
+const supabase = require('./supabase');
+const { angularSeparation, normalizeRa } = require('./wcs');
+
+const MAX_LIMIT        = 200;
+const PRIOR_RADIUS_DEG = 30 / 3600; // "already reported" = within 30″
+
+class DiscoveryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'DiscoveryError';
+    this.status = status;
+  }
+}
+
+// ── Saving ────────────────────────────────────────────────────────────────────
+async function saveDiscovery(result, { userId = null, jobId = null } = {}) {
+  const row = {
+    user_id:        userId,
+    job_id:         jobId,
+    ra:             Number(result.coords.ra),
+    dec:            Number(result.coords.dec),
+    field_radius:   result.fieldRadius ?? null,
+    survey:         result.reference?.survey || null,
+    survey_epoch:   result.reference?.epoch || null,
+    solver:         result.solver,
+    image_hash:     result.imageHash || null,
+    score:          result.rawScore,
+    type:           result.type,
+    confidence:     result.confidence,
+    classification: result.classification,
+    candidates:     result.candidates,
+    images:         {
+      reference: result.historicalImage,
+      // job-local fallback URLs expire with the job, so only storage URLs are kept
+      ...(result.artifacts?.storage === 'supabase' && {
+        diffMap:    result.artifacts.diffMap,
+        sideBySide: result.artifacts.sideBySide,
+        overlay:    result.artifacts.overlay,
+      }),
+    },
+  };
+
+  const { data, error } = await supabase.from('discoveries').insert([row]).select().single();
+  if (error) throw error;
+  return data;
+}
+
+// ── Cone search ───────────────────────────────────────────────────────────────
+// Applies a RA/Dec box covering the cone to a query builder. A cone that
+// reaches a pole spans all RA; across RA=0 the box is split with an `or`.
+function applyConeBox(query, ra, dec, radius) {
+  const decMin = Math.max(-90, dec - radius);
+  const decMax = Math.min(90, dec + radius);
+  query = query.gte('dec', decMin).lte('dec', decMax);
+  if (decMin <= -90 || decMax >= 90) return query;
+
+  const cosDec = Math.cos((Math.max(Math.abs(decMin), Math.abs(decMax)) * Math.PI) / 180);
+  const raHalf = radius / cosDec;
+  if (raHalf >= 180) return query;
+
+  const lo = normalizeRa(ra - raHalf);
+  const hi = normalizeRa(ra + raHalf);
+  return lo <= hi
+    ? query.gte('ra', lo).lte('ra', hi)
+    : query.or(`ra.gte.${lo},ra.lte.${hi}`);
+}
+
+// ── Listing ───────────────────────────────────────────────────────────────────
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new DiscoveryError(400, `${name} must be a date`);
+  return date.toISOString();
+};
+
+// filters: { userId, type, from, to, ra, dec, radius, limit, offset }
+async function listDiscoveries(filters = {}) {
+  const limit  = Math.min(MAX_LIMIT, Math.max(1, Number(filters.limit) || 50));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+  const cone   = filters.ra != null && filters.dec != null;
+  const from   = filters.from ? parseDate(filters.from, 'from') : null;
+  const to     = filters.to ? parseDate(filters.to, 'to') : null;
+
+  let query = supabase.from('discoveries').select('*').order('created_at', { ascending: false });
+  if (filters.userId) query = query.eq('user_id', filters.userId);
+  if (filters.type)   query = query.eq('type', String(filters.type).toUpperCase());
+  if (from)           query = query.gte('created_at', from);
+  if (to)             query = query.lte('created_at', to);
+
+  if (!cone) {
+    const { data, error } = await query.range(offset, offset + limit - 1);
+    if (error) throw error;
+    return data;
+  }
+
+  const ra     = Number(filters.ra);
+  const dec    = Number(filters.dec);
+  const radius = Number(filters.radius) || PRIOR_RADIUS_DEG;
+  const { data, error } = await applyConeBox(query, ra, dec, radius);
+  if (error) throw error;
+
+  return data
+    .map(d => ({ ...d, separation: angularSeparation(ra, dec, d.ra, d.dec) }))
+    .filter(d => d.separation <= radius)
+    .sort((a, b) => a.separation - b.separation)
+    .slice(offset, offset + limit)
+    .map(({ separation, ...d }) => ({ ...d, separationArcsec: +(separation * 3600).toFixed(2) }));
+}
+
+async function getDiscovery(id) {
+  const { data, error } = await supabase.from('discoveries').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Latest discovery made from exactly these image bytes (sha256 hex).
+async function findDiscoveryByImage(hash) {
+  const { data, error } = await supabase
+    .from('discoveries').select('*').eq('image_hash', hash)
+    .order('created_at', { ascending: false }).limit(1).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Earlier reports by other users at the position of this result's main change
+// (or the field centre when nothing changed).
+async function findPriorReports(result, { userId, excludeId } = {}) {
+  const top = result.candidates.find(c => c.id === result.classification?.candidateId);
+  const ra  = top ? top.ra : Number(result.coords.ra);
+  const dec = top ? top.dec : Number(result.coords.dec);
+  const matches = await listDiscoveries({ ra, dec, radius: PRIOR_RADIUS_DEG, limit: 20 });
+  return matches
+    .filter(d => d.id !== excludeId && (!userId || d.user_id !== userId))
+    .map(d => ({ id: d.id, userId: d.user_id, type: d.type, createdAt: d.created_at, separationArcsec: d.separationArcsec }));
+}
+
+async function listDiscoveryIdsForUser(userId) {
+  const { data, error } = await supabase
+    .from('discoveries').select('id').eq('user_id', userId).order('created_at', { ascending: false });
+  if (error) throw error;
+  return data.map(d => d.id);
+}
+
+module.exports = { saveDiscovery, listDiscoveries, getDiscovery, findDiscoveryByImage, findPriorReports, listDiscoveryIdsForUser, DiscoveryError };
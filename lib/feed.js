@@ -0,0 +1,113 @@
+// lib/feed.js
+// The DAO feed: published posts a page at a time, in one of three orders,
+// with keyset cursors so pages stay stable while new posts arrive.
+//   new  newest first
+//   top  most liked within a time window (day, week, month, year, all)
+//   hot  posts.hot_score, a time-decayed like score kept up to date by a
+//        database trigger: log10(max(likes, 1)) + created_at(epoch s) / 45000,
+//        so ten times the likes is worth 12.5 hours of recency
+// A cursor is opaque to clients: base64url JSON of the sort keys of the last
+// post on the page.
+
+const supabase         = require('./supabase');
+const { normalizeTag } = require('./tags');
+const { likedByUser }  = require('./likes');
+
+const SORTS        = ['new', 'top', 'hot'];
+const WINDOWS      = { day: 1, week: 7, month: 30, year: 365, all: null }; // days
+const DEFAULT_SIZE = 20;
+const MAX_SIZE     = 50;
+
+class FeedError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'FeedError';
+    this.status = status;
+  }
+}
+
+// Sort keys, most significant first; `id` breaks ties so every post has a unique position.
+const KEYS = {
+  new: ['created_at', 'id'],
+  top: ['likes', 'created_at', 'id'],
+  hot: ['hot_score', 'id'],
+};
+
+// ── Cursors ───────────────────────────────────────────────────────────────────
+const encodeCursor = (sort, row) => Buffer.from(JSON.stringify({ s: sort, k: KEYS[sort].map(k => row[k]) })).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== sort || !Array.isArray(k) || k.length !== KEYS[sort].length) throw new Error('mismatch');
+    return k;
+  } catch {
+    throw new FeedError(400, 'Invalid cursor for this sort order');
+  }
+}
+
+// PostgREST filter for "after this row" in a descending multi-key order:
+// k1 < v1, or k1 = v1 and k2 < v2, …
+function afterFilter(sort, values) {
+  const keys  = KEYS[sort];
+  const value = v => `"${String(v).replace(/"/g, '\\"')}"`;
+  return keys.map((key, i) => {
+    const equal = keys.slice(0, i).map((k, j) => `${k}.eq.${value(values[j])}`);
+    const less  = `${key}.lt.${value(values[i])}`;
+    return equal.length ? `and(${[...equal, less].join(',')})` : less;
+  }).join(',');
+}
+
+// ── Feed ──────────────────────────────────────────────────────────────────────
+// params: { sort, window, cursor, limit, authorId, author, hasImage, tag, discoveryId, hasDiscovery }
+// viewerId: the caller, for likedByMe.
+// Returns { posts, nextCursor, sort, window }.
+async function listFeed(params = {}, { viewerId = null } = {}) {
+  const sort = params.sort || 'new';
+  if (!SORTS.includes(sort)) throw new FeedError(400, `sort must be one of ${SORTS.join(', ')}`);
+  const window = sort === 'top' ? params.window || 'week' : null;
+  if (window && !(window in WINDOWS)) throw new FeedError(400, `window must be one of ${Object.keys(WINDOWS).join(', ')}`);
+  const limit = Math.min(MAX_SIZE, Math.max(1, Number(params.limit) || DEFAULT_SIZE));
+
+  let query = supabase.from('posts').select('*').eq('moderation_status', 'published');
+  if (params.authorId) query = query.eq('user_id', params.authorId);
+  if (params.author)   query = query.ilike('author', String(params.author).replace(/[%_]/g, '\\$&'));
+  if (params.hasImage === 'true' || params.hasImage === true)   query = query.not('image', 'is', null);
+  if (params.hasImage === 'false' || params.hasImage === false) query = query.is('image', null);
+  if (params.tag)          query = query.contains('tags', [normalizeTag(params.tag)]);
+  if (params.discoveryId)  query = query.eq('discovery_id', params.discoveryId);
+  if (params.hasDiscovery === 'true' || params.hasDiscovery === true) query = query.not('discovery_id', 'is', null);
+  if (window && WINDOWS[window]) {
+    query = query.gte('created_at', new Date(Date.now() - WINDOWS[window] * 86400000).toISOString());
+  }
+  if (params.cursor) query = query.or(afterFilter(sort, decodeCursor(params.cursor, sort)));
+
+  for (const key of KEYS[sort]) query = query.order(key, { ascending: false });
+  // one extra row tells us whether there is a next page
+  const { data, error } = await query.limit(limit + 1);
+  if (error) throw error;
+
+  const page = data.slice(0, limit);
+  const ids    = page.map(p => p.id);
+  const [counts, liked] = await Promise.all([commentCounts(ids), likedByUser('post', ids, viewerId)]);
+  return {
+    posts: page.map(p => ({
+      ...p,
+      commentCount: counts[p.id] || 0,
+      likedByMe:    liked.has(String(p.id)),
+    })),
+    nextCursor: data.length > limit ? encodeCursor(sort, page[page.length - 1]) : null,
+    sort,
+    window,
+  };
+}
+
+// Published comments per post id (the post_comment_counts view groups them in SQL).
+async function commentCounts(postIds) {
+  if (postIds.length === 0) return {};
+  const { data, error } = await supabase.from('post_comment_counts').select('post_id, comment_count').in('post_id', postIds);
+  if (error) throw error;
+  return Object.fromEntries(data.map(c => [c.post_id, c.comment_count]));
+}
+
+module.exports = { listFeed, commentCounts, encodeCursor, decodeCursor, afterFilter, FeedError, SORTS, WINDOWS };
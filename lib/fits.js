@@ -0,0 +1,216 @@
+// lib/fits.js
+// Minimal FITS support: header parsing, primary-image decoding, and writing
+// float images and binary tables. Only what the discovery pipeline needs —
+// no compression, no random groups.
+
+const Jimp = require('jimp');
+
+const BLOCK = 2880;
+const CARD  = 80;
+
+function isFits(buffer) {
+  return buffer.length >= BLOCK && buffer.toString('latin1', 0, 30).startsWith('SIMPLE  =');
+}
+
+function parseValue(raw) {
+  const v = raw.trim();
+  if (v.startsWith("'")) {
+    // a quote inside the string is written twice
+    const text = /^'((?:[^']|'')*)'?/.exec(v)[1];
+    return text.replace(/''/g, "'").trimEnd();
+  }
+  const bare = v.split('/')[0].trim();
+  if (bare === 'T') return true;
+  if (bare === 'F') return false;
+  const num = Number(bare.replace(/D/i, 'E'));
+  return bare !== '' && Number.isFinite(num) ? num : bare;
+}
+
+// Reads header cards starting at `offset`. Returns { header, dataOffset }.
+function readHeader(buffer, offset = 0) {
+  const header = {};
+  for (let pos = offset; pos + CARD <= buffer.length; pos += CARD) {
+    const card = buffer.toString('latin1', pos, pos + CARD);
+    const key  = card.slice(0, 8).trim();
+    if (key === 'END') {
+      const used = pos + CARD - offset;
+      return { header, dataOffset: offset + Math.ceil(used / BLOCK) * BLOCK };
+    }
+    if (card.slice(8, 10) === '= ') header[key] = parseValue(card.slice(10));
+  }
+  throw new Error('FITS header has no END card');
+}
+
+// Builds a lib/wcs.js WCS from CRVAL/CRPIX plus CD (or CDELT/CROTA2/PC).
+// Returns null when the header carries no usable celestial WCS.
+function wcsFromHeader(h) {
+  if (typeof h.CRVAL1 !== 'number' || typeof h.CRVAL2 !== 'number') return null;
+  if (typeof h.CRPIX1 !== 'number' || typeof h.CRPIX2 !== 'number') return null;
+  if (h.CTYPE1 && !/^RA--/.test(h.CTYPE1)) return null;
+
+  let cd;
+  if (typeof h.CD1_1 === 'number') {
+    cd = [h.CD1_1, h.CD1_2 || 0, h.CD2_1 || 0, h.CD2_2];
+  } else if (typeof h.CDELT1 === 'number' && typeof h.CDELT2 === 'number') {
+    if (typeof h.PC1_1 === 'number') {
+      cd = [h.CDELT1 * h.PC1_1, h.CDELT1 * (h.PC1_2 || 0), h.CDELT2 * (h.PC2_1 || 0), h.CDELT2 * h.PC2_2];
+    } else {
+      const rot = ((h.CROTA2 || 0) * Math.PI) / 180;
+      cd = [h.CDELT1 * Math.cos(rot), -h.CDELT2 * Math.sin(rot), h.CDELT1 * Math.sin(rot), h.CDELT2 * Math.cos(rot)];
+    }
+  } else {
+    return null;
+  }
+  if (cd.some(v => !Number.isFinite(v)) || cd[0] * cd[3] - cd[1] * cd[2] === 0) return null;
+
+  // FITS pixels are 1-based
+  return { crval: [h.CRVAL1, h.CRVAL2], crpix: [h.CRPIX1 - 1, h.CRPIX2 - 1], cd };
+}
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+const READERS = {
+  8:   (b, o) => b.readUInt8(o),
+  16:  (b, o) => b.readInt16BE(o),
+  32:  (b, o) => b.readInt32BE(o),
+  [-32]: (b, o) => b.readFloatBE(o),
+  [-64]: (b, o) => b.readDoubleBE(o),
+};
+
+// Decodes the primary HDU (first plane of a cube). Rows stay in file order,
+// so pixel (x, y) here is FITS pixel (x + 1, y + 1) — the header WCS applies as-is.
+function readImage(buffer) {
+  const { header, dataOffset } = readHeader(buffer);
+  const width  = header.NAXIS1;
+  const height = header.NAXIS2;
+  const read   = READERS[header.BITPIX];
+  if (!read || !(header.NAXIS >= 2) || !width || !height) {
+    throw new Error('FITS file has no 2-D image in its primary HDU');
+  }
+  const bytes = Math.abs(header.BITPIX) / 8;
+  if (dataOffset + width * height * bytes > buffer.length) throw new Error('FITS image data is truncated');
+
+  const bscale = header.BSCALE ?? 1;
+  const bzero  = header.BZERO ?? 0;
+  const blank  = header.BITPIX > 0 ? header.BLANK : undefined;
+  const data   = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    const raw = read(buffer, dataOffset + i * bytes);
+    data[i] = raw === blank ? NaN : raw * bscale + bzero;
+  }
+  return { header, width, height, data };
+}
+
+// Linear stretch into an 8-bit Jimp image: sky background sits just above
+// black and the top 0.2% clips, so fluxes stay proportional for differencing.
+function stretchToImage({ width, height, data }) {
+  const finite = data.filter(Number.isFinite);
+  const step   = Math.max(1, Math.floor(finite.length / 100000));
+  const sample = finite.filter((_, i) => i % step === 0).sort();
+  const pct    = q => sample[Math.min(sample.length - 1, Math.floor(q * sample.length))] ?? 0;
+  const lo     = pct(0.01);
+  const hi     = pct(0.998);
+  const range  = hi - lo || 1;
+
+  const img = new Jimp(width, height, 0x000000ff);
+  for (let i = 0; i < data.length; i++) {
+    const v = Number.isFinite(data[i]) ? Math.max(0, Math.min(255, ((data[i] - lo) / range) * 255)) : 0;
+    img.bitmap.data.fill(Math.round(v), i * 4, i * 4 + 3);
+  }
+  return { image: img, stretch: { type: 'linear', min: lo, max: hi } };
+}
+
+// ── Writing ───────────────────────────────────────────────────────────────────
+function formatValue(v) {
+  if (typeof v === 'boolean') return (v ? 'T' : 'F').padStart(20);
+  if (typeof v === 'number')  return (Number.isInteger(v) ? String(v) : v.toExponential(10).toUpperCase()).padStart(20);
+  return `'${String(v).replace(/'/g, "''").padEnd(8)}'`.padEnd(20);
+}
+
+// cards: [[key, value, comment?], ...]
+function buildHeader(cards) {
+  const lines = cards.map(([key, value, comment]) => {
+    const card = `${key.padEnd(8)}= ${formatValue(value)}${comment ? ` / ${comment}` : ''}`;
+    return card.slice(0, CARD).padEnd(CARD);
+  });
+  lines.push('END'.padEnd(CARD));
+  return padBlock(Buffer.from(lines.join(''), 'latin1'), 0x20);
+}
+
+function padBlock(buf, fill = 0) {
+  const rem = buf.length % BLOCK;
+  return rem === 0 ? buf : Buffer.concat([buf, Buffer.alloc(BLOCK - rem, fill)]);
+}
+
+function wcsCards(wcs) {
+  const [cd11, cd12, cd21, cd22] = wcs.cd;
+  return [
+    ['CTYPE1', 'RA---TAN'], ['CTYPE2', 'DEC--TAN'],
+    ['CRVAL1', wcs.crval[0]], ['CRVAL2', wcs.crval[1]],
+    ['CRPIX1', wcs.crpix[0] + 1], ['CRPIX2', wcs.crpix[1] + 1],
+    ['CD1_1', cd11], ['CD1_2', cd12], ['CD2_1', cd21], ['CD2_2', cd22],
+    ['CUNIT1', 'deg'], ['CUNIT2', 'deg'], ['RADESYS', 'ICRS'], ['EQUINOX', 2000.0],
+  ];
+}
+
+// Float32 primary image. `data` rows are top-to-bottom as displayed; they are
+// written bottom-up so FITS viewers show the same orientation, and the WCS
+// is flipped to match.
+function imageHdu(data, width, height, { wcs, extend = false, cards = [] } = {}) {
+  const flipped = wcs && {
+    crval: wcs.crval,
+    crpix: [wcs.crpix[0], height - 1 - wcs.crpix[1]],
+    cd:    [wcs.cd[0], -wcs.cd[1], wcs.cd[2], -wcs.cd[3]],
+  };
+  const header = buildHeader([
+    ['SIMPLE', true], ['BITPIX', -32], ['NAXIS', 2], ['NAXIS1', width], ['NAXIS2', height],
+    ...(extend ? [['EXTEND', true]] : []),
+    ...(flipped ? wcsCards(flipped) : []),
+    ...cards,
+  ]);
+  const body = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      body.writeFloatBE(data[(height - 1 - y) * width + x], (y * width + x) * 4);
+    }
+  }
+  return Buffer.concat([header, padBlock(body)]);
+}
+
+// Binary-table extension. columns: [{ name, type: 'J'|'E'|'D'|'<n>A', unit? }],
+// rows: array of objects keyed by column name.
+const COLUMN_TYPES = {
+  J: { size: 4, write: (b, v, o) => b.writeInt32BE(Math.round(v) || 0, o) },
+  E: { size: 4, write: (b, v, o) => b.writeFloatBE(Number(v) || 0, o) },
+  D: { size: 8, write: (b, v, o) => b.writeDoubleBE(Number(v) || 0, o) },
+};
+
+function tableHdu(name, columns, rows) {
+  const specs = columns.map(c => {
+    const text = /^(\d+)A$/.exec(c.type);
+    return text
+      ? { ...c, size: Number(text[1]), write: (b, v, o) => b.write(String(v ?? '').padEnd(Number(text[1])).slice(0, Number(text[1])), o, 'latin1') }
+      : { ...c, ...COLUMN_TYPES[c.type] };
+  });
+  const rowBytes = specs.reduce((n, c) => n + c.size, 0);
+
+  const cards = [
+    ['XTENSION', 'BINTABLE'], ['BITPIX', 8], ['NAXIS', 2], ['NAXIS1', rowBytes], ['NAXIS2', rows.length],
+    ['PCOUNT', 0], ['GCOUNT', 1], ['TFIELDS', specs.length], ['EXTNAME', name],
+  ];
+  specs.forEach((c, i) => {
+    cards.push([`TTYPE${i + 1}`, c.name], [`TFORM${i + 1}`, c.type]);
+    if (c.unit) cards.push([`TUNIT${i + 1}`, c.unit]);
+  });
+
+  const body = Buffer.alloc(rowBytes * rows.length);
+  rows.forEach((row, r) => {
+    let offset = r * rowBytes;
+    for (const c of specs) {
+      c.write(body, row[c.name], offset);
+      offset += c.size;
+    }
+  });
+  return Buffer.concat([buildHeader(cards), padBlock(body)]);
+}
+
+module.exports = { isFits, readHeader, wcsFromHeader, readImage, stretchToImage, imageHdu, tableHdu };
@@ -0,0 +1,210 @@
+// lib/governance/index.js
+// Community proposals and voting. A proposal has two or more options, a
+// voting window and a quorum (minimum total voting power cast). Members may
+// vote and change their vote while the window is open; each vote carries the
+// weight its proposal's strategy (./strategies) gave the voter at the time.
+// When the window ends the proposal is finalized: the tally is frozen into
+// `result` and the status becomes 'closed'.
+//
+// Configuration (env):
+//   GOVERNANCE_STRATEGY         default strategy for new proposals (equal)
+//   GOVERNANCE_REPUTATION       reputation strategy tuning (see ./strategies)
+
+const supabase = require('../supabase');
+const { getStrategy, strategies } = require('./strategies');
+
+const DEFAULT_STRATEGY   = process.env.GOVERNANCE_STRATEGY || 'equal';
+const MIN_WINDOW_MS      = 60 * 60 * 1000;           // 1 hour
+const MAX_WINDOW_MS      = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_WINDOW_MS  = 7 * 24 * 60 * 60 * 1000;
+const FINALIZE_EVERY_MS  = 60 * 1000;
+
+class GovernanceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'GovernanceError';
+    this.status = status;
+  }
+}
+
+// 'pending' before the window, 'open' during it, 'closed' once finalized.
+// A proposal past its end that the sweeper hasn't reached yet reads as closing.
+function phase(proposal, now = Date.now()) {
+  if (proposal.status === 'closed') return 'closed';
+  if (now < new Date(proposal.starts_at).getTime()) return 'pending';
+  if (now >= new Date(proposal.ends_at).getTime()) return 'closing';
+  return 'open';
+}
+
+// ── Proposals ─────────────────────────────────────────────────────────────────
+// input: { userId, title, body, options, startsAt, endsAt | durationHours, quorum, strategy }
+async function createProposal(input) {
+  const title   = String(input.title || '').trim();
+  const options = Array.isArray(input.options) ? input.options.map(o => String(o).trim()).filter(Boolean) : [];
+  if (!input.userId)                         throw new GovernanceError(400, 'userId required');
+  if (!title || title.length > 200)          throw new GovernanceError(400, 'title required (max 200 characters)');
+  if (options.length < 2 || options.length > 10) throw new GovernanceError(400, 'between 2 and 10 options required');
+  if (new Set(options.map(o => o.toLowerCase())).size !== options.length) throw new GovernanceError(400, 'options must be distinct');
+
+  const strategy = input.strategy || DEFAULT_STRATEGY;
+  if (!getStrategy(strategy)) throw new GovernanceError(400, `strategy must be one of ${Object.keys(strategies).join(', ')}`);
+
+  const startsAt = input.startsAt ? new Date(input.startsAt) : new Date();
+  const endsAt   = input.endsAt ? new Date(input.endsAt)
+    : new Date(startsAt.getTime() + (Number(input.durationHours) * 3600 * 1000 || DEFAULT_WINDOW_MS));
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) throw new GovernanceError(400, 'startsAt/endsAt must be dates');
+  const window = endsAt - startsAt;
+  if (window < MIN_WINDOW_MS || window > MAX_WINDOW_MS) throw new GovernanceError(400, 'voting window must be between 1 hour and 30 days');
+  if (endsAt <= Date.now()) throw new GovernanceError(400, 'voting window must end in the future');
+
+  const quorum = input.quorum === undefined || input.quorum === null || input.quorum === '' ? 0 : Number(input.quorum);
+  if (!Number.isFinite(quorum) || quorum < 0) throw new GovernanceError(400, 'quorum must be a non-negative number');
+
+  const { data, error } = await supabase.from('proposals').insert([{
+    author_id: input.userId,
+    author:    input.author || null,
+    title,
+    body:      String(input.body || ''),
+    options,
+    strategy,
+    quorum,
+    starts_at: startsAt.toISOString(),
+    ends_at:   endsAt.toISOString(),
+    status:    'open',
+  }]).select().single();
+  if (error) throw error;
+  return present(data);
+}
+
+// Adds the computed phase; closed proposals carry their frozen result.
+const present = row => ({ ...row, phase: phase(row) });
+
+async function getProposalRow(id) {
+  const { data, error } = await supabase.from('proposals').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new GovernanceError(404, 'Proposal not found');
+  return data;
+}
+
+// Finalizes on read when the window has passed, so nobody sees a stale 'open'.
+async function getProposal(id, { userId } = {}) {
+  let row = await getProposalRow(id);
+  if (phase(row) === 'closing') row = await finalize(row.id) || await getProposalRow(id);
+
+  const votes  = await loadVotes(id);
+  const result = row.status === 'closed' ? row.result : tally(row, votes);
+  const mine   = userId ? votes.find(v => v.user_id === userId) || null : null;
+  return { ...present(row), result, myVote: mine && { option: mine.option, weight: mine.weight, updatedAt: mine.updated_at } };
+}
+
+// filters: { status: 'open'|'closed', limit, offset }
+async function listProposals(filters = {}) {
+  const limit  = Math.min(100, Math.max(1, Number(filters.limit) || 20));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+  let query = supabase.from('proposals').select('*').order('created_at', { ascending: false });
+  if (filters.status) query = query.eq('status', filters.status);
+  const { data, error } = await query.range(offset, offset + limit - 1);
+  if (error) throw error;
+  return data.map(present);
+}
+
+// ── Votes ─────────────────────────────────────────────────────────────────────
+async function loadVotes(proposalId) {
+  const { data, error } = await supabase.from('proposal_votes').select('*').eq('proposal_id', proposalId);
+  if (error) throw error;
+  return data;
+}
+
+// Casts or changes userId's vote. option: index into proposal.options.
+async function castVote(proposalId, userId, option) {
+  if (!userId) throw new GovernanceError(400, 'userId required');
+  const proposal = await getProposalRow(proposalId);
+  const index    = Number(option);
+  if (!Number.isInteger(index) || index < 0 || index >= proposal.options.length) {
+    throw new GovernanceError(400, `option must be an index from 0 to ${proposal.options.length - 1}`);
+  }
+  const when = phase(proposal);
+  if (when === 'pending') throw new GovernanceError(409, 'Voting has not started');
+  if (when !== 'open')    throw new GovernanceError(409, 'Voting has closed');
+
+  const power = await getStrategy(proposal.strategy).power(userId);
+  const now   = new Date().toISOString();
+  const { data, error } = await supabase.from('proposal_votes').upsert({
+    proposal_id: proposalId,
+    user_id:     userId,
+    option:      index,
+    weight:      power.weight,
+    breakdown:   power.breakdown,
+    updated_at:  now,
+  }, { onConflict: 'proposal_id,user_id' }).select().single();
+  if (error) throw error;
+  return { vote: data, result: tally(proposal, await loadVotes(proposalId)) };
+}
+
+// ── Tally ─────────────────────────────────────────────────────────────────────
+// Weighted totals per option. winner is the option index with the most
+// weight, or null on a tie, without votes, or below quorum.
+function tally(proposal, votes) {
+  const options = proposal.options.map((label, index) => ({ index, label, weight: 0, votes: 0 }));
+  for (const v of votes) {
+    if (!options[v.option]) continue;
+    options[v.option].weight += Number(v.weight);
+    options[v.option].votes  += 1;
+  }
+  options.forEach(o => { o.weight = +o.weight.toFixed(3); });
+
+  const totalWeight = +options.reduce((n, o) => n + o.weight, 0).toFixed(3);
+  const top         = Math.max(...options.map(o => o.weight));
+  const leaders     = options.filter(o => o.weight === top && top > 0);
+  const quorumMet   = totalWeight >= Number(proposal.quorum || 0) && votes.length > 0;
+  return {
+    strategy:    proposal.strategy,
+    options:     options.map(o => ({ ...o, share: totalWeight ? +(o.weight / totalWeight).toFixed(4) : 0 })),
+    voters:      votes.length,
+    totalWeight,
+    quorum:      Number(proposal.quorum || 0),
+    quorumMet,
+    tie:         leaders.length > 1,
+    winner:      quorumMet && leaders.length === 1 ? leaders[0].index : null,
+  };
+}
+
+// ── Finalization ──────────────────────────────────────────────────────────────
+// Freezes the tally of a proposal whose window has ended. Safe to call
+// concurrently: only the update that flips 'open' to 'closed' wins.
+async function finalize(id) {
+  const row = await getProposalRow(id);
+  if (row.status === 'closed' || phase(row) !== 'closing') return null;
+
+  const result = { ...tally(row, await loadVotes(id)), finalizedAt: new Date().toISOString() };
+  const { data, error } = await supabase.from('proposals')
+    .update({ status: 'closed', result, finalized_at: result.finalizedAt })
+    .eq('id', id).eq('status', 'open').select().maybeSingle();
+  if (error) throw error;
+  if (data) console.log(`🗳️  Proposal ${id} closed: ${result.winner === null ? 'no winner' : `"${row.options[result.winner]}" won`}`);
+  return data;
+}
+
+async function finalizeDue() {
+  const { data, error } = await supabase.from('proposals').select('id')
+    .eq('status', 'open').lte('ends_at', new Date().toISOString()).limit(50);
+  if (error) throw error;
+  for (const { id } of data) await finalize(id);
+  return data.length;
+}
+
+// ── Sweeper ───────────────────────────────────────────────────────────────────
+setInterval(() => {
+  finalizeDue().catch(err => console.warn(`Proposal finalization failed: ${err.message}`));
+}, FINALIZE_EVERY_MS).unref();
+
+async function votingPower(userId, strategyName = DEFAULT_STRATEGY) {
+  const strategy = getStrategy(strategyName);
+  if (!strategy) throw new GovernanceError(400, `strategy must be one of ${Object.keys(strategies).join(', ')}`);
+  return { strategy: strategy.name, description: strategy.description, ...(await strategy.power(userId)) };
+}
+
+module.exports = {
+  createProposal, getProposal, listProposals, castVote, finalize, finalizeDue, tally, votingPower,
+  GovernanceError,
+};
@@ -0,0 +1,81 @@
+// lib/governance/strategies.js
+// Voting power strategies. Every strategy exposes:
+//   power(userId) → { weight, breakdown }
+// A vote keeps the weight it was cast with, so later likes or discoveries
+// don't shift a running tally; changing the vote re-reads it.
+//
+//   equal       one member, one vote
+//   reputation  1 + likeWeight·√(likes received) + discoveryWeight·(peer-confirmed discoveries),
+//               capped at maxWeight. Tune with GOVERNANCE_REPUTATION (JSON).
+
+const supabase = require('../supabase');
+const { STATUS: REVIEW_STATUS } = require('../reviews');
+
+const REPUTATION_DEFAULTS = {
+  likeWeight:      0.5,
+  discoveryWeight: 2,
+  maxWeight:       25,
+};
+
+function createEqualStrategy() {
+  return {
+    name:        'equal',
+    description: 'One member, one vote',
+    async power() {
+      return { weight: 1, breakdown: { base: 1 } };
+    },
+  };
+}
+
+async function likesReceived(userId) {
+  let total = 0;
+  for (const table of ['posts', 'comments']) {
+    const { data, error } = await supabase.from(table).select('likes').eq('user_id', userId);
+    if (error) throw error;
+    total += data.reduce((n, row) => n + (row.likes || 0), 0);
+  }
+  return total;
+}
+
+// Discoveries the community confirmed in peer review (lib/reviews).
+async function confirmedDiscoveries(userId) {
+  const { count, error } = await supabase.from('discoveries')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('review_status', REVIEW_STATUS.CONFIRMED);
+  if (error) throw error;
+  return count || 0;
+}
+
+function createReputationStrategy(options = {}) {
+  const config = { ...REPUTATION_DEFAULTS, ...options };
+  return {
+    name:        'reputation',
+    description: `1 + ${config.likeWeight}×√likes received + ${config.discoveryWeight}×confirmed discoveries (max ${config.maxWeight})`,
+    async power(userId) {
+      const [likes, discoveries] = await Promise.all([likesReceived(userId), confirmedDiscoveries(userId)]);
+      const weight = Math.min(config.maxWeight, 1 + config.likeWeight * Math.sqrt(likes) + config.discoveryWeight * discoveries);
+      return { weight: +weight.toFixed(3), breakdown: { base: 1, likes, discoveries } };
+    },
+  };
+}
+
+function loadReputationOptions(env = process.env) {
+  if (!env.GOVERNANCE_REPUTATION) return {};
+  try {
+    return JSON.parse(env.GOVERNANCE_REPUTATION);
+  } catch (err) {
+    console.warn('⚠️  GOVERNANCE_REPUTATION is not valid JSON, using defaults');
+    return {};
+  }
+}
+
+const strategies = {
+  equal:      createEqualStrategy(),
+  reputation: createReputationStrategy(loadReputationOptions()),
+};
+
+// own keys only, so 'toString' and friends are not strategies
+const getStrategy = name => (Object.hasOwn(strategies, name) ? strategies[name] : null);
+
+module.exports = { getStrategy, strategies, createReputationStrategy };
@@ -0,0 +1,131 @@
+// lib/identify.js
+// Structured identification of an astronomical image by the 'vision'
+// providers (lib/ai). The reply must match IDENTIFICATION_SCHEMA; malformed
+// replies are sent back to the model with the validation errors for repair.
+// A known plate solution is passed in as grounding, together with the
+// catalogued objects in that field (lib/catalogs). Identifications are
+// cached by image content (lib/cache).
+
+const ai = require('./ai');
+const { validate, extractJson } = require('./ai/schema');
+const { cached, hashKey } = require('./cache');
+
+const MAX_ATTEMPTS = Number(process.env.IDENTIFY_MAX_ATTEMPTS) || 3;
+
+const OBJECT_TYPES = [
+  'galaxy', 'galaxy group', 'emission nebula', 'reflection nebula', 'dark nebula', 'planetary nebula',
+  'supernova remnant', 'open cluster', 'globular cluster', 'star', 'double star', 'star field',
+  'planet', 'moon', 'comet', 'asteroid', 'sun', 'artificial', 'unknown',
+];
+
+const IDENTIFICATION_SCHEMA = {
+  type:                 'object',
+  additionalProperties: false,
+  required:             ['objectType', 'catalogName', 'features', 'confidence', 'description'],
+  properties: {
+    objectType:  { type: 'string', enum: OBJECT_TYPES },
+    catalogName: { type: ['string', 'null'], maxLength: 80 },
+    features:    { type: 'array', maxItems: 8, items: { type: 'string', minLength: 1, maxLength: 120 } },
+    confidence:  { type: 'number', minimum: 0, maximum: 1 },
+    description: { type: 'string', minLength: 1, maxLength: 400 },
+  },
+};
+
+const INSTRUCTIONS = `You identify astronomical images. Reply with one JSON object and nothing else:
+{
+  "objectType":  one of ${OBJECT_TYPES.map(t => `"${t}"`).join(', ')},
+  "catalogName": the most likely catalog designation (e.g. "M 51", "NGC 7000") or null if unsure,
+  "features":    up to 8 short notable visual features,
+  "confidence":  0 to 1, how sure you are of objectType and catalogName,
+  "description": one or two plain sentences for a general audience
+}`;
+
+// ── Grounding ─────────────────────────────────────────────────────────────────
+// field: lib/catalogs fieldObjects() output for the image's plate solution.
+function groundingText(field) {
+  const { ra, dec, radius } = field.center;
+  const objects = field.dsos.slice(0, 6).map(o => [
+    o.messier && o.messier !== o.id ? `${o.messier} / ${o.id}` : o.id,
+    o.name, o.type, o.mag != null && `mag ${o.mag}`,
+  ].filter(Boolean).join(', '));
+  return `This image has been plate-solved: centre RA ${ra.toFixed(4)}°, Dec ${dec.toFixed(4)}°, `
+    + `field radius ${radius.toFixed(3)}°. `
+    + (objects.length ? `Catalogued objects in the field: ${objects.join('; ')}. ` : 'No catalogued deep-sky objects are in the field. ')
+    + 'Prefer these identifications unless the image clearly shows otherwise.';
+}
+
+// ── Identification ────────────────────────────────────────────────────────────
+// Data URIs are keyed by their decoded bytes; http(s) images by URL, since
+// the provider fetches those itself.
+function imageCacheKey(imageUrl, field) {
+  const dataUri = /^data:[^;]+;base64,(.*)$/s.exec(imageUrl);
+  return hashKey(
+    dataUri ? Buffer.from(dataUri[1], 'base64') : imageUrl,
+    field && field.center,
+    ai.describeProviders().vision,
+  );
+}
+
+// imageUrl: http(s) URL or data URI.
+// Returns { identification, provider, attempts, cache }.
+async function identifyImage(imageUrl, { field = null, signal, useCache = true } = {}) {
+  const { value, cache } = await cached('identify', imageCacheKey(imageUrl, field),
+    () => requestIdentification(imageUrl, { field, signal }), { signal, bypass: !useCache });
+  return { ...value, cache };
+}
+
+async function requestIdentification(imageUrl, { field, signal }) {
+  const messages = [
+    { role: 'system', content: INSTRUCTIONS },
+    {
+      role:    'user',
+      content: [
+        { type: 'text',      text: field ? `Identify this object. ${groundingText(field)}` : 'Identify this object.' },
+        { type: 'image_url', image_url: { url: imageUrl } },
+      ],
+    },
+  ];
+
+  const attempts = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await ai.generate('vision', { messages, maxTokens: 500, temperature: 0.2, schema: IDENTIFICATION_SCHEMA, signal });
+    const parsed = extractJson(result.text);
+    const errors = parsed.error ? [parsed.error] : validate(IDENTIFICATION_SCHEMA, parsed.value);
+    attempts.push({ provider: result.provider, errors });
+    if (errors.length === 0) return { identification: parsed.value, provider: result.provider, attempts };
+
+    // show the model what it said and what was wrong with it
+    messages.push(
+      { role: 'assistant', content: result.text },
+      { role: 'user', content: `That reply is not valid: ${errors.slice(0, 10).join('; ')}. Reply again with only the corrected JSON object.` },
+    );
+  }
+
+  const err = new ai.AIError(ai.AI_ERROR_CODES.BAD_RESPONSE, `No valid identification after ${MAX_ATTEMPTS} attempts`);
+  err.attempts = attempts;
+  throw err;
+}
+
+// ── Catalog-only answer ───────────────────────────────────────────────────────
+// Without a vision provider, a plate solution still says what is in the field.
+const CATALOG_TYPES = {
+  'galaxy cluster':      'galaxy group',
+  'bright nebula':       'emission nebula',
+  'star-forming region': 'emission nebula',
+};
+
+function catalogIdentification(field) {
+  const main = field.mainObject;
+  if (!main) return null;
+  const type = main.catalog !== 'dso' ? 'star'
+    : CATALOG_TYPES[main.type] || (/galaxy/.test(main.type) ? 'galaxy' : main.type);
+  return {
+    objectType:  OBJECT_TYPES.includes(type) ? type : 'unknown',
+    catalogName: main.catalog === 'dso' ? main.messier || main.id : main.designation || main.id,
+    features:    [],
+    confidence:  main.separationDeg <= field.center.radius / 2 ? 0.6 : 0.4,
+    description: field.description,
+  };
+}
+
+module.exports = { identifyImage, catalogIdentification, groundingText, IDENTIFICATION_SCHEMA, OBJECT_TYPES };
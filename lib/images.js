@@ -0,0 +1,231 @@
+// lib/images.js
+// DAO post images. An upload is decoded with Jimp — whatever the client
+// claimed its type or extension to be — and re-encoded, which drops EXIF
+// (including GPS positions), ICC and comment metadata; Jimp applies the EXIF
+// orientation first, so photos keep their rotation. Three renditions go to the
+// dao-images bucket:
+//   full       long edge capped at DAO_IMAGE_MAX_DIMENSION (default 2048 px)
+//   medium     long edge at most 1024 px
+//   thumbnail  long edge at most 320 px
+// Files are named after the hash of the processed full rendition
+// (<hash>/<rendition>.<ext>), so the same picture posted twice is stored once;
+// the dao_images table counts the posts holding each hash, and the files go
+// when the last one lets go (migration 20261019001300).
+// Images with transparency stay PNG, everything else becomes JPEG. Animated
+// GIFs keep their first frame.
+
+const crypto   = require('crypto');
+const Jimp     = require('jimp');
+const supabase = require('./supabase');
+
+const BUCKET        = 'dao-images';
+const MAX_DIMENSION = Number(process.env.DAO_IMAGE_MAX_DIMENSION) || 2048;
+const MAX_PIXELS    = Number(process.env.DAO_IMAGE_MAX_PIXELS) || 40 * 1000 * 1000; // checked on the header, before decoding
+const MIN_DIMENSION = 16;
+const JPEG_QUALITY  = 85;
+const ACQUIRE_TRIES = 10;
+const ACQUIRE_WAIT  = 200; // ms between tries while the files are being removed
+const RENDITIONS    = { full: MAX_DIMENSION, medium: Math.min(1024, MAX_DIMENSION), thumbnail: Math.min(320, MAX_DIMENSION) };
+const ACCEPTED      = [Jimp.MIME_JPEG, Jimp.MIME_PNG, Jimp.MIME_GIF, Jimp.MIME_BMP, Jimp.MIME_TIFF];
+
+class ImageError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'ImageError';
+    this.status = status;
+  }
+}
+
+// ── Processing ────────────────────────────────────────────────────────────────
+const u16 = (b, at, le) => (le ? b.readUInt16LE(at) : b.readUInt16BE(at));
+const u32 = (b, at, le) => (le ? b.readUInt32LE(at) : b.readUInt32BE(at));
+
+// { type, width, height } from the file header alone, or null when the bytes
+// are no JPEG, PNG, GIF, BMP or TIFF image (or are cut short).
+function probe(b) {
+  try {
+    if (b.length >= 24 && b.readUInt32BE(0) === 0x89504e47 && b.toString('latin1', 12, 16) === 'IHDR') {
+      return { type: Jimp.MIME_PNG, width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+    }
+    if (b.length >= 10 && b.toString('latin1', 0, 4) === 'GIF8') {
+      return { type: Jimp.MIME_GIF, width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+    }
+    if (b.length >= 26 && b.toString('latin1', 0, 2) === 'BM') {
+      const core = b.readUInt32LE(14) === 12; // OS/2 headers use 16-bit sizes
+      return core
+        ? { type: Jimp.MIME_BMP, width: b.readUInt16LE(18), height: b.readUInt16LE(20) }
+        : { type: Jimp.MIME_BMP, width: Math.abs(b.readInt32LE(18)), height: Math.abs(b.readInt32LE(22)) };
+    }
+    if (b.length >= 4 && b[0] === 0xff && b[1] === 0xd8) {
+      // walk the segments to the first start-of-frame marker
+      let at = 2;
+      while (at + 9 <= b.length) {
+        if (b[at] !== 0xff) return null;
+        const marker = b[at + 1];
+        if (marker === 0xff) { at += 1; continue; }
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { type: Jimp.MIME_JPEG, width: b.readUInt16BE(at + 7), height: b.readUInt16BE(at + 5) };
+        }
+        at += marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8) ? 2 : 2 + b.readUInt16BE(at + 2);
+      }
+      return null;
+    }
+    const order = b.toString('latin1', 0, 4);
+    if (order === 'II*\0' || order === 'MM\0*') {
+      const le  = order === 'II*\0';
+      const ifd = u32(b, 4, le);
+      const size = {};
+      for (let i = 0, n = u16(b, ifd, le); i < n; i++) {
+        const entry = ifd + 2 + i * 12;
+        const tag   = u16(b, entry, le);
+        if (tag !== 256 && tag !== 257) continue;
+        size[tag] = u16(b, entry + 2, le) === 3 ? u16(b, entry + 8, le) : u32(b, entry + 8, le);
+      }
+      return size[256] && size[257] ? { type: Jimp.MIME_TIFF, width: size[256], height: size[257] } : null;
+    }
+  } catch {
+    // a header offset ran past the end of the buffer
+  }
+  return null;
+}
+
+// Checks the declared size before decoding, so a small file that claims to be
+// enormous (a decompression bomb) is refused without allocating its bitmap.
+async function decode(buffer) {
+  const header = probe(buffer);
+  if (!header) throw new ImageError(415, 'The upload is not a readable JPEG, PNG, GIF, BMP or TIFF image');
+  const { width, height } = header;
+  if (width < MIN_DIMENSION || height < MIN_DIMENSION) throw new ImageError(422, `Image must be at least ${MIN_DIMENSION}×${MIN_DIMENSION} pixels`);
+  if (width * height > MAX_PIXELS) throw new ImageError(413, `Image is too large (${width}×${height}); the limit is ${MAX_PIXELS / 1e6} megapixels`);
+
+  let image;
+  try {
+    image = await Jimp.read(buffer);
+  } catch {
+    throw new ImageError(415, 'The upload is not a readable JPEG, PNG, GIF, BMP or TIFF image');
+  }
+  if (!ACCEPTED.includes(image.getMIME())) throw new ImageError(415, `Unsupported image type ${image.getMIME()}`);
+  return image;
+}
+
+// True when any pixel is not fully opaque.
+function hasTransparency(image) {
+  const { data } = image.bitmap;
+  for (let i = 3; i < data.length; i += 4) if (data[i] < 255) return true;
+  return false;
+}
+
+// Downscales (never enlarges) to fit a size × size box; copies the bitmap only
+// when it has to scale.
+function fit(image, size) {
+  const { width, height } = image.bitmap;
+  return width > size || height > size ? image.clone().scaleToFit(size, size, Jimp.RESIZE_BILINEAR) : image;
+}
+
+// Returns { contentType, ext, width, height, hash, renditions: { name: { buffer, width, height } } }.
+async function processImage(buffer) {
+  const image       = await decode(buffer);
+  const png         = hasTransparency(image);
+  const contentType = png ? Jimp.MIME_PNG : Jimp.MIME_JPEG;
+
+  // largest first, each scaled from the one before
+  const renditions = {};
+  let source       = image;
+  for (const [name, size] of Object.entries(RENDITIONS).sort((a, b) => b[1] - a[1])) {
+    const scaled = fit(source, size);
+    source = scaled;
+    if (!png) scaled.quality(JPEG_QUALITY);
+    renditions[name] = { buffer: await scaled.getBufferAsync(contentType), width: scaled.bitmap.width, height: scaled.bitmap.height };
+  }
+
+  const hash = crypto.createHash('sha256').update(renditions.full.buffer).digest('hex').slice(0, 32);
+  const { width, height } = renditions.full;
+  return { contentType, ext: png ? 'png' : 'jpg', width, height, hash, renditions };
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+const publicUrl = path => supabase.storage.from(BUCKET).getPublicUrl(path).data.publicUrl;
+
+// Uploads unless the file is already there.
+async function uploadOnce(path, buffer, contentType) {
+  const { error } = await supabase.storage.from(BUCKET).upload(path, buffer, { contentType, upsert: false });
+  if (!error || String(error.statusCode) === '409' || /already exists/i.test(error.message)) return;
+  throw error;
+}
+
+// A reference to the files under hash, taken before they are uploaded. Waits
+// out a removal of the same files in progress.
+async function acquire(hash) {
+  for (let attempt = 1; attempt <= ACQUIRE_TRIES; attempt++) {
+    const { data, error } = await supabase.rpc('acquire_dao_image', { p_hash: hash });
+    if (error) throw error;
+    if (data === true) return;
+    await new Promise(resolve => setTimeout(resolve, ACQUIRE_WAIT));
+  }
+  throw new ImageError(503, 'The same image is being removed; try again shortly');
+}
+
+// Processes and stores an uploaded image. Returns the columns for the post row:
+// { image, image_renditions: { full, medium, thumbnail }, image_width, image_height }.
+// The caller owns a reference to the files and hands them to removeDaoImage if
+// the post is not saved after all.
+async function storeDaoImage(buffer) {
+  const processed = await processImage(buffer);
+  const paths     = Object.keys(processed.renditions).map(name => `${processed.hash}/${name}.${processed.ext}`);
+  await acquire(processed.hash);
+
+  try {
+    // every rendition, even when full is already there: an earlier attempt may
+    // have stopped after it
+    for (const [i, rendition] of Object.values(processed.renditions).entries()) {
+      await uploadOnce(paths[i], rendition.buffer, processed.contentType);
+    }
+  } catch (err) {
+    await release(processed.hash, paths).catch(e => console.warn(`Could not release image ${processed.hash}: ${e.message}`));
+    throw err;
+  }
+
+  const urls = Object.fromEntries(Object.keys(processed.renditions).map((name, i) => [name, publicUrl(paths[i])]));
+  return {
+    image:            urls.full,
+    image_renditions: urls,
+    image_width:      processed.width,
+    image_height:     processed.height,
+  };
+}
+
+// Gives back a reference; the last one out removes the files.
+async function release(hash, paths) {
+  const { data: last, error } = await supabase.rpc('release_dao_image', { p_hash: hash });
+  if (error) throw error;
+  if (last !== true) return;
+
+  const { error: storageError } = await supabase.storage.from(BUCKET).remove(paths);
+  if (storageError) throw storageError;
+  const { error: forgetError } = await supabase.rpc('forget_dao_image', { p_hash: hash });
+  if (forgetError) throw forgetError;
+}
+
+// Lets go of the image of a deleted (or never saved) post: the files are
+// removed unless another post still holds them. Images from before hashed
+// names were never shared and are removed outright.
+async function removeDaoImage(post) {
+  const urls  = Object.values(post.image_renditions || {}).concat(post.image || []);
+  const paths = [...new Set(urls.map(storagePath).filter(Boolean))];
+  if (paths.length === 0) return;
+
+  const hash = paths[0].match(/^([0-9a-f]{32})\//);
+  if (hash) return release(hash[1], paths);
+
+  const { error } = await supabase.storage.from(BUCKET).remove(paths);
+  if (error) throw error;
+}
+
+// Object path of a dao-images public URL (…/storage/v1/object/public/dao-images/<path>).
+function storagePath(url) {
+  const marker = `/${BUCKET}/`;
+  if (!url || !url.includes(marker)) return null;
+  return decodeURIComponent(url.slice(url.indexOf(marker) + marker.length).split('?')[0]);
+}
+
+module.exports = { storeDaoImage, removeDaoImage, processImage, probe, ImageError, RENDITIONS };
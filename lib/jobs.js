@@ -0,0 +1,151 @@
+// lib/jobs.js
+// In-memory background jobs with progress events.
+// A job keeps running when the HTTP client that started it goes away;
+// finished jobs stay readable until JOB_TTL_MS has passed.
+
+const crypto           = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS   = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000; // 1 hour
+const TERMINAL     = ['succeeded', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// ── Job ───────────────────────────────────────────────────────────────────────
+class Job extends EventEmitter {
+  constructor(kind) {
+    super();
+    this.id         = crypto.randomUUID();
+    this.kind       = kind;
+    this.status     = 'queued';
+    this.stage      = null;
+    this.events     = [];
+    this.result     = null;
+    this.error      = null;
+    this.errorCode  = null;
+    this.createdAt  = Date.now();
+    this.updatedAt  = this.createdAt;
+    this.finishedAt = null;
+    this.controller = new AbortController();
+    this.files      = new Map(); // name → { contentType, buffer }, served separately from toJSON()
+  }
+
+  get signal()     { return this.controller.signal; }
+  get isFinished() { return TERMINAL.includes(this.status); }
+
+  // Record a stage event and push it to any live listeners.
+  emitEvent(type, data = {}) {
+    const event = { seq: this.events.length, type, at: Date.now(), ...data };
+    this.events.push(event);
+    this.updatedAt = event.at;
+    this.emit('event', event);
+    return event;
+  }
+
+  progress(stage, data = {}) {
+    if (this.signal.aborted) throw new JobCancelledError();
+    this.stage = stage;
+    return this.emitEvent(stage, data);
+  }
+
+  attachFile(name, contentType, buffer) {
+    this.files.set(name, { contentType, buffer });
+    return `/api/discovery-jobs/${this.id}/files/${name}`;
+  }
+
+  finish(status, payload = {}) {
+    if (this.isFinished) return;
+    this.status     = status;
+    this.finishedAt = Date.now();
+    if (payload.result !== undefined) this.result = payload.result;
+    if (payload.error  !== undefined) this.error  = payload.error;
+    if (payload.code)                 this.errorCode = payload.code;
+    this.emitEvent(status === 'succeeded' ? 'done' : status, payload.error ? { error: payload.error, code: payload.code } : {});
+    this.emit('finished', this);
+  }
+
+  toJSON() {
+    return {
+      id:         this.id,
+      kind:       this.kind,
+      status:     this.status,
+      stage:      this.stage,
+      createdAt:  this.createdAt,
+      updatedAt:  this.updatedAt,
+      finishedAt: this.finishedAt,
+      expiresAt:  this.finishedAt ? this.finishedAt + JOB_TTL_MS : null,
+      result:     this.result,
+      error:      this.error,
+      errorCode:  this.errorCode,
+    };
+  }
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+// runner(job) does the work; it should call job.progress() between stages and
+// hand job.signal to anything that can be aborted.
+function createJob(kind, runner) {
+  const job = new Job(kind);
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    if (job.isFinished) return;
+    job.status = 'running';
+    try {
+      const result = await runner(job);
+      job.finish('succeeded', { result });
+    } catch (err) {
+      if (job.signal.aborted || err instanceof JobCancelledError) job.finish('cancelled');
+      else job.finish('failed', { error: err.message, code: err.code });
+    }
+  });
+
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (!job.isFinished) {
+    job.controller.abort();
+    job.finish('cancelled');
+  }
+  return job;
+}
+
+// Abortable sleep for polling loops.
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new JobCancelledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new JobCancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+const sweeper = setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.isFinished && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+  }
+}, 60 * 1000);
+sweeper.unref();
+
+module.exports = { createJob, getJob, cancelJob, sleep, JobCancelledError };
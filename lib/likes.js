@@ -0,0 +1,107 @@
+// lib/likes.js
+// Likes on DAO posts and comments, one row per member and target in the
+// `likes` table. The primary key makes liking idempotent and the row insert or
+// delete is the whole state change, so concurrent clicks cannot lose updates.
+// posts.likes / comments.likes are maintained from the rows by a database
+// trigger and never written here.
+
+const supabase = require('./supabase');
+const { STATUS: MODERATION } = require('./moderation');
+
+const TABLES       = { post: 'posts', comment: 'comments' };
+const ACTIONS      = ['like', 'unlike', 'toggle'];
+const DEFAULT_SIZE = 50;
+const MAX_SIZE     = 200;
+
+class LikeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'LikeError';
+    this.status = status;
+  }
+}
+
+async function loadTarget(type, id) {
+  const { data, error } = await supabase.from(TABLES[type]).select('*')
+    .eq('id', id).eq('moderation_status', MODERATION.PUBLISHED).maybeSingle();
+  if (error) throw error;
+  if (!data || data.deleted_at) throw new LikeError(404, `${type === 'post' ? 'Post' : 'Comment'} not found`);
+  return data;
+}
+
+// ── Changes ───────────────────────────────────────────────────────────────────
+// true when the like is new
+const addLike = async (type, id, userId) => {
+  const { data, error } = await supabase.from('likes')
+    .upsert({ target_type: type, target_id: String(id), user_id: userId }, { onConflict: 'target_type,target_id,user_id', ignoreDuplicates: true })
+    .select('user_id');
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// true when a like was there to remove
+const removeLike = async (type, id, userId) => {
+  const { data, error } = await supabase.from('likes').delete()
+    .eq('target_type', type).eq('target_id', String(id)).eq('user_id', userId).select('user_id');
+  if (error) throw error;
+  return data.length > 0;
+};
+
+// Removes the like if there is one, otherwise adds it, in one database call
+// (toggle_like) so concurrent toggles cannot interleave.
+const toggleLike = async (type, id, userId) => {
+  const { data, error } = await supabase.rpc('toggle_like', { p_target_type: type, p_target_id: String(id), p_user_id: userId });
+  if (error) throw error;
+  return data;
+};
+
+// action: 'like' and 'unlike' are idempotent; 'toggle' removes the like if
+// there is one, otherwise adds it.
+// Returns { liked, changed, likes, target } with the target row after the change.
+async function setLike(type, id, userId, action = 'toggle') {
+  if (!TABLES[type])               throw new LikeError(400, 'type must be post or comment');
+  if (!userId)                     throw new LikeError(400, 'userId required');
+  if (!ACTIONS.includes(action))   throw new LikeError(400, `action must be one of ${ACTIONS.join(', ')}`);
+  await loadTarget(type, id);
+
+  let liked, changed;
+  if (action === 'like') {
+    liked   = true;
+    changed = await addLike(type, id, userId);
+  } else if (action === 'unlike') {
+    liked   = false;
+    changed = await removeLike(type, id, userId);
+  } else {
+    ({ liked, changed } = await toggleLike(type, id, userId));
+  }
+
+  const target = await loadTarget(type, id);
+  return { liked, changed, likes: target.likes, target };
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+// Who liked a post or comment, most recent first.
+// Returns { likes: [{ userId, likedAt }], total }.
+async function listLikers(type, id, { limit, offset } = {}) {
+  if (!TABLES[type]) throw new LikeError(400, 'type must be post or comment');
+  await loadTarget(type, id);
+  const size  = Math.min(MAX_SIZE, Math.max(1, Number(limit) || DEFAULT_SIZE));
+  const start = Math.max(0, Number(offset) || 0);
+
+  const { data, count, error } = await supabase.from('likes').select('user_id, created_at', { count: 'exact' })
+    .eq('target_type', type).eq('target_id', String(id))
+    .order('created_at', { ascending: false }).range(start, start + size - 1);
+  if (error) throw error;
+  return { likes: data.map(l => ({ userId: l.user_id, likedAt: l.created_at })), total: count };
+}
+
+// The subset of ids that userId has liked, as a Set of strings.
+async function likedByUser(type, ids, userId) {
+  if (!userId || ids.length === 0) return new Set();
+  const { data, error } = await supabase.from('likes').select('target_id')
+    .eq('target_type', type).eq('user_id', userId).in('target_id', ids.map(String));
+  if (error) throw error;
+  return new Set(data.map(l => l.target_id));
+}
+
+module.exports = { setLike, listLikers, likedByUser, LikeError, ACTIONS };
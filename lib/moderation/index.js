@@ -0,0 +1,193 @@
+// lib/moderation/index.js
+// Moderation of DAO posts and comments before they are stored. The local
+// rule engine (./rules) runs first; an optional classifier hook can then
+// raise the decision (never lower it). Decisions:
+//   allow  → stored as 'published'
+//   hold   → stored as 'held', hidden until a moderator approves it
+//   reject → not stored
+// Automated holds and rejections, and every moderator action, are written to
+// the moderation_actions audit table.
+//
+// Configuration (env):
+//   MODERATION_RULES / MODERATION_RULES_FILE   rule overrides (see ./rules)
+//   MODERATION_AI=true          classify with the 'moderation' providers in lib/ai
+//   MODERATION_AI_TIMEOUT_MS    classifier time limit (default 10s); on failure the rules decide
+//   MODERATOR_IDS               comma-separated user ids allowed to moderate
+
+const supabase = require('../supabase');
+const ai       = require('../ai');
+const { validate, extractJson } = require('../ai/schema');
+const { createRuleEngine, SEVERITY } = require('./rules');
+
+const STATUS = { PUBLISHED: 'published', HELD: 'held', REMOVED: 'removed' };
+const TABLES = { post: 'posts', comment: 'comments' };
+
+const AI_TIMEOUT_MS = Number(process.env.MODERATION_AI_TIMEOUT_MS) || 10 * 1000;
+const MODERATORS    = new Set((process.env.MODERATOR_IDS || '').split(',').map(s => s.trim()).filter(Boolean));
+
+class ModerationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'ModerationError';
+    this.status = status;
+  }
+}
+
+const engine = createRuleEngine();
+
+// ── Classifier hook ───────────────────────────────────────────────────────────
+// A classifier is async ({ kind, text, hasImage }) → { decision, categories, reason }.
+const VERDICT_SCHEMA = {
+  type:     'object',
+  required: ['decision', 'categories', 'reason'],
+  properties: {
+    decision:   { type: 'string', enum: ['allow', 'hold', 'reject'] },
+    categories: { type: 'array', maxItems: 5, items: { type: 'string', maxLength: 40 } },
+    reason:     { type: 'string', maxLength: 200 },
+  },
+};
+
+const GUIDELINES = `You moderate an astronomy community forum. Decide whether a submission may be published.
+"reject": spam, scams, harassment, hate, sexual content, or content unrelated to the community posted to advertise.
+"hold": unsure, borderline, or possibly harmful — a human moderator will look at it.
+"allow": everything else, including off-topic but friendly conversation and disagreement.
+Reply with one JSON object: { "decision": "allow" | "hold" | "reject", "categories": [short labels], "reason": one sentence }`;
+
+async function aiClassifier({ kind, text }) {
+  const result = await ai.generate('moderation', {
+    messages:    [{ role: 'system', content: GUIDELINES }, { role: 'user', content: `${kind}:\n${text}` }],
+    schema:      VERDICT_SCHEMA,
+    maxTokens:   200,
+    temperature: 0,
+    timeoutMs:   AI_TIMEOUT_MS,
+    signal:      AbortSignal.timeout(AI_TIMEOUT_MS),
+  });
+  const parsed = extractJson(result.text);
+  const errors = parsed.error ? [parsed.error] : validate(VERDICT_SCHEMA, parsed.value);
+  if (errors.length) throw new Error(`unusable verdict from ${result.provider}: ${errors[0]}`);
+  return { ...parsed.value, provider: result.provider };
+}
+
+let classifier = process.env.MODERATION_AI === 'true' ? aiClassifier : null;
+
+// Replace the classifier (null turns it off).
+function setClassifier(fn) {
+  classifier = fn;
+}
+
+// ── Decisions ─────────────────────────────────────────────────────────────────
+// submission: { kind: 'post'|'comment', userId, text, hasImage }
+// Returns { decision, status, reasons }; status is null for rejections.
+async function moderate(submission) {
+  const { decision: ruled, reasons } = engine.evaluate(submission);
+  let decision = ruled;
+
+  if (classifier && decision !== 'reject' && String(submission.text || '').trim()) {
+    try {
+      const verdict = await classifier(submission);
+      if (verdict.decision !== 'allow') {
+        reasons.push({ rule: 'classifier', action: verdict.decision, detail: [verdict.reason, ...(verdict.categories || [])].filter(Boolean).join('; ') });
+      }
+      if (SEVERITY[verdict.decision] > SEVERITY[decision]) decision = verdict.decision;
+    } catch (err) {
+      console.warn(`Moderation classifier failed, using rules only: ${err.message}`);
+    }
+  }
+
+  const status = { allow: STATUS.PUBLISHED, hold: STATUS.HELD, reject: null }[decision];
+  return { decision, status, reasons };
+}
+
+// Marks a stored submission for the flood/duplicate rules.
+function recordSubmission(submission) {
+  engine.record(submission);
+}
+
+// ── Audit trail ───────────────────────────────────────────────────────────────
+async function audit({ targetType, targetId = null, action, actor = 'system', reasons = [], note = null, userId = null, text = null }) {
+  const { data, error } = await supabase.from('moderation_actions').insert([{
+    target_type: targetType,
+    target_id:   targetId === null ? null : String(targetId),
+    action,
+    actor,
+    reasons,
+    note,
+    user_id:     userId,
+    excerpt:     text ? String(text).slice(0, 280) : null,
+  }]).select().single();
+  if (error) throw error;
+  return data;
+}
+
+// Records an automated hold or rejection; the submission goes through even if the log write fails.
+async function logDecision(kind, targetId, verdict, { userId, text }) {
+  if (verdict.decision === 'allow') return;
+  try {
+    await audit({ targetType: kind, targetId, action: verdict.decision, reasons: verdict.reasons, userId, text });
+  } catch (err) {
+    console.error('Moderation audit write failed:', err.message);
+  }
+}
+
+// filters: { targetType, targetId, actor, limit, offset }
+async function listAudit(filters = {}) {
+  const limit  = Math.min(200, Math.max(1, Number(filters.limit) || 50));
+  const offset = Math.max(0, Number(filters.offset) || 0);
+  let query = supabase.from('moderation_actions').select('*').order('created_at', { ascending: false });
+  if (filters.targetType) query = query.eq('target_type', filters.targetType);
+  if (filters.targetId)   query = query.eq('target_id', String(filters.targetId));
+  if (filters.actor)      query = query.eq('actor', filters.actor);
+  const { data, error } = await query.range(offset, offset + limit - 1);
+  if (error) throw error;
+  return data;
+}
+
+// ── Queue ─────────────────────────────────────────────────────────────────────
+// Held posts and comments, oldest first, each with the reasons it was held.
+async function listQueue({ type = null, limit = 50 } = {}) {
+  const kinds = type ? [type] : Object.keys(TABLES);
+  const rows  = [];
+  for (const kind of kinds) {
+    const { data, error } = await supabase.from(TABLES[kind]).select('*')
+      .eq('moderation_status', STATUS.HELD).order('created_at', { ascending: true }).limit(limit);
+    if (error) throw error;
+    rows.push(...data.map(row => ({ type: kind, ...row })));
+  }
+  rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const items = rows.slice(0, limit);
+  if (items.length === 0) return [];
+
+  const { data: holds, error } = await supabase.from('moderation_actions').select('target_type, target_id, reasons')
+    .eq('action', 'hold').in('target_id', items.map(i => String(i.id)));
+  if (error) throw error;
+  return items.map(item => ({
+    ...item,
+    reasons: holds.find(h => h.target_type === item.type && h.target_id === String(item.id))?.reasons || [],
+  }));
+}
+
+// action: 'approve' (held → published) or 'remove' (held or published → removed).
+async function decide(type, id, action, { actor, note = null }) {
+  const table = TABLES[type];
+  if (!table) throw new ModerationError(400, 'type must be post or comment');
+  const from = action === 'approve' ? [STATUS.HELD] : [STATUS.HELD, STATUS.PUBLISHED];
+  const to   = action === 'approve' ? STATUS.PUBLISHED : STATUS.REMOVED;
+
+  const { data, error } = await supabase.from(table).update({ moderation_status: to })
+    .eq('id', id).in('moderation_status', from).select().maybeSingle();
+  if (error) throw error;
+  if (!data) throw new ModerationError(404, `No ${from.join(' or ')} ${type} ${id}`);
+
+  const entry = await audit({ targetType: type, targetId: id, action, actor, note, userId: data.user_id, text: data.text });
+  return { [type]: data, audit: entry };
+}
+
+const isModerator = userId => Boolean(userId) && MODERATORS.has(userId);
+
+// Flooding is a rate problem (429); everything else is about the content (422).
+const rejectionStatus = verdict => (verdict.reasons.some(r => r.rule === 'flood' && r.action === 'reject') ? 429 : 422);
+
+module.exports = {
+  moderate, recordSubmission, logDecision, listQueue, decide, audit, listAudit, isModerator, rejectionStatus, setClassifier,
+  ModerationError, STATUS,
+};
@@ -0,0 +1,119 @@
+// lib/moderation/rules.js
+// Local rule engine for community posts and comments. Each rule looks at a
+// submission and may ask for 'hold' (moderator review) or 'reject'; the
+// strictest answer wins. The engine remembers recent submissions per user
+// for flood and duplicate detection.
+//
+// Rules are configured with MODERATION_RULES (JSON) or MODERATION_RULES_FILE
+// (path to a JSON file); either is merged over DEFAULT_RULES.
+
+const fs = require('fs');
+
+const DEFAULT_RULES = {
+  maxLength:          5000,  // characters; longer is rejected
+  bannedTerms:        [],    // whole words/phrases that reject a submission
+  holdTerms:          [],    // whole words/phrases that send it to review
+  blockedDomains:     [],    // links to these (or their subdomains) reject
+  maxLinks:           2,     // more links than this is held
+  maxRepeatedChars:   12,    // "!!!!!!!!!!!!!" style runs are held
+  maxCapsRatio:       0.7,   // shouting, for texts with at least 20 letters
+  duplicateWindowMs:  10 * 60 * 1000, // same text from the same user again is held
+  floodWindowMs:      60 * 1000,
+  floodMaxPerWindow:  5,     // more submissions per window are rejected
+};
+
+const SEVERITY = { allow: 0, hold: 1, reject: 2 };
+
+// Lower-case, strip accents and undo common character swaps ("fr33" → "free").
+function normalize(text) {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[0134578$@]/g, ch => ({ 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', $: 's', '@': 'a' }[ch]));
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regex per list, matching whole words/phrases of the normalized text.
+function termMatcher(terms) {
+  const cleaned = terms.map(t => normalize(t).trim()).filter(Boolean);
+  if (cleaned.length === 0) return () => [];
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(${cleaned.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+  return text => [...new Set([...normalize(text).matchAll(re)].map(m => m[1]))];
+}
+
+const LINK_RE = /\bhttps?:\/\/([^\s/?#]+)[^\s]*|\bwww\.([^\s/?#]+)[^\s]*/gi;
+
+function loadRules(env = process.env) {
+  let custom = {};
+  try {
+    if (env.MODERATION_RULES_FILE) custom = JSON.parse(fs.readFileSync(env.MODERATION_RULES_FILE, 'utf8'));
+    else if (env.MODERATION_RULES) custom = JSON.parse(env.MODERATION_RULES);
+  } catch (err) {
+    console.warn(`⚠️  Moderation rules could not be read (${err.message}), using defaults`);
+  }
+  return { ...DEFAULT_RULES, ...custom };
+}
+
+// ── Engine ────────────────────────────────────────────────────────────────────
+function createRuleEngine(rules = loadRules()) {
+  const banned  = termMatcher(rules.bannedTerms);
+  const held    = termMatcher(rules.holdTerms);
+  const history = new Map(); // userId → [{ at, text }]
+
+  const recentFor = (userId, now) => {
+    const window = Math.max(rules.floodWindowMs, rules.duplicateWindowMs);
+    const recent = (history.get(userId) || []).filter(h => now - h.at < window);
+    history.set(userId, recent);
+    return recent;
+  };
+
+  return {
+    rules,
+
+    // submission: { kind: 'post'|'comment', userId, text, hasImage }
+    // Returns { decision, reasons: [{ rule, action, detail }] }.
+    evaluate({ userId, text = '' }, now = Date.now()) {
+      const reasons = [];
+      const flag = (rule, action, detail) => reasons.push({ rule, action, detail });
+      const body = String(text || '');
+
+      if (body.length > rules.maxLength) flag('length', 'reject', `${body.length} characters (max ${rules.maxLength})`);
+
+      const bannedHits = banned(body);
+      if (bannedHits.length) flag('banned_terms', 'reject', `contains ${bannedHits.join(', ')}`);
+      const heldHits = held(body);
+      if (heldHits.length) flag('watched_terms', 'hold', `contains ${heldHits.join(', ')}`);
+
+      const hosts = [...body.matchAll(LINK_RE)].map(m => (m[1] || m[2]).toLowerCase().replace(/^www\./, ''));
+      const blocked = hosts.filter(h => rules.blockedDomains.some(d => h === d || h.endsWith(`.${d}`)));
+      if (blocked.length) flag('blocked_domain', 'reject', `links to ${[...new Set(blocked)].join(', ')}`);
+      if (hosts.length > rules.maxLinks) flag('links', 'hold', `${hosts.length} links (max ${rules.maxLinks})`);
+
+      if (new RegExp(`(.)\\1{${rules.maxRepeatedChars},}`, 'u').test(body)) flag('repeated_chars', 'hold', 'long run of one character');
+      const letters = body.match(/\p{L}/gu) || [];
+      const caps    = body.match(/\p{Lu}/gu) || [];
+      if (letters.length >= 20 && caps.length / letters.length > rules.maxCapsRatio) flag('caps', 'hold', 'mostly capital letters');
+
+      if (userId) {
+        const recent = recentFor(userId, now);
+        if (recent.filter(h => now - h.at < rules.floodWindowMs).length >= rules.floodMaxPerWindow) {
+          flag('flood', 'reject', `more than ${rules.floodMaxPerWindow} submissions in ${Math.round(rules.floodWindowMs / 1000)}s`);
+        }
+        const same = normalize(body).trim();
+        if (same && recent.some(h => h.text === same && now - h.at < rules.duplicateWindowMs)) {
+          flag('duplicate', 'hold', 'same text posted recently');
+        }
+      }
+
+      const decision = reasons.reduce((d, r) => (SEVERITY[r.action] > SEVERITY[d] ? r.action : d), 'allow');
+      return { decision, reasons };
+    },
+
+    // Called for submissions that were stored, so rejected ones don't count towards flooding.
+    record({ userId, text = '' }, now = Date.now()) {
+      if (!userId) return;
+      recentFor(userId, now).push({ at: now, text: normalize(text).trim() });
+    },
+  };
+}
+
+module.exports = { createRuleEngine, loadRules, normalize, DEFAULT_RULES, SEVERITY };
@@ -0,0 +1,241 @@
+// lib/notifications.js
+// Notifications for DAO members:
+//   comment  someone commented on your post
+//   reply    someone replied to your comment
+//   like     someone liked your post or comment; likes on the same item are
+//            batched into one unread notification for NOTIFICATION_LIKE_BATCH_MS
+//            (default 1 hour) — "Vega and 3 others liked your post"
+//   mention  someone wrote @yourname in a post or comment (names are matched
+//            against the author names members post under)
+// Nobody is notified about their own activity. Creating a notification never
+// fails the request that caused it; errors are logged.
+//
+// Live delivery: subscribe(userId, fn) gets every new or updated notification
+// and read-state change. Subscribers are per process, so behind several
+// instances a client only hears about events handled by the one it is
+// connected to; the list endpoint is always complete.
+
+const { EventEmitter }    = require('events');
+const supabase            = require('./supabase');
+const { extractMentions } = require('./tags');
+
+const TYPES          = ['comment', 'reply', 'like', 'mention'];
+const LIKE_BATCH_MS  = Number(process.env.NOTIFICATION_LIKE_BATCH_MS) || 60 * 60 * 1000;
+const EXCERPT_LENGTH = 140;
+const DEFAULT_SIZE   = 30;
+const MAX_SIZE       = 100;
+
+class NotificationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'NotificationError';
+    this.status = status;
+  }
+}
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+// Event names are prefixed so no member id can collide with the emitter's own
+// events ('error' would throw when emitted without a listener).
+const channel = userId => `user:${userId}`;
+
+// ── Presentation ──────────────────────────────────────────────────────────────
+const excerpt = text => (text ? String(text).slice(0, EXCERPT_LENGTH) : null);
+
+function message(n) {
+  const names = n.actors.map(a => a.name || 'Someone');
+  const who   = names.length <= 1 ? names[0] || 'Someone'
+    : names.length === 2 ? `${names[0]} and ${names[1]}`
+    : `${names[0]} and ${names.length - 1} others`;
+  const what  = n.target_type === 'post' ? 'post' : 'comment';
+  if (n.type === 'like')    return `${who} liked your ${what}`;
+  if (n.type === 'mention') return `${who} mentioned you in a ${what}`;
+  if (n.type === 'comment') return `${who} commented on your post`;
+  return `${who} replied to your comment`;
+}
+
+const present = n => ({ ...n, read: Boolean(n.read_at), message: message(n) });
+
+function publish(userId, event, data) {
+  hub.emit(channel(userId), { event, data });
+}
+
+// ── Creation ──────────────────────────────────────────────────────────────────
+async function insert(row) {
+  const { data, error } = await supabase.from('notifications').insert([row]).select().single();
+  if (error) throw error;
+  publish(row.user_id, 'notification', present(data));
+  return data;
+}
+
+// Adds the like to an unread like notification for the same item from the
+// batch window, or starts a new one.
+async function addLike({ recipient, targetType, targetId, postId, actor, text }) {
+  const since = new Date(Date.now() - LIKE_BATCH_MS).toISOString();
+  const { data: open, error } = await supabase.from('notifications').select('*')
+    .eq('user_id', recipient).eq('type', 'like').eq('target_type', targetType).eq('target_id', String(targetId))
+    .is('read_at', null).gte('updated_at', since)
+    .order('updated_at', { ascending: false }).limit(1).maybeSingle();
+  if (error) throw error;
+
+  if (!open) {
+    return insert({
+      user_id:     recipient,
+      type:        'like',
+      target_type: targetType,
+      target_id:   String(targetId),
+      post_id:     postId ? String(postId) : null,
+      actors:      [actor],
+      excerpt:     excerpt(text),
+    });
+  }
+  if (open.actors.some(a => a.id === actor.id)) return open;
+
+  const { data, error: updateError } = await supabase.from('notifications')
+    .update({ actors: [actor, ...open.actors], updated_at: new Date().toISOString() })
+    .eq('id', open.id).select().single();
+  if (updateError) throw updateError;
+  publish(recipient, 'notification', present(data));
+  return data;
+}
+
+// Member ids for mentioned author names, most recent poster of a name first.
+async function resolveMentions(names) {
+  if (names.length === 0) return [];
+  const found = new Map();
+  for (const table of ['posts', 'comments']) {
+    const { data, error } = await supabase.from(table).select('user_id, author, created_at')
+      .in('author', names).not('user_id', 'is', null).order('created_at', { ascending: false }).limit(200);
+    if (error) throw error;
+    data.forEach(r => {
+      const seen = found.get(r.author);
+      if (!seen || seen.created_at < r.created_at) found.set(r.author, r);
+    });
+  }
+  return [...new Set([...found.values()].map(r => r.user_id))];
+}
+
+async function notifyMentions(item, targetType, postId, skip) {
+  const recipients = (await resolveMentions(extractMentions(item.text))).filter(id => !skip.has(id));
+  for (const recipient of recipients) {
+    await insert({
+      user_id:     recipient,
+      type:        'mention',
+      target_type: targetType,
+      target_id:   String(item.id),
+      post_id:     String(postId),
+      actors:      [{ id: item.user_id, name: item.author || null }],
+      excerpt:     excerpt(item.text),
+    });
+  }
+}
+
+// Errors are logged, never thrown: the post, comment or like already happened.
+const safely = (label, fn) => async (...args) => {
+  try {
+    await fn(...args);
+  } catch (err) {
+    console.warn(`Notification (${label}) failed: ${err.message}`);
+  }
+};
+
+// A newly published post: its mentions.
+const notifyPost = safely('post', async post => {
+  await notifyMentions(post, 'post', post.id, new Set([post.user_id]));
+});
+
+// A newly published comment: the parent comment's author (or the post's
+// author for top-level comments), then its mentions.
+const notifyComment = safely('comment', async comment => {
+  const parent = comment.parent_id
+    ? await supabase.from('comments').select('user_id').eq('id', comment.parent_id).maybeSingle()
+    : await supabase.from('posts').select('user_id').eq('id', comment.post_id).maybeSingle();
+  if (parent.error) throw parent.error;
+
+  const skip      = new Set([comment.user_id]);
+  const recipient = parent.data && parent.data.user_id;
+  if (recipient && !skip.has(recipient)) {
+    await insert({
+      user_id:     recipient,
+      type:        comment.parent_id ? 'reply' : 'comment',
+      target_type: 'comment',
+      target_id:   String(comment.id),
+      post_id:     String(comment.post_id),
+      actors:      [{ id: comment.user_id, name: comment.author || null }],
+      excerpt:     excerpt(comment.text),
+    });
+    skip.add(recipient);
+  }
+  await notifyMentions(comment, 'comment', comment.post_id, skip);
+});
+
+// A like that was just added. actor: { id, name }.
+const notifyLike = safely('like', async (type, target, actor) => {
+  if (!target.user_id || target.user_id === actor.id) return;
+  await addLike({
+    recipient:  target.user_id,
+    targetType: type,
+    targetId:   target.id,
+    postId:     type === 'post' ? target.id : target.post_id,
+    actor:      { id: actor.id, name: actor.name || null },
+    text:       target.text,
+  });
+});
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+async function unreadCount(userId) {
+  const { count, error } = await supabase.from('notifications')
+    .select('id', { count: 'exact', head: true }).eq('user_id', userId).is('read_at', null);
+  if (error) throw error;
+  return count;
+}
+
+// options: { unread, type, before (updated_at of the last one seen), limit }
+// Returns { notifications, unread, nextBefore }.
+async function listNotifications(userId, options = {}) {
+  if (!userId) throw new NotificationError(400, 'userId required');
+  if (options.type && !TYPES.includes(options.type)) throw new NotificationError(400, `type must be one of ${TYPES.join(', ')}`);
+  const limit = Math.min(MAX_SIZE, Math.max(1, Number(options.limit) || DEFAULT_SIZE));
+
+  let query = supabase.from('notifications').select('*').eq('user_id', userId);
+  if (options.unread === true || options.unread === 'true') query = query.is('read_at', null);
+  if (options.type)   query = query.eq('type', options.type);
+  if (options.before) query = query.lt('updated_at', options.before);
+  const { data, error } = await query.order('updated_at', { ascending: false }).limit(limit);
+  if (error) throw error;
+
+  return {
+    notifications: data.map(present),
+    unread:        await unreadCount(userId),
+    nextBefore:    data.length === limit ? data[data.length - 1].updated_at : null,
+  };
+}
+
+// Marks some (ids) or all (ids = null) of userId's notifications read or unread.
+// Returns { updated, unread }.
+async function markRead(userId, ids, read = true) {
+  if (!userId) throw new NotificationError(400, 'userId required');
+  if (ids !== null && (!Array.isArray(ids) || ids.length === 0)) throw new NotificationError(400, 'ids must be a non-empty array');
+
+  let query = supabase.from('notifications').update({ read_at: read ? new Date().toISOString() : null }).eq('user_id', userId);
+  query = ids ? query.in('id', ids) : query.is('read_at', null);
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+
+  const unread = await unreadCount(userId);
+  publish(userId, 'read', { ids: data.map(n => n.id), read, unread });
+  return { updated: data.length, unread };
+}
+
+// ── Live delivery ─────────────────────────────────────────────────────────────
+// fn({ event: 'notification' | 'read', data }); returns the unsubscribe function.
+function subscribe(userId, fn) {
+  hub.on(channel(userId), fn);
+  return () => hub.off(channel(userId), fn);
+}
+
+module.exports = {
+  notifyPost, notifyComment, notifyLike, listNotifications, markRead, unreadCount, subscribe,
+  NotificationError, TYPES,
+};
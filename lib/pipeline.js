@@ -0,0 +1,228 @@
+// lib/pipeline.js
+// Discovery pipeline: plate-solve an observation (lib/solvers), fetch a
+// reference cutout of the same field (lib/surveys), compare the two and
+// cross-match the changes against the bundled catalogs (lib/catalogs).
+// Runs inside a job (lib/jobs.js) and reports each stage through job.progress().
+// Plate solutions are cached by image hash (lib/cache).
+
+const crypto                = require('crypto');
+const Jimp                  = require('jimp');
+const { getSolver }         = require('./solvers');
+const { fetchReference }    = require('./surveys');
+const { extractCandidates } = require('./candidates');
+const { classifyCandidates, LABELS } = require('./classifier');
+const { registerToReference, referenceGeometry, luminance } = require('./registration');
+const { calibrationFromWcs } = require('./wcs');
+const { publishArtifacts }   = require('./artifacts');
+const { crossMatch, fieldObjects } = require('./catalogs');
+const { cached, hashKey }    = require('./cache');
+const fits = require('./fits');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SCIENTIFIC HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+// Decodes an upload into a Jimp image. FITS data gets a linear stretch and
+// its header WCS (if any) is kept so plate solving can be skipped.
+async function loadObservation(buffer, filename) {
+  try {
+    return await decodeObservation(buffer, filename);
+  } catch (err) {
+    err.code = err.code || 'BAD_IMAGE';
+    throw err;
+  }
+}
+
+async function decodeObservation(buffer, filename) {
+  if (fits.isFits(buffer)) {
+    const decoded = fits.readImage(buffer);
+    const { image, stretch } = fits.stretchToImage(decoded);
+    return {
+      format:   'fits',
+      filename: /\.(fits?|fts)$/i.test(filename || '') ? filename : 'observation.fits',
+      image,
+      stretch,
+      wcs:      fits.wcsFromHeader(decoded.header),
+    };
+  }
+  return { format: 'image', filename: filename || 'observation.jpg', image: await Jimp.read(buffer), wcs: null };
+}
+
+// Difference image (primary HDU, reference-grid WCS) + CANDIDATES table.
+function buildDifferenceFits(diff, reference, candidates, survey) {
+  const n = reference.pixels;
+  const primary = fits.imageHdu(diff, n, n, {
+    wcs:    reference.wcs,
+    extend: true,
+    cards:  [
+      ['BUNIT', 'ADU', 'user minus flux-matched reference (8-bit units)'],
+      ['REFSURV', survey.label],
+      ['ORIGIN', 'AstroVision'],
+    ],
+  });
+  const table = fits.tableHdu('CANDIDATES', [
+    { name: 'ID',         type: 'J' },
+    { name: 'RA',         type: 'D', unit: 'deg' },
+    { name: 'DEC',        type: 'D', unit: 'deg' },
+    { name: 'X',          type: 'E', unit: 'pix' },
+    { name: 'Y',          type: 'E', unit: 'pix' },
+    { name: 'AREA',       type: 'J', unit: 'pix' },
+    { name: 'PEAK',       type: 'E' },
+    { name: 'FLUX',       type: 'E' },
+    { name: 'SNR',        type: 'E' },
+    { name: 'ELONG',      type: 'E' },
+    { name: 'CLASS',      type: '24A' },
+    { name: 'CONFIDENCE', type: 'E' },
+  ], candidates.map(c => ({
+    ID: c.id, RA: c.ra, DEC: c.dec,
+    // FITS pixels are 1-based and the image is written bottom-up
+    X: c.pixel.x + 1, Y: n - c.pixel.y,
+    AREA: c.area, PEAK: c.peakDelta, FLUX: c.integratedDelta, SNR: c.snr, ELONG: c.elongation,
+    CLASS: c.classification.label, CONFIDENCE: c.classification.confidence,
+  })));
+  return Buffer.concat([primary, table]);
+}
+
+// Registers the user frame onto the reference grid, differences the two
+// after flux matching and segments the residual into candidates.
+function performChangeDetection(userImg, refImg, calibration, reference) {
+  try {
+    const n = reference.pixels;
+
+    const registered = registerToReference(userImg, calibration, reference);
+    const frames     = { user: registered.data, ref: luminance(refImg.bitmap), mask: registered.mask };
+    const { candidates, stats, diff } = extractCandidates({ ...frames, n, refWcs: reference.wcs });
+    return { candidates, stats, diff, frames, registration: registered.params };
+  } catch (e) {
+    console.error('Comparison Error:', e.message);
+    return { candidates: [], stats: null, registration: null, error: e.message };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PIPELINE
+// ─────────────────────────────────────────────────────────────────────────────
+const DESCRIPTIONS = {
+  [LABELS.NEW_POINT_SOURCE]:      'New point source',
+  [LABELS.BRIGHTENED_SOURCE]:     'Brightened source',
+  [LABELS.FADED_SOURCE]:          'Faded source',
+  [LABELS.KNOWN_VARIABLE]:        'Known variable star',
+  [LABELS.CATALOGUED_SOURCE]:     'Residual of a catalogued star',
+  [LABELS.LINEAR_STREAK]:         'Linear streak',
+  [LABELS.HOT_PIXEL]:             'Hot pixel / cosmic ray',
+  [LABELS.EDGE_ARTIFACT]:         'Edge or registration artifact',
+  [LABELS.NO_SIGNIFICANT_CHANGE]: 'Region stable',
+};
+
+function describe(summary, candidates) {
+  if (summary.confidence === 0) return 'Comparison unavailable.';
+  if (summary.label === LABELS.NO_SIGNIFICANT_CHANGE) {
+    return candidates.length ? `Region stable (${candidates.length} residual(s) explained as artifacts).` : 'Region stable.';
+  }
+  const top   = candidates.find(c => c.id === summary.candidateId);
+  const known = top.catalogMatch?.source;
+  const what  = known ? `${DESCRIPTIONS[summary.label]} ${known.designation || known.id}${known.name ? ` (${known.name})` : ''}`
+                      : DESCRIPTIONS[summary.label];
+  return `${what} at RA ${top.ra.toFixed(4)}, Dec ${top.dec.toFixed(4)} `
+    + `(S/N ${top.snr}, ${Math.round(summary.confidence * 100)}% confidence).`;
+}
+
+// sha256 of the submitted bytes; saved with the discovery so a later
+// identification of the same image can be grounded in its plate solution.
+const imageHash = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+async function runDiscovery(job, { imageBuffer, filename, hints, classifierThresholds, surveys, outputs = [], useCache = true }) {
+  const { signal } = job;
+  const obs        = await loadObservation(imageBuffer, filename);
+  const cache      = {};
+
+  let calibration;
+  let solverName;
+  if (obs.wcs) {
+    solverName  = 'fits-header';
+    calibration = { ...calibrationFromWcs(obs.wcs, obs.image.bitmap.width, obs.image.bitmap.height), wcs: obs.wcs };
+    job.progress('solving', { solver: solverName, skipped: true });
+  } else {
+    // the same bytes with the same hints solve to the same field, so re-sent images skip the solver
+    const solver = getSolver();
+    solverName   = solver.name;
+    const solved = await cached('platesolve', hashKey(imageBuffer, solver.name, hints || {}), () => solver.solve(imageBuffer, {
+      hints,
+      signal,
+      filename:   obs.filename,
+      onProgress: (stage, data) => job.progress(stage, { solver: solver.name, ...data }),
+    }), { signal, bypass: !useCache });
+    calibration = solved.value;
+    cache.plateSolve = solved.cache;
+    if (solved.cache.status === 'hit' || solved.cache.status === 'shared') {
+      job.progress('solving', { solver: solver.name, cached: solved.cache.status });
+    }
+  }
+
+  const reference = referenceGeometry(calibration);
+  let survey = null;
+  let detection;
+  try {
+    survey = await fetchReference(calibration, reference, {
+      priority:  surveys,
+      signal,
+      onAttempt: id => job.progress('reference', { survey: id, ra: calibration.ra, dec: calibration.dec, sizeDeg: reference.sizeDeg }),
+    });
+    job.progress('comparison', { survey: survey.id });
+    detection = performChangeDetection(obs.image, survey.image, calibration, reference);
+  } catch (err) {
+    if (signal.aborted) throw err;
+    console.error('Reference Error:', err.message);
+    detection = { candidates: [], stats: null, registration: null, error: err.message, tried: err.tried };
+  }
+
+  // Known variables and bright stars must not come out as new transients.
+  job.progress('catalog', { candidates: detection.candidates.length });
+  const field   = fieldObjects(calibration.ra, calibration.dec, calibration.radius);
+  const matched = crossMatch(detection.candidates, { radiusArcsec: Math.max(5, 1.5 * reference.pixscale) });
+
+  job.progress('classification', { candidates: matched.length });
+  const { candidates, summary, thresholds } = classifyCandidates(matched, classifierThresholds);
+  if (detection.error) {
+    // nothing was compared, so "stable" must not look like a confident answer
+    Object.assign(summary, { confidence: 0, reasons: [`comparison failed: ${detection.error}`] });
+  }
+
+  let artifacts = null;
+  if (detection.frames) {
+    job.progress('artifacts', { candidates: candidates.length });
+    artifacts = await publishArtifacts(job, detection, candidates, reference);
+  }
+
+  const files = {};
+  if (outputs.includes('fits') && detection.diff) {
+    job.progress('output', { format: 'fits' });
+    files.differenceFits = job.attachFile('difference.fits', 'application/fits',
+      buildDifferenceFits(detection.diff, reference, candidates, survey));
+  }
+
+  return {
+    coords:          { ra: calibration.ra.toFixed(4), dec: calibration.dec.toFixed(4) },
+    fieldRadius:     +calibration.radius.toFixed(4),
+    historicalImage: survey ? survey.url : null,
+    reference:       survey
+      ? { survey: survey.id, label: survey.label, band: survey.band, epoch: survey.epoch, url: survey.url, skipped: survey.tried }
+      : { survey: null, skipped: detection.tried || [] },
+    discovery:       describe(summary, candidates),
+    type:            summary.label,
+    confidence:      summary.confidence,
+    classification:  { ...summary, thresholds },
+    rawScore:        detection.stats ? detection.stats.significantPixels : 0,
+    solver:          solverName,
+    imageHash:       imageHash(imageBuffer),
+    cache,
+    field,
+    input:           { format: obs.format, ...(obs.stretch && { stretch: obs.stretch }) },
+    registration:    detection.registration,
+    candidates,
+    differenceStats: detection.stats,
+    artifacts,
+    files,
+  };
+}
+
+module.exports = { runDiscovery, imageHash, performChangeDetection, loadObservation, describe, DESCRIPTIONS };
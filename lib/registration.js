@@ -0,0 +1,113 @@
+// lib/registration.js
+// Puts the user's frame onto the reference cutout's pixel grid using the
+// solved WCS, so rotation, flips and plate-scale differences are removed
+// before anything is compared.
+
+const { pixelToSky, skyToPixel, wcsFromCalibration } = require('./wcs');
+
+const REF_PIXELS       = 500;
+const MIN_REF_SIZE_DEG = 0.02;
+const MAX_REF_SIZE_DEG = 5;
+
+// ── Reference grid ────────────────────────────────────────────────────────────
+// SkyView returns north-up, east-left TAN cutouts centred on `position`.
+// `size` covers the full solved field (radius is centre-to-corner).
+function referenceGeometry(calibration, pixels = REF_PIXELS) {
+  const sizeDeg = Math.min(MAX_REF_SIZE_DEG, Math.max(MIN_REF_SIZE_DEG, 2 * calibration.radius));
+  const scale   = sizeDeg / pixels;
+  return {
+    sizeDeg,
+    pixels,
+    pixscale: scale * 3600,
+    wcs: {
+      crval: [calibration.ra, calibration.dec],
+      crpix: [pixels / 2, pixels / 2],
+      cd:    [-scale, 0, 0, -scale], // rows run north → south
+    },
+  };
+}
+
+// ── Pixel helpers ─────────────────────────────────────────────────────────────
+// Jimp bitmap → Float32Array luminance (0..255).
+function luminance(bitmap) {
+  const { width, height, data } = bitmap;
+  const out = new Float32Array(width * height);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return out;
+}
+
+function sampleBilinear(values, width, height, x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const top    = values[y0 * width + x0] * (1 - fx) + values[y0 * width + x1] * fx;
+  const bottom = values[y1 * width + x0] * (1 - fx) + values[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+function scaleWcs(wcs, factor) {
+  return {
+    crval: wcs.crval,
+    crpix: [wcs.crpix[0] * factor, wcs.crpix[1] * factor],
+    cd:    wcs.cd.map(v => v / factor),
+  };
+}
+
+// ── Registration ──────────────────────────────────────────────────────────────
+// userImg is a Jimp image in the orientation the solver saw. Returns the
+// resampled luminance on the reference grid, a footprint mask (1 where the
+// user frame covers the reference) and the parameters that were applied.
+function registerToReference(userImg, calibration, reference) {
+  let userWcs = calibration.wcs || wcsFromCalibration(calibration, userImg.bitmap.width, userImg.bitmap.height);
+
+  // Shrink oversampled frames first so bilinear sampling doesn't alias.
+  const shrink = calibration.pixscale / reference.pixscale;
+  let img = userImg;
+  if (shrink < 0.5) {
+    const width = Math.max(1, Math.round(userImg.bitmap.width * shrink));
+    img     = userImg.clone().resize(width, Math.max(1, Math.round(userImg.bitmap.height * shrink)));
+    userWcs = scaleWcs(userWcs, img.bitmap.width / userImg.bitmap.width);
+  }
+
+  const { width, height } = img.bitmap;
+  const source = luminance(img.bitmap);
+  const n      = reference.pixels;
+  const data   = new Float32Array(n * n);
+  const mask   = new Uint8Array(n * n);
+  let covered  = 0;
+
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const sky = pixelToSky(reference.wcs, x, y);
+      const p   = skyToPixel(userWcs, sky.ra, sky.dec);
+      if (!p || p.x < 0 || p.y < 0 || p.x > width - 1 || p.y > height - 1) continue;
+      const i = y * n + x;
+      data[i] = sampleBilinear(source, width, height, p.x, p.y);
+      mask[i] = 1;
+      covered++;
+    }
+  }
+
+  return {
+    data,
+    mask,
+    params: {
+      method:             'wcs',
+      referenceSizeDeg:   reference.sizeDeg,
+      referencePixels:    n,
+      referencePixscale:  reference.pixscale,
+      userPixscale:       calibration.pixscale,
+      scale:              calibration.pixscale / reference.pixscale,
+      rotationDeg:        calibration.orientation,
+      parity:             calibration.parity,
+      overlapFraction:    covered / (n * n),
+    },
+  };
+}
+
+module.exports = { registerToReference, referenceGeometry, luminance, REF_PIXELS };
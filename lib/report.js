@@ -0,0 +1,352 @@
+// lib/report.js
+// Discovery reports: turns a pipeline result (a finished job or a saved
+// discovery) into a write-up with position, survey comparison images,
+// classification, nearby catalogued objects and a narrative from the chat
+// model. Rendered as Markdown (image links) or a self-contained HTML page
+// (images embedded as data URIs).
+
+const ai = require('./ai');
+const { SYSTEM_PROMPT } = require('./chat');
+const { cached, hashKey } = require('./cache');
+const { fieldObjects, displayName } = require('./catalogs');
+const { describe, DESCRIPTIONS } = require('./pipeline');
+const { formatAngle } = require('./artifacts');
+const { SURVEYS } = require('./surveys');
+
+const IMAGE_TIMEOUT_MS = 10 * 1000;
+const MAX_IMAGE_BYTES  = 10 * 1024 * 1024;
+const MAX_CANDIDATES   = 8;
+
+const REVIEW_LABELS = {
+  pending:      'awaiting review',
+  under_review: 'under review',
+  confirmed:    'confirmed by the community',
+  rejected:     'rejected as a false positive',
+};
+
+const IMAGES = [
+  ['sideBySide', 'Your image (left) and the reference survey (right)'],
+  ['diffMap',    'Difference map: red brighter now, blue fainter'],
+  ['overlay',    'Candidates on your image'],
+];
+
+// ── Sources ───────────────────────────────────────────────────────────────────
+// Both kinds of analysis are reduced to the same shape before rendering.
+// images: { name: { url, buffer } }; buffer is set when the bytes are at hand.
+function fromJob(job) {
+  const r = job.result;
+  const images = {};
+  for (const [name] of IMAGES) {
+    if (!r.artifacts?.[name]) continue;
+    images[name] = { url: r.artifacts[name], buffer: job.files.get(`${name}.png`)?.buffer || null };
+  }
+  if (r.historicalImage) images.reference = { url: r.historicalImage, buffer: null };
+
+  return {
+    analysis:       r.discoveryId
+      ? { kind: 'discovery', id: r.discoveryId, path: `/api/discoveries/${r.discoveryId}` }
+      : { kind: 'job', id: job.id, path: `/api/discovery-jobs/${job.id}` },
+    discoveryId:    r.discoveryId || null,
+    jobId:          job.id,
+    createdAt:      new Date(job.finishedAt || job.createdAt).toISOString(),
+    ra:             Number(r.coords.ra),
+    dec:            Number(r.coords.dec),
+    fieldRadius:    r.fieldRadius,
+    type:           r.type,
+    confidence:     r.confidence,
+    score:          r.rawScore,
+    headline:       r.discovery,
+    classification: r.classification,
+    candidates:     r.candidates,
+    survey:         r.reference?.survey ? { id: r.reference.survey, label: r.reference.label, epoch: r.reference.epoch } : null,
+    solver:         r.solver,
+    field:          r.field || fieldObjects(Number(r.coords.ra), Number(r.coords.dec), r.fieldRadius || 0.25),
+    images,
+  };
+}
+
+function fromDiscovery(row) {
+  const images = {};
+  for (const [name] of IMAGES) if (row.images?.[name]) images[name] = { url: row.images[name], buffer: null };
+  if (row.images?.reference) images.reference = { url: row.images.reference, buffer: null };
+
+  return {
+    analysis:       { kind: 'discovery', id: row.id, path: `/api/discoveries/${row.id}` },
+    discoveryId:    row.id,
+    jobId:          row.job_id,
+    createdAt:      row.created_at,
+    ra:             row.ra,
+    dec:            row.dec,
+    fieldRadius:    row.field_radius,
+    type:           row.type,
+    confidence:     row.confidence,
+    score:          row.score,
+    headline:       describe({ ...row.classification, label: row.type, confidence: row.confidence }, row.candidates || []),
+    classification: row.classification || {},
+    candidates:     row.candidates || [],
+    survey:         row.survey ? { id: row.survey, label: SURVEYS[row.survey]?.label || row.survey, epoch: row.survey_epoch } : null,
+    solver:         row.solver,
+    reviewStatus:   row.review_status || null,
+    field:          fieldObjects(row.ra, row.dec, row.field_radius || 0.25),
+    images,
+  };
+}
+
+// ── Narrative ─────────────────────────────────────────────────────────────────
+const position = (ra, dec) => `RA ${formatAngle(ra, true)} (${ra.toFixed(4)}°), Dec ${formatAngle(dec, false)} (${dec.toFixed(4)}°)`;
+
+const matchText = c => {
+  const m = c.catalogMatch || {};
+  return [
+    m.source && `${m.source.designation || m.source.id}${m.source.name ? ` (${m.source.name})` : ''}, ${m.source.separationArcsec}" away`,
+    m.host && `inside ${displayName(m.host)}`,
+  ].filter(Boolean).join('; ');
+};
+
+function facts(src) {
+  const objects = src.field.dsos.slice(0, 5).map(o => `${displayName(o)}${o.name ? ` (${o.name})` : ''}, ${o.type}`);
+  return [
+    `Result: ${src.headline}`,
+    `Classification: ${DESCRIPTIONS[src.type] || src.type}, ${Math.round(src.confidence * 100)}% confidence`,
+    `Reasons: ${(src.classification.reasons || []).join('; ') || 'none given'}`,
+    `Field centre: ${position(src.ra, src.dec)}, radius ${src.fieldRadius}°`,
+    src.survey ? `Compared against ${src.survey.label} (epoch ${src.survey.epoch || 'unknown'})` : 'No reference survey could be compared',
+    `Field: ${src.field.description}`,
+    objects.length ? `Catalogued objects in the field: ${objects.join('; ')}` : null,
+  ].filter(Boolean).join('\n');
+}
+
+// { text, provider } from the chat model, or null when none is configured
+// or it fails — the report stands without it.
+async function writeNarrative(src) {
+  if (!ai.isConfigured('chat')) return null;
+  const params = {
+    messages: [
+      {
+        role:    'system',
+        content: `${SYSTEM_PROMPT} Write the narrative of an observing report for the community feed: two short paragraphs, `
+          + 'under 180 words, plain prose, no headings. Use only the facts given and say plainly how certain the result is.',
+      },
+      { role: 'user', content: facts(src) },
+    ],
+    maxTokens:   400,
+    temperature: 0.4,
+  };
+  try {
+    const { value } = await cached('chat', hashKey(params, ai.describeProviders().chat), async () => {
+      const { text, provider } = await ai.generate('chat', params);
+      return { text: text.trim(), provider };
+    });
+    return value.text ? value : null;
+  } catch (err) {
+    console.warn(`Report narrative failed: ${err.message}`);
+    return null;
+  }
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+// baseUrl turns relative API paths into links that work outside the API.
+async function buildReport(src, { baseUrl = '', narrative = true } = {}) {
+  const absolute = url => (url && url.startsWith('/') ? `${baseUrl}${url}` : url);
+  const main     = src.field.mainObject;
+  const story    = narrative ? await writeNarrative(src) : null;
+
+  return {
+    title:       `${DESCRIPTIONS[src.type] || src.type} ${main ? `near ${displayName(main)}${main.name ? ` (${main.name})` : ''}` : `at RA ${src.ra.toFixed(3)}°, Dec ${src.dec.toFixed(3)}°`}`,
+    analysis:    { ...src.analysis, url: absolute(src.analysis.path) },
+    createdAt:   src.createdAt,
+    headline:    src.headline,
+    narrative:   story?.text || null,
+    narrativeProvider: story?.provider || null,
+    position:    { ra: src.ra, dec: src.dec, text: position(src.ra, src.dec), fieldRadius: src.fieldRadius },
+    classification: {
+      type:       src.type,
+      label:      DESCRIPTIONS[src.type] || src.type,
+      confidence: src.confidence,
+      reasons:    src.classification.reasons || [],
+    },
+    score:       src.score,
+    reviewStatus: src.reviewStatus || null,
+    survey:      src.survey,
+    solver:      src.solver,
+    candidates:  src.candidates.slice(0, MAX_CANDIDATES).map(c => ({
+      id:         c.id,
+      ra:         c.ra,
+      dec:        c.dec,
+      snr:        c.snr,
+      label:      c.classification?.label || null,
+      confidence: c.classification?.confidence ?? null,
+      match:      matchText(c),
+    })),
+    field:       {
+      description: src.field.description,
+      objects:     src.field.dsos.slice(0, 10).map(o => ({
+        name:          displayName(o),
+        commonName:    o.name || null,
+        type:          o.type,
+        mag:           o.mag ?? null,
+        separationDeg: o.separationDeg,
+      })),
+    },
+    images:      Object.fromEntries(Object.entries(src.images).map(([k, v]) => [k, absolute(v.url)])),
+  };
+}
+
+// ── Markdown ──────────────────────────────────────────────────────────────────
+const pct = v => `${Math.round(v * 100)}%`;
+
+function renderMarkdown(report) {
+  const r = report;
+  const lines = [
+    `# ${r.title}`,
+    '',
+    `*${r.headline}* — analysis of ${String(r.createdAt).slice(0, 10)}`,
+    '',
+  ];
+  if (r.narrative) lines.push(r.narrative, '');
+
+  lines.push(
+    '## Summary',
+    '',
+    '| | |',
+    '|---|---|',
+    `| Position | ${r.position.text} |`,
+    `| Field radius | ${r.position.fieldRadius}° |`,
+    `| Classification | ${r.classification.label} (${pct(r.classification.confidence)} confidence) |`,
+    `| Score | ${r.score} significant pixels |`,
+    `| Reference survey | ${r.survey ? `${r.survey.label}${r.survey.epoch ? `, epoch ${r.survey.epoch}` : ''}` : 'none available'} |`,
+    `| Plate solution | ${r.solver} |`,
+    ...(r.reviewStatus ? [`| Peer review | ${REVIEW_LABELS[r.reviewStatus] || r.reviewStatus} |`] : []),
+    '',
+  );
+  if (r.classification.reasons.length) lines.push(...r.classification.reasons.map(x => `- ${x}`), '');
+
+  if (r.candidates.length) {
+    lines.push('## Candidates', '', '| # | RA | Dec | Label | S/N | Catalogue |', '|---|---|---|---|---|---|');
+    for (const c of r.candidates) {
+      lines.push(`| ${c.id} | ${c.ra.toFixed(5)} | ${c.dec.toFixed(5)} | ${c.label ? DESCRIPTIONS[c.label] || c.label : ''} | ${c.snr} | ${c.match || '—'} |`);
+    }
+    lines.push('');
+  }
+
+  const shown = IMAGES.filter(([name]) => r.images[name]);
+  if (shown.length || r.images.reference) {
+    lines.push('## Survey comparison', '');
+    for (const [name, caption] of shown) lines.push(`![${caption}](${r.images[name]})`, `*${caption}*`, '');
+    if (r.images.reference) lines.push(`[Reference survey cutout](${r.images.reference})`, '');
+  }
+
+  lines.push('## Catalogued objects in the field', '', r.field.description, '');
+  for (const o of r.field.objects) {
+    lines.push(`- **${o.name}**${o.commonName ? ` (${o.commonName})` : ''} — ${o.type}${o.mag != null ? `, mag ${o.mag}` : ''}, ${o.separationDeg.toFixed(2)}° from centre`);
+  }
+  lines.push('', '---', `[Full analysis](${r.analysis.url})`);
+  return lines.join('\n');
+}
+
+// ── HTML ──────────────────────────────────────────────────────────────────────
+const escapeHtml = s => String(s ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+// Bytes for embedding: the buffer we already have, else a bounded download.
+async function imageBytes(image) {
+  if (image.buffer) return { buffer: image.buffer, type: 'image/png' };
+  if (!/^https?:\/\//i.test(image.url || '')) return null;
+  try {
+    const response = await fetch(image.url, { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS) });
+    const type     = response.headers.get('content-type') || '';
+    if (!response.ok || !type.startsWith('image/')) return null;
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return buffer.length <= MAX_IMAGE_BYTES ? { buffer, type } : null;
+  } catch (err) {
+    console.warn(`Report image ${image.url} not embedded: ${err.message}`);
+    return null;
+  }
+}
+
+const STYLE = `body{font:16px/1.5 system-ui,sans-serif;max-width:860px;margin:2em auto;padding:0 1em;color:#e8e8f0;background:#0b0d17}
+h1{font-size:1.6em;margin-bottom:.2em}h2{font-size:1.2em;margin-top:2em;border-bottom:1px solid #333}
+a{color:#8ab4ff}table{border-collapse:collapse;width:100%}td,th{border:1px solid #333;padding:.3em .6em;text-align:left}
+figure{margin:1.5em 0}img{max-width:100%;image-rendering:pixelated;border:1px solid #333}figcaption,.meta{color:#9a9ab0;font-size:.9em}`;
+
+// src: the source the report was built from (for image bytes).
+async function renderHtml(report, src) {
+  const r = report;
+  const figures = [];
+  for (const [name, caption] of IMAGES) {
+    if (!src.images[name]) continue;
+    const bytes = await imageBytes(src.images[name]);
+    const href  = bytes ? `data:${bytes.type};base64,${bytes.buffer.toString('base64')}` : r.images[name];
+    figures.push(`<figure><img src="${escapeHtml(href)}" alt="${escapeHtml(caption)}"><figcaption>${escapeHtml(caption)}</figcaption></figure>`);
+  }
+  const row = (k, v) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(r.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(r.title)}</h1>
+<p class="meta">${escapeHtml(r.headline)} — analysis of ${escapeHtml(String(r.createdAt).slice(0, 10))}</p>
+${r.narrative ? r.narrative.split(/\n\s*\n/).map(p => `<p>${escapeHtml(p.trim())}</p>`).join('\n') : ''}
+<h2>Summary</h2>
+<table>
+${row('Position', r.position.text)}
+${row('Field radius', `${r.position.fieldRadius}°`)}
+${row('Classification', `${r.classification.label} (${pct(r.classification.confidence)} confidence)`)}
+${row('Score', `${r.score} significant pixels`)}
+${row('Reference survey', r.survey ? `${r.survey.label}${r.survey.epoch ? `, epoch ${r.survey.epoch}` : ''}` : 'none available')}
+${row('Plate solution', r.solver)}
+${r.reviewStatus ? row('Peer review', REVIEW_LABELS[r.reviewStatus] || r.reviewStatus) : ''}
+</table>
+${r.classification.reasons.length ? `<ul>${r.classification.reasons.map(x => `<li>${escapeHtml(x)}</li>`).join('')}</ul>` : ''}
+${r.candidates.length ? `<h2>Candidates</h2>
+<table>
+<tr><th>#</th><th>RA</th><th>Dec</th><th>Label</th><th>S/N</th><th>Catalogue</th></tr>
+${r.candidates.map(c => `<tr><td>${c.id}</td><td>${c.ra.toFixed(5)}</td><td>${c.dec.toFixed(5)}</td><td>${escapeHtml(c.label ? DESCRIPTIONS[c.label] || c.label : '')}</td><td>${c.snr}</td><td>${escapeHtml(c.match || '—')}</td></tr>`).join('\n')}
+</table>` : ''}
+${figures.length ? `<h2>Survey comparison</h2>\n${figures.join('\n')}` : ''}
+${r.images.reference ? `<p><a href="${escapeHtml(r.images.reference)}">Reference survey cutout</a></p>` : ''}
+<h2>Catalogued objects in the field</h2>
+<p>${escapeHtml(r.field.description)}</p>
+<ul>
+${r.field.objects.map(o => `<li><strong>${escapeHtml(o.name)}</strong>${o.commonName ? ` (${escapeHtml(o.commonName)})` : ''} — ${escapeHtml(o.type)}${o.mag != null ? `, mag ${o.mag}` : ''}, ${o.separationDeg.toFixed(2)}° from centre</li>`).join('\n')}
+</ul>
+<hr>
+<p class="meta"><a href="${escapeHtml(r.analysis.url)}">Full analysis</a></p>
+</body>
+</html>
+`;
+}
+
+// ── Publishing ────────────────────────────────────────────────────────────────
+// Image to attach to the feed post: the annotated overlay if there is one.
+async function reportImage(src) {
+  for (const name of ['overlay', 'sideBySide', 'diffMap', 'reference']) {
+    if (!src.images[name]) continue;
+    const bytes = await imageBytes(src.images[name]);
+    if (bytes) return { ...bytes, name };
+  }
+  return null;
+}
+
+// Text of the feed post: the narrative (or headline), key facts and the link back.
+function postText(report) {
+  return [
+    report.title,
+    '',
+    report.narrative || report.headline,
+    '',
+    `📍 ${report.position.text}`,
+    `🔭 ${report.classification.label}, ${pct(report.classification.confidence)} confidence`
+      + (report.survey ? ` (compared with ${report.survey.label})` : ''),
+    report.field.objects.length ? `🌌 In the field: ${report.field.objects.slice(0, 3).map(o => o.name).join(', ')}` : null,
+    '',
+    `Full analysis: ${report.analysis.url}`,
+  ].filter(line => line !== null).join('\n');
+}
+
+module.exports = { fromJob, fromDiscovery, buildReport, renderMarkdown, renderHtml, reportImage, postText };
@@ -0,0 +1,203 @@
+// lib/retrieval.js
+// Retrieval for grounded chat: finds the asking user's discoveries and the
+// DAO posts/comments relevant to a question, ranked locally (no vector
+// service). A document scores on keyword overlap (BM25), on sky proximity to
+// objects or coordinates named in the question, and on recency when the
+// question asks about recent work. The result is a prompt block whose
+// entries the model cites as [D1], [P2], [C3].
+
+const supabase    = require('./supabase');
+const discoveries = require('./discoveries');
+const { resolveNames, fieldObjects } = require('./catalogs');
+const { angularSeparation } = require('./wcs');
+
+const MAX_DOCUMENTS   = 6;
+const POST_SCAN_LIMIT = 300;  // most recent posts/comments considered
+const NEAR_DEG        = 0.5;  // sky distance at which proximity counts for half
+const MIN_SCORE       = 0.35;
+const SNIPPET_CHARS   = 400;
+
+const STOPWORDS = new Set(('a an and are as at be but by did do does for found from had has have how i in is it its '
+  + 'me my near of on or our saw that the their them then there these they this those to was we were what when '
+  + 'where which who why will with you your about thing last week any').split(' '));
+
+const RECENT_WORDS = /\b(recent(ly)?|latest|last (night|week|month)|yesterday|today|this (week|month)|just)\b/i;
+
+// ── Text ──────────────────────────────────────────────────────────────────────
+function tokenize(text) {
+  return String(text || '').toLowerCase()
+    .replace(/\b(m|ngc|ic)\s+(\d+)/g, '$1$2') // "M 51" and "M51" are the same token
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// BM25 of every document against the query tokens, scaled to 0..1.
+function bm25(docs, queryTokens, k1 = 1.2, b = 0.75) {
+  const avgLength = docs.reduce((n, d) => n + d.tokens.length, 0) / (docs.length || 1);
+  const df = new Map();
+  for (const d of docs) new Set(d.tokens).forEach(t => df.set(t, (df.get(t) || 0) + 1));
+
+  const raw = docs.map(d => {
+    const tf = new Map();
+    d.tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    return [...new Set(queryTokens)].reduce((sum, t) => {
+      const f = tf.get(t) || 0;
+      if (!f) return sum;
+      const idf = Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+      return sum + idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.tokens.length / (avgLength || 1)));
+    }, 0);
+  });
+  const max = Math.max(0, ...raw);
+  return raw.map(v => (max > 0 ? v / max : 0));
+}
+
+// Decimal ("RA 202.47 Dec 47.19") or sexagesimal ("13h29m52s +47°11'") positions.
+function parseCoordinates(text) {
+  const decimal = String(text).match(/\bra\s*[=:]?\s*(-?\d+(?:\.\d+)?)\s*°?[\s,]+dec\s*[=:]?\s*([+-]?\d+(?:\.\d+)?)/i);
+  if (decimal) return [{ ra: Number(decimal[1]), dec: Number(decimal[2]) }];
+
+  const sexa = String(text).match(/(\d{1,2})h\s*(\d{1,2})m\s*(\d{1,2}(?:\.\d+)?)?s?[\s,]+([+-]?)(\d{1,2})[°d]\s*(\d{1,2})['′m]?\s*(\d{1,2}(?:\.\d+)?)?/i);
+  if (!sexa) return [];
+  const ra  = 15 * (Number(sexa[1]) + Number(sexa[2]) / 60 + Number(sexa[3] || 0) / 3600);
+  const dec = (sexa[4] === '-' ? -1 : 1) * (Number(sexa[5]) + Number(sexa[6]) / 60 + Number(sexa[7] || 0) / 3600);
+  return [{ ra, dec }];
+}
+
+// ── Documents ─────────────────────────────────────────────────────────────────
+// { kind, id, at, mine, title, text, positions: [{ ra, dec }] }
+function discoveryDocument(row) {
+  const field   = fieldObjects(row.ra, row.dec, row.field_radius || 0.25, { limit: 5 });
+  const objects = field.dsos.map(o => [o.messier, o.id, o.name].filter(Boolean).join(' / '));
+  const reasons = row.classification?.reasons || [];
+  return {
+    kind:      'discovery',
+    id:        row.id,
+    at:        row.created_at,
+    mine:      true,
+    title:     `${row.type} at RA ${Number(row.ra).toFixed(4)}, Dec ${Number(row.dec).toFixed(4)}`,
+    text:      [
+      `Your analysis from ${String(row.created_at).slice(0, 10)}: ${row.type} (confidence ${row.confidence})`,
+      `at RA ${Number(row.ra).toFixed(4)}°, Dec ${Number(row.dec).toFixed(4)}°`,
+      objects.length ? `field contains ${objects.join('; ')}` : null,
+      row.survey ? `compared with ${row.survey}` : null,
+      reasons.length ? `reasons: ${reasons.join('; ')}` : null,
+    ].filter(Boolean).join(', '),
+    positions: [{ ra: Number(row.ra), dec: Number(row.dec) }],
+  };
+}
+
+function postDocument(kind, row, userId) {
+  const positions = resolveNames(row.text).map(o => ({ ra: o.ra, dec: o.dec }));
+  return {
+    kind,
+    id:     row.id,
+    at:     row.created_at,
+    mine:   Boolean(userId) && row.user_id === userId,
+    title:  kind === 'post' ? `Post by ${row.author || 'anonymous'}` : `Comment by ${row.author || 'anonymous'} on post ${row.post_id}`,
+    text:   String(row.text || ''),
+    postId: row.post_id,
+    positions,
+  };
+}
+
+// Loads candidate documents; a source that fails is reported, not fatal.
+async function loadDocuments(userId) {
+  const errors = [];
+  const safely = async (source, fn) => {
+    try {
+      return await fn();
+    } catch (err) {
+      errors.push({ source, error: err.message || String(err) });
+      return [];
+    }
+  };
+
+  const [mine, posts, comments] = await Promise.all([
+    userId ? safely('discoveries', () => discoveries.listDiscoveries({ userId, limit: 200 })) : [],
+    safely('posts', async () => {
+      const { data, error } = await supabase.from('posts').select('id, user_id, author, text, created_at')
+        .eq('moderation_status', 'published')
+        .order('created_at', { ascending: false }).limit(POST_SCAN_LIMIT);
+      if (error) throw error;
+      return data;
+    }),
+    safely('comments', async () => {
+      const { data, error } = await supabase.from('comments').select('id, post_id, user_id, author, text, created_at')
+        .eq('moderation_status', 'published').is('deleted_at', null)
+        .order('created_at', { ascending: false }).limit(POST_SCAN_LIMIT);
+      if (error) throw error;
+      return data;
+    }),
+  ]);
+
+  const docs = [
+    ...mine.map(discoveryDocument),
+    ...posts.filter(p => p.text).map(p => postDocument('post', p, userId)),
+    ...comments.filter(c => c.text).map(c => postDocument('comment', c, userId)),
+  ];
+  docs.forEach(d => { d.tokens = tokenize(`${d.title} ${d.text}`); });
+  return { docs, errors };
+}
+
+// ── Ranking ───────────────────────────────────────────────────────────────────
+function rank(docs, query, now = Date.now()) {
+  const named     = resolveNames(query);
+  const targets   = [...named, ...parseCoordinates(query)];
+  const keywords  = bm25(docs, tokenize(query));
+  const wantsRecent = RECENT_WORDS.test(query);
+
+  return docs.map((d, i) => {
+    let proximity = 0;
+    for (const t of targets) {
+      for (const p of d.positions) {
+        const sep = angularSeparation(t.ra, t.dec, p.ra, p.dec);
+        proximity = Math.max(proximity, 1 / (1 + (sep / NEAR_DEG) ** 2));
+      }
+    }
+    const ageDays = (now - new Date(d.at).getTime()) / 86400000;
+    const recency = Math.exp(-Math.max(0, ageDays) / (wantsRecent ? 10 : 60));
+    const score   = keywords[i]
+                  + 1.2 * proximity
+                  + (wantsRecent ? 0.4 : 0.1) * recency
+                  + (d.mine ? 0.15 : 0);
+    return { doc: d, score, proximity, keywords: keywords[i] };
+  })
+    // something about the document must actually match the question
+    .filter(r => r.keywords > 0.15 || r.proximity > 0.2 || (wantsRecent && r.doc.mine && r.doc.kind === 'discovery'))
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+// Returns { documents: [{ ref, kind, id, title, snippet, score }], context, objects, errors }.
+async function retrieveContext(query, { userId = null, limit = MAX_DOCUMENTS } = {}) {
+  const { docs, errors } = await loadDocuments(userId);
+  const counters = { discovery: 0, post: 0, comment: 0 };
+  const prefix   = { discovery: 'D', post: 'P', comment: 'C' };
+
+  const documents = rank(docs, query).slice(0, limit).map(({ doc, score }) => ({
+    ref:     `${prefix[doc.kind]}${++counters[doc.kind]}`,
+    kind:    doc.kind,
+    id:      doc.id,
+    ...(doc.postId && { postId: doc.postId }),
+    title:   doc.title,
+    snippet: doc.text.length > SNIPPET_CHARS ? `${doc.text.slice(0, SNIPPET_CHARS)}…` : doc.text,
+    at:      doc.at,
+    score:   +score.toFixed(3),
+  }));
+
+  const context = documents.length === 0 ? null
+    : 'Records from the AstroVision database that may be relevant. Use them when they help, cite each one you use '
+      + 'by its tag (e.g. [D1]), and say so if they do not answer the question.\n'
+      + documents.map(d => `[${d.ref}] ${d.title} (${String(d.at).slice(0, 10)}): ${d.snippet}`).join('\n');
+
+  return { documents, context, objects: resolveNames(query), errors };
+}
+
+// The retrieved documents with `cited` set for the ones the answer refers to.
+function extractCitations(answer, documents) {
+  const cited = new Set([...String(answer).matchAll(/\[([DPC]\d+)\]/g)].map(m => m[1]));
+  return documents.map(d => ({ ...d, cited: cited.has(d.ref) }));
+}
+
+module.exports = { retrieveContext, extractCitations, tokenize, parseCoordinates, rank };
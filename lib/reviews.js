@@ -0,0 +1,118 @@
+// lib/reviews.js
+// Community peer review of discoveries. Members other than the submitter
+// vote confirm / false_positive / needs_data with a short justification.
+// The discovery's review_status follows the votes:
+//   pending → under_review (first review) → confirmed | rejected (thresholds met)
+// Confirmed and rejected are final; later reviews are refused.
+//
+// Thresholds: REVIEW_THRESHOLDS (JSON) over DEFAULT_THRESHOLDS.
+
+const supabase = require('./supabase');
+
+const VERDICTS = ['confirm', 'false_positive', 'needs_data'];
+const STATUS   = { PENDING: 'pending', UNDER_REVIEW: 'under_review', CONFIRMED: 'confirmed', REJECTED: 'rejected' };
+const FINAL    = [STATUS.CONFIRMED, STATUS.REJECTED];
+
+const DEFAULT_THRESHOLDS = {
+  minConfirmations:  3,    // confirm votes needed to confirm
+  minRejections:     3,    // false_positive votes needed to reject
+  minAgreement:      0.67, // share of the decisive (confirm + false_positive) votes
+  justificationMin:  10,
+  justificationMax:  500,
+};
+
+function loadThresholds(env = process.env) {
+  if (!env.REVIEW_THRESHOLDS) return { ...DEFAULT_THRESHOLDS };
+  try {
+    return { ...DEFAULT_THRESHOLDS, ...JSON.parse(env.REVIEW_THRESHOLDS) };
+  } catch (err) {
+    console.warn('⚠️  REVIEW_THRESHOLDS is not valid JSON, using defaults');
+    return { ...DEFAULT_THRESHOLDS };
+  }
+}
+
+const thresholds = loadThresholds();
+
+class ReviewError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'ReviewError';
+    this.status = status;
+  }
+}
+
+// ── Status ────────────────────────────────────────────────────────────────────
+function countVerdicts(reviews) {
+  const counts = Object.fromEntries(VERDICTS.map(v => [v, 0]));
+  reviews.forEach(r => { counts[r.verdict] = (counts[r.verdict] || 0) + 1; });
+  return counts;
+}
+
+function statusFor(counts, t = thresholds) {
+  const decisive = counts.confirm + counts.false_positive;
+  if (counts.confirm >= t.minConfirmations && counts.confirm / decisive >= t.minAgreement) return STATUS.CONFIRMED;
+  if (counts.false_positive >= t.minRejections && counts.false_positive / decisive >= t.minAgreement) return STATUS.REJECTED;
+  return Object.values(counts).some(n => n > 0) ? STATUS.UNDER_REVIEW : STATUS.PENDING;
+}
+
+// ── Reviews ───────────────────────────────────────────────────────────────────
+async function listReviews(discoveryId) {
+  const { data, error } = await supabase.from('discovery_reviews').select('*')
+    .eq('discovery_id', discoveryId).order('created_at', { ascending: true });
+  if (error) throw error;
+  return data;
+}
+
+async function loadDiscovery(discoveryId) {
+  const { data, error } = await supabase.from('discoveries')
+    .select('id, user_id, review_status, review_counts').eq('id', discoveryId).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new ReviewError(404, 'Discovery not found');
+  return data;
+}
+
+// Adds or replaces reviewerId's review and moves the discovery's status on.
+// Returns { review, discovery: { id, reviewStatus, counts, changed } }.
+async function submitReview(discoveryId, { reviewerId, verdict, justification }) {
+  if (!reviewerId)                 throw new ReviewError(400, 'userId required');
+  if (!VERDICTS.includes(verdict)) throw new ReviewError(400, `verdict must be one of ${VERDICTS.join(', ')}`);
+  const text = String(justification || '').trim();
+  if (text.length < thresholds.justificationMin || text.length > thresholds.justificationMax) {
+    throw new ReviewError(400, `justification must be ${thresholds.justificationMin}–${thresholds.justificationMax} characters`);
+  }
+
+  const discovery = await loadDiscovery(discoveryId);
+  if (discovery.user_id && discovery.user_id === reviewerId) throw new ReviewError(403, 'You cannot review your own discovery');
+  if (FINAL.includes(discovery.review_status)) throw new ReviewError(409, `Review is closed: discovery already ${discovery.review_status}`);
+
+  const { data: review, error } = await supabase.from('discovery_reviews').upsert({
+    discovery_id:  discoveryId,
+    reviewer_id:   reviewerId,
+    verdict,
+    justification: text,
+    updated_at:    new Date().toISOString(),
+  }, { onConflict: 'discovery_id,reviewer_id' }).select().single();
+  if (error) throw error;
+
+  const counts = countVerdicts(await listReviews(discoveryId));
+  const status = statusFor(counts);
+  const { error: updateError } = await supabase.from('discoveries').update({
+    review_status: status,
+    review_counts: counts,
+    ...(FINAL.includes(status) && { reviewed_at: new Date().toISOString() }),
+  }).eq('id', discoveryId).not('review_status', 'in', `(${FINAL.join(',')})`);
+  if (updateError) throw updateError;
+
+  return { review, discovery: { id: discoveryId, reviewStatus: status, counts, changed: status !== discovery.review_status } };
+}
+
+// Review status of several discoveries at once (for feeds): id → { reviewStatus, counts }.
+async function statusesFor(discoveryIds) {
+  const ids = [...new Set(discoveryIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+  const { data, error } = await supabase.from('discoveries').select('id, review_status, review_counts').in('id', ids);
+  if (error) throw error;
+  return Object.fromEntries(data.map(d => [d.id, { reviewStatus: d.review_status, counts: d.review_counts }]));
+}
+
+module.exports = { submitReview, listReviews, statusesFor, statusFor, countVerdicts, ReviewError, VERDICTS, STATUS, thresholds };
@@ -0,0 +1,187 @@
+// lib/search.js
+// Search over published DAO posts and comments. The search_dao function
+// (migration 20261019001200) matches with Postgres full-text search (web-search
+// syntax: "exact phrase", -exclude, or), ranks by ts_rank_cd and recency, and
+// returns one page; each result then gets a snippet here with the matched
+// words wrapped in <mark>.
+//
+// Filters narrow either kind: tag (a hashtag, catalog aliases count — see
+// lib/tags), object (any name of a catalog object), author, authorId, from, to.
+//
+// backfillAnnotations fills in tags and objects for rows written before they
+// were stored (annotated_at null).
+
+const supabase                   = require('./supabase');
+const { annotate, normalizeTag } = require('./tags');
+const { resolveAlias }           = require('./catalogs');
+const { tokenize }               = require('./retrieval');
+
+const TYPES          = ['post', 'comment'];
+const SORTS          = ['relevance', 'new'];
+const DEFAULT_SIZE   = 20;
+const MAX_SIZE       = 50;
+const SNIPPET_LENGTH = 200;
+const BACKFILL_BATCH = 100;
+
+class SearchError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name   = 'SearchError';
+    this.status = status;
+  }
+}
+
+// ── Highlighting ──────────────────────────────────────────────────────────────
+const escapeHtml = s => s.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const escapeRe   = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query words to highlight: excluded (-word) terms and `or` dropped. Words
+// match by their stem ("galaxies" finds "galaxy"), designations with or
+// without the space ("M 42" and "M42").
+function queryTerms(q) {
+  const wanted = String(q || '').replace(/(^|\s)-("[^"]*"|\S+)/g, ' ').replace(/\bor\b/gi, ' ');
+  return [...new Set(tokenize(wanted))].map(term => {
+    const designation = term.match(/^(m|ngc|ic)(\d+)$/);
+    if (designation) return { term, re: `${designation[1]}\\s?${designation[2]}(?![\\p{N}])` };
+    const stem = term.length > 4 ? term.replace(/(ies|es|s|ing|ed|y)$/, '') : term;
+    return { term, re: `${escapeRe(stem)}[\\p{L}\\p{N}]*` };
+  });
+}
+
+// [{ term, start, end }] of every match in text, in order.
+function findMatches(text, terms) {
+  const matches = [];
+  for (const { term, re } of terms) {
+    for (const m of text.matchAll(new RegExp(`(?<![\\p{L}\\p{N}])${re}`, 'giu'))) {
+      matches.push({ term, start: m.index, end: m.index + m[0].length });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+  // drop overlaps, keeping the earliest (longest) match
+  return matches.filter((m, i, all) => !all.slice(0, i).some(o => o.end > m.start));
+}
+
+// About SNIPPET_LENGTH characters around the first match, HTML-escaped, with
+// matches in <mark>.
+function snippet(text, matches) {
+  const source = String(text || '');
+  let start = matches.length ? Math.max(0, matches[0].start - 60) : 0;
+  let end   = Math.min(source.length, start + SNIPPET_LENGTH);
+  // whole words at both ends
+  if (start > 0) start = source.lastIndexOf(' ', start) + 1;
+  if (end < source.length) {
+    const space = source.indexOf(' ', end);
+    end = space === -1 ? source.length : space;
+  }
+
+  let html = start > 0 ? '…' : '';
+  let at   = start;
+  for (const m of matches.filter(m => m.start >= start && m.end <= end)) {
+    html += `${escapeHtml(source.slice(at, m.start))}<mark>${escapeHtml(source.slice(m.start, m.end))}</mark>`;
+    at = m.end;
+  }
+  return html + escapeHtml(source.slice(at, end)) + (end < source.length ? '…' : '');
+}
+
+// ── Search ────────────────────────────────────────────────────────────────────
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new SearchError(400, `${name} must be a date`);
+  return date.toISOString();
+};
+
+// params: { q, type: 'post'|'comment'|'all', tag, object, author, authorId, from, to, sort, limit, offset }
+// Returns { results, total, nextOffset, query: { terms, tag, object } }; total
+// is 0 on a page past the last result.
+async function search(params = {}) {
+  const q    = String(params.q || '').trim();
+  const type = params.type || 'all';
+  const sort = params.sort || (q ? 'relevance' : 'new');
+  if (type !== 'all' && !TYPES.includes(type)) throw new SearchError(400, 'type must be post, comment or all');
+  if (!SORTS.includes(sort))                  throw new SearchError(400, `sort must be one of ${SORTS.join(', ')}`);
+  if (q.length > 200)                         throw new SearchError(400, 'q must be at most 200 characters');
+
+  let object = null;
+  if (params.object) {
+    const found = resolveAlias(params.object);
+    if (!found) throw new SearchError(400, `Unknown object: ${params.object}`);
+    object = found.id;
+  }
+  const filters = {
+    q, object,
+    tag:      params.tag ? normalizeTag(params.tag) : null,
+    author:   params.author || null,
+    authorId: params.authorId || null,
+    from:     parseDate(params.from, 'from'),
+    to:       parseDate(params.to, 'to'),
+  };
+  if (!q && !filters.tag && !filters.object && !filters.author && !filters.authorId) {
+    throw new SearchError(400, 'q or one of tag, object, author, authorId required');
+  }
+
+  const limit  = Math.min(MAX_SIZE, Math.max(1, Number(params.limit) || DEFAULT_SIZE));
+  const offset = Math.max(0, Number(params.offset) || 0);
+  const { data, error } = await supabase.rpc('search_dao', {
+    p_query:     q || null,
+    p_types:     type === 'all' ? TYPES : [type],
+    p_tag:       filters.tag,
+    p_object:    object,
+    p_author:    filters.author && String(filters.author).replace(/[%_\\]/g, '\\$&'),
+    p_author_id: filters.authorId,
+    p_from:      filters.from,
+    p_to:        filters.to,
+    p_sort:      sort,
+    p_limit:     limit,
+    p_offset:    offset,
+  });
+  if (error) throw error;
+
+  const terms   = queryTerms(q);
+  const results = data.map(({ item, score }) => ({
+    ...item,
+    snippet: snippet(item.text, findMatches(String(item.text || ''), terms)),
+    score,
+  }));
+  const total = data.length ? Number(data[0].total) : 0;
+
+  return {
+    results,
+    total,
+    nextOffset: offset + limit < total ? offset + limit : null,
+    query:      { terms: terms.map(t => t.term), tag: filters.tag, object },
+  };
+}
+
+// ── Backfill ──────────────────────────────────────────────────────────────────
+// Annotates every post and comment with annotated_at null, BACKFILL_BATCH rows
+// at a time in id order. Safe to run again or alongside the API: a row the API
+// annotated meanwhile is skipped. Returns { posts, comments } counts updated.
+async function backfillAnnotations() {
+  const counts = {};
+  for (const type of TYPES) {
+    const table = `${type}s`;
+    counts[table] = 0;
+    let after = null;
+    for (;;) {
+      let query = supabase.from(table).select('id, text').is('annotated_at', null);
+      if (after !== null) query = query.gt('id', after);
+      const { data, error } = await query.order('id', { ascending: true }).limit(BACKFILL_BATCH);
+      if (error) throw error;
+
+      for (const row of data) {
+        const { data: updated, error: updateError } = await supabase.from(table)
+          .update({ ...annotate(row.text), annotated_at: new Date().toISOString() })
+          .eq('id', row.id).is('annotated_at', null)
+          .select('id');
+        if (updateError) throw updateError;
+        counts[table] += updated.length;
+      }
+      if (data.length < BACKFILL_BATCH) break;
+      after = data[data.length - 1].id;
+    }
+  }
+  return counts;
+}
+
+module.exports = { search, backfillAnnotations, snippet, findMatches, queryTerms, SearchError, TYPES, SORTS };
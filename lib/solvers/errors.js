@@ -0,0 +1,22 @@
+// lib/solvers/errors.js
+// Classified plate-solver failures. `code` is what API clients switch on.
+
+const SOLVER_ERROR_CODES = {
+  SOLVE_FAILED: 'SOLVE_FAILED', // solver ran but found no match
+  QUOTA:        'QUOTA',        // rate limited / out of submissions
+  TIMEOUT:      'TIMEOUT',      // gave up waiting for a result
+  BAD_IMAGE:    'BAD_IMAGE',    // upload rejected or image could not be read
+  UPSTREAM:     'UPSTREAM',     // network / service error after retries
+};
+
+class SolverError extends Error {
+  constructor(code, message, { cause, retryable = false } = {}) {
+    super(message);
+    this.name      = 'SolverError';
+    this.code      = code;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { SolverError, SOLVER_ERROR_CODES };
@@ -0,0 +1,31 @@
+// lib/solvers/fixture.js
+// Offline stub that replays recorded calibrations. Entries in the fixture file
+// are keyed by the sha256 of the image; "default" answers everything else.
+// Point SOLVER_FIXTURES at another JSON file to swap recordings.
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { SolverError, SOLVER_ERROR_CODES: E } = require('./errors');
+
+const FIXTURE_PATH = process.env.SOLVER_FIXTURES || path.join(__dirname, 'fixtures', 'calibrations.json');
+
+function createFixtureSolver({ fixtures } = {}) {
+  let recorded = fixtures;
+
+  return {
+    name: 'fixture',
+    async solve(imageBuffer, { onProgress } = {}) {
+      recorded ??= JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+      const hash  = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+      const entry = recorded[hash] || recorded.default;
+
+      onProgress?.('solving', { attempt: 1, of: 1 });
+      if (!entry)      throw new SolverError(E.SOLVE_FAILED, `No recorded calibration for image ${hash}`);
+      if (entry.error) throw new SolverError(entry.error.code || E.SOLVE_FAILED, entry.error.message || 'Recorded failure');
+      return { ...entry };
+    },
+  };
+}
+
+module.exports = { createFixtureSolver };
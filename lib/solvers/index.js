@@ -0,0 +1,45 @@
+// lib/solvers/index.js
+// Plate-solver registry. Every solver exposes:
+//   solve(imageBuffer, { hints, filename, signal, onProgress }) → calibration
+// where calibration is { ra, dec, radius, pixscale, orientation, parity, ... }
+// in nova.astrometry.net units. Pick one with PLATE_SOLVER (nova | local | fixture).
+
+const { createNovaSolver }    = require('./nova');
+const { createLocalSolver }   = require('./local');
+const { createFixtureSolver } = require('./fixture');
+const { SolverError, SOLVER_ERROR_CODES } = require('./errors');
+
+const factories = {
+  nova:    createNovaSolver,
+  local:   createLocalSolver,
+  fixture: createFixtureSolver,
+};
+
+const instances = {};
+
+function getSolver(name = process.env.PLATE_SOLVER || 'nova') {
+  if (!factories[name]) throw new Error(`Unknown plate solver "${name}"`);
+  instances[name] ??= factories[name]();
+  return instances[name];
+}
+
+// Accepts hints from request bodies (strings from multipart forms included)
+// and keeps only the numeric fields solvers understand.
+function normalizeHints(raw = {}) {
+  const num = v => (v === undefined || v === null || v === '' ? undefined : Number(v));
+  const hints = {
+    scaleLower: num(raw.scaleLower),
+    scaleUpper: num(raw.scaleUpper),
+    ra:         num(raw.ra),
+    dec:        num(raw.dec),
+    radius:     num(raw.radius),
+    downsample: num(raw.downsample),
+  };
+  for (const [k, v] of Object.entries(hints)) {
+    if (v === undefined || !Number.isFinite(v)) delete hints[k];
+  }
+  if (['degwidth', 'arcminwidth', 'arcsecperpix'].includes(raw.scaleUnits)) hints.scaleUnits = raw.scaleUnits;
+  return hints;
+}
+
+module.exports = { getSolver, normalizeHints, SolverError, SOLVER_ERROR_CODES };
@@ -0,0 +1,81 @@
+// lib/solvers/local.js
+// Runs a locally installed astrometry.net `solve-field` (set SOLVE_FIELD_PATH
+// if it is not on PATH). Index files must be installed separately.
+
+const fs   = require('fs/promises');
+const os   = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { readHeader, wcsFromHeader } = require('../fits');
+const { calibrationFromWcs }        = require('../wcs');
+const { SolverError, SOLVER_ERROR_CODES: E } = require('./errors');
+
+const SOLVE_FIELD      = process.env.SOLVE_FIELD_PATH || 'solve-field';
+const SOLVE_TIMEOUT_MS = Number(process.env.LOCAL_SOLVE_TIMEOUT_MS) || 5 * 60 * 1000;
+
+function toArgs(h = {}) {
+  const args = [];
+  if (h.scaleLower != null && h.scaleUpper != null) {
+    args.push('--scale-units', h.scaleUnits || 'arcsecperpix', '--scale-low', h.scaleLower, '--scale-high', h.scaleUpper);
+  }
+  if (h.ra != null && h.dec != null) args.push('--ra', h.ra, '--dec', h.dec, '--radius', h.radius ?? 2);
+  if (h.downsample != null)          args.push('--downsample', h.downsample);
+  return args.map(String);
+}
+
+function run(args, signal) {
+  return new Promise((resolve, reject) => {
+    const child  = spawn(SOLVE_FIELD, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr   = '';
+    let timedOut = false;
+    const timer  = setTimeout(() => { timedOut = true; child.kill('SIGTERM'); }, SOLVE_TIMEOUT_MS);
+    const onAbort = () => child.kill('SIGTERM');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(new SolverError(E.UPSTREAM, `Could not run ${SOLVE_FIELD}: ${err.message}`, { cause: err }));
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) return reject(new Error('Solve cancelled'));
+      if (timedOut)        return reject(new SolverError(E.TIMEOUT, 'solve-field timed out.'));
+      if (code !== 0)      return reject(new SolverError(E.BAD_IMAGE, `solve-field exited with ${code}: ${stderr.trim().split('\n').pop()}`));
+      resolve();
+    });
+  });
+}
+
+function createLocalSolver() {
+  return {
+    name: 'local',
+    async solve(imageBuffer, { hints, filename = 'observation.jpg', signal, onProgress } = {}) {
+      const dir   = await fs.mkdtemp(path.join(os.tmpdir(), 'astrovision-solve-'));
+      const input = path.join(dir, path.basename(filename));
+      try {
+        await fs.writeFile(input, imageBuffer);
+        onProgress?.('solving', { attempt: 1, of: 1 });
+        await run([
+          input, '--dir', dir, '--overwrite', '--no-plots', '--no-verify',
+          '--new-fits', 'none', '--corr', 'none', '--rdls', 'none', '--match', 'none', '--index-xyls', 'none',
+          ...toArgs(hints),
+        ], signal);
+
+        const wcsPath = input.replace(/\.[^.]+$/, '') + '.wcs';
+        const wcsFile = await fs.readFile(wcsPath).catch(() => null);
+        if (!wcsFile) throw new SolverError(E.SOLVE_FAILED, 'solve-field could not find a solution for this image.');
+
+        const { header } = readHeader(wcsFile);
+        const wcs = wcsFromHeader(header);
+        if (!wcs || !header.IMAGEW || !header.IMAGEH) throw new SolverError(E.SOLVE_FAILED, 'solve-field produced an unreadable WCS.');
+        return { ...calibrationFromWcs(wcs, header.IMAGEW, header.IMAGEH), wcs };
+      } finally {
+        fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+      }
+    },
+  };
+}
+
+module.exports = { createLocalSolver };
@@ -0,0 +1,184 @@
+// lib/solvers/nova.js
+// nova.astrometry.net client: cached sessions, retries with backoff and
+// classified failures (see ./errors.js).
+
+const axios    = require('axios');
+const FormData = require('form-data');
+const { sleep }                            = require('../jobs');
+const { SolverError, SOLVER_ERROR_CODES: E } = require('./errors');
+
+const ASTROMETRY_API_KEY = process.env.ASTROMETRY_API_KEY || 'colziljqtejtgxxg';
+const NOVA_URL           = process.env.NOVA_URL || 'http://nova.astrometry.net';
+const SESSION_TTL_MS     = 30 * 60 * 1000;
+const POLL_INTERVAL_MS   = Number(process.env.NOVA_POLL_INTERVAL_MS) || 3000;
+const SOLVE_TIMEOUT_MS   = Number(process.env.NOVA_SOLVE_TIMEOUT_MS) || 5 * 60 * 1000;
+const MAX_RETRIES        = 3;
+const RETRY_BASE_MS      = 1000;
+
+const isQuotaMessage   = msg => /quota|rate.?limit|too many/i.test(msg || '');
+const isSessionMessage = msg => /session/i.test(msg || '');
+
+class NovaClient {
+  constructor({ apiKey, baseUrl = NOVA_URL } = {}) {
+    this.apiKey  = apiKey;
+    this.baseUrl = baseUrl;
+    this.session = null; // { key, expiresAt }
+  }
+
+  // ── HTTP with retry ─────────────────────────────────────────────────────────
+  // `build` returns { data, headers } afresh for every attempt: a multipart
+  // stream can only be sent once.
+  async request(method, path, { data, headers, build, signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const body = build ? build() : { data, headers };
+        const res  = await axios({ method, url: `${this.baseUrl}${path}`, ...body, signal, timeout: 30000 });
+        return res.data;
+      } catch (err) {
+        if (axios.isCancel(err) || signal?.aborted) throw err;
+        const classified = classifyHttpError(err);
+        if (!classified.retryable || attempt >= MAX_RETRIES) throw classified;
+        const delay = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+        console.warn(`⚠️  nova ${method.toUpperCase()} ${path} failed (${classified.message}), retry in ${delay}ms`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  postJson(path, payload, signal) {
+    return this.request('post', path, {
+      data:    `request-json=${encodeURIComponent(JSON.stringify(payload))}`,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      signal,
+    });
+  }
+
+  // ── Session ─────────────────────────────────────────────────────────────────
+  async login(signal) {
+    if (this.session && this.session.expiresAt > Date.now()) return this.session.key;
+    if (!this.apiKey) throw new SolverError(E.UPSTREAM, 'ASTROMETRY_API_KEY not configured');
+
+    const data = await this.postJson('/api/login', { apikey: this.apiKey }, signal);
+    if (data.status !== 'success' || !data.session) {
+      const msg = data.errormessage || 'login rejected';
+      throw new SolverError(isQuotaMessage(msg) ? E.QUOTA : E.UPSTREAM, `Astrometry login failed: ${msg}`);
+    }
+    this.session = { key: data.session, expiresAt: Date.now() + SESSION_TTL_MS };
+    return this.session.key;
+  }
+
+  // ── Upload ──────────────────────────────────────────────────────────────────
+  async upload(imageBuffer, { hints = {}, filename = 'observation.jpg', signal } = {}) {
+    for (let relogin = 0; relogin < 2; relogin++) {
+      const session = await this.login(signal);
+      const build   = () => {
+        const form = new FormData();
+        form.append('request-json', JSON.stringify({ session, publicly_visible: 'n', ...toNovaHints(hints) }));
+        form.append('file', imageBuffer, { filename });
+        return { data: form, headers: form.getHeaders() };
+      };
+
+      const data = await this.request('post', '/api/upload', { build, signal });
+      if (data.status === 'success' && data.subid) return data.subid;
+
+      const msg = data.errormessage || 'upload rejected';
+      if (isSessionMessage(msg) && relogin === 0) { this.session = null; continue; }
+      if (isQuotaMessage(msg)) throw new SolverError(E.QUOTA, `Astrometry quota exceeded: ${msg}`);
+      throw new SolverError(E.BAD_IMAGE, `Astrometry rejected the upload: ${msg}`);
+    }
+    throw new SolverError(E.UPSTREAM, 'Astrometry session could not be established');
+  }
+
+  // ── Polling ─────────────────────────────────────────────────────────────────
+  // Waits for any job of the submission to succeed. Distinguishes jobs that
+  // are still solving from jobs that finished with "failure".
+  async waitForCalibration(subId, { signal, onAttempt } = {}) {
+    const deadline = Date.now() + SOLVE_TIMEOUT_MS;
+    const maxTries = Math.ceil(SOLVE_TIMEOUT_MS / POLL_INTERVAL_MS);
+
+    for (let attempt = 1; Date.now() < deadline; attempt++) {
+      onAttempt?.(attempt, maxTries);
+      const sub = await this.request('get', `/api/submissions/${subId}`, { signal });
+
+      if (sub.error_message) throw new SolverError(E.BAD_IMAGE, `Astrometry could not process image: ${sub.error_message}`);
+
+      const jobIds = (sub.jobs || []).filter(id => id != null);
+      if (jobIds.length > 0) {
+        const statuses = await Promise.all(jobIds.map(async id => {
+          const job = await this.request('get', `/api/jobs/${id}`, { signal });
+          return { id, status: job.status };
+        }));
+
+        const solved = statuses.find(s => s.status === 'success');
+        if (solved) {
+          const calibration = await this.request('get', `/api/jobs/${solved.id}/calibration/`, { signal });
+          return { ...calibration, jobId: solved.id, submissionId: subId };
+        }
+        if (statuses.every(s => s.status === 'failure')) {
+          throw new SolverError(E.SOLVE_FAILED, 'Astrometry could not find a solution for this image.');
+        }
+      } else if (sub.processing_finished && !(sub.user_images || []).length) {
+        throw new SolverError(E.BAD_IMAGE, 'Astrometry could not read the uploaded image.');
+      }
+
+      console.log(`🔭 Solving coordinates... Attempt ${attempt}/${maxTries}`);
+      await sleep(POLL_INTERVAL_MS, signal);
+    }
+    throw new SolverError(E.TIMEOUT, `Astrometry solving timed out after ${Math.round(SOLVE_TIMEOUT_MS / 1000)}s.`);
+  }
+}
+
+function classifyHttpError(err) {
+  if (err instanceof SolverError) return err;
+  const status = err.response?.status;
+  if (status === 429)                return new SolverError(E.QUOTA, 'Astrometry rate limit reached', { cause: err, retryable: true });
+  if (status >= 500)                 return new SolverError(E.UPSTREAM, `Astrometry server error ${status}`, { cause: err, retryable: true });
+  if (status === 413 || status === 415) return new SolverError(E.BAD_IMAGE, `Astrometry rejected the image (${status})`, { cause: err });
+  if (status)                        return new SolverError(E.UPSTREAM, `Astrometry request failed (${status})`, { cause: err });
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+    return new SolverError(E.TIMEOUT, 'Astrometry request timed out', { cause: err, retryable: true });
+  }
+  return new SolverError(E.UPSTREAM, `Astrometry unreachable: ${err.message}`, { cause: err, retryable: true });
+}
+
+// Our hint names → nova upload fields.
+function toNovaHints(h) {
+  const out = {};
+  if (h.scaleLower != null && h.scaleUpper != null) {
+    out.scale_units = h.scaleUnits || 'arcsecperpix';
+    out.scale_type  = 'ul';
+    out.scale_lower = h.scaleLower;
+    out.scale_upper = h.scaleUpper;
+  }
+  if (h.ra != null && h.dec != null) {
+    out.center_ra  = h.ra;
+    out.center_dec = h.dec;
+    out.radius     = h.radius ?? 2;
+  }
+  if (h.downsample != null) out.downsample_factor = h.downsample;
+  return out;
+}
+
+// ── Solver interface ──────────────────────────────────────────────────────────
+function createNovaSolver(options = {}) {
+  const client = new NovaClient({ apiKey: ASTROMETRY_API_KEY, ...options });
+
+  return {
+    name: 'nova',
+    client,
+    async solve(imageBuffer, { hints, filename, signal, onProgress } = {}) {
+      onProgress?.('login');
+      await client.login(signal);
+
+      onProgress?.('upload');
+      const subId = await client.upload(imageBuffer, { hints, filename, signal });
+
+      return client.waitForCalibration(subId, {
+        signal,
+        onAttempt: (attempt, of) => onProgress?.('solving', { attempt, of, submissionId: subId }),
+      });
+    },
+  };
+}
+
+module.exports = { createNovaSolver, NovaClient, toNovaHints, ASTROMETRY_API_KEY };
@@ -0,0 +1,41 @@
+// lib/sse.js
+// Minimal Server-Sent Events writer for Express responses.
+
+const HEARTBEAT_MS = 15 * 1000;
+
+function openEventStream(req, res) {
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache, no-transform',
+    Connection:          'keep-alive',
+    'X-Accel-Buffering': 'no', // keep nginx/Render proxies from buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const cleanup   = [];
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    cleanup.forEach(fn => fn());
+    res.end();
+  };
+  // the response's close marks the client going away; req's fires as soon as a POST body is read
+  res.on('close', close);
+
+  return {
+    get closed() { return closed; },
+    send(event, data, id) {
+      if (closed) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    onClose(fn) { cleanup.push(fn); },
+    close,
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,11 @@
+// lib/supabase.js
+// Shared Supabase client (service key — server-side only, never sent to browser).
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+module.exports = supabase;
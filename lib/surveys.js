@@ -0,0 +1,137 @@
+// lib/surveys.js
+// Reference-image surveys. Builds cutout requests (SkyView, or the PS1 image
+// service for Pan-STARRS), skips surveys that don't cover the position, and
+// falls back down a priority list when a cutout comes back blank.
+
+const axios = require('axios');
+const Jimp  = require('jimp');
+const { luminance } = require('./registration');
+
+const SKYVIEW_URL = 'https://skyview.gsfc.nasa.gov/cgi-bin/images';
+const PS1_URL     = 'https://ps1images.stsci.edu/cgi-bin';
+
+// Galactic latitude (deg) of an equatorial J2000 position.
+function galacticLatitude(ra, dec) {
+  const d  = Math.PI / 180;
+  const sb = Math.sin(dec * d) * Math.sin(27.12825 * d)
+           + Math.cos(dec * d) * Math.cos(27.12825 * d) * Math.cos((ra - 192.85948) * d);
+  return Math.asin(sb) / d;
+}
+
+// ── Catalogue of surveys ──────────────────────────────────────────────────────
+// coverage() is a cheap footprint check; blank cutouts are still caught later.
+const SURVEYS = {
+  'dss2-red':  { label: 'DSS2 Red',  provider: 'skyview', name: 'DSS2 Red',  band: 'R', epoch: '1985-2000', coverage: () => true },
+  'dss2-blue': { label: 'DSS2 Blue', provider: 'skyview', name: 'DSS2 Blue', band: 'B', epoch: '1975-2000', coverage: () => true },
+  'sdss-i':    { label: 'SDSS i',    provider: 'skyview', name: 'SDSSi',     band: 'i', epoch: '2000-2008',
+    coverage: (ra, dec) => dec > -20 && Math.abs(galacticLatitude(ra, dec)) > 20 },
+  'sdss-r':    { label: 'SDSS r',    provider: 'skyview', name: 'SDSSr',     band: 'r', epoch: '2000-2008',
+    coverage: (ra, dec) => dec > -20 && Math.abs(galacticLatitude(ra, dec)) > 20 },
+  '2mass-j':   { label: '2MASS J',   provider: 'skyview', name: '2MASS-J',   band: 'J', epoch: '1997-2001', coverage: () => true },
+  '2mass-k':   { label: '2MASS K',   provider: 'skyview', name: '2MASS-K',   band: 'K', epoch: '1997-2001', coverage: () => true },
+  'ps1-r':     { label: 'Pan-STARRS1 r', provider: 'ps1', band: 'r', epoch: '2010-2014', coverage: (ra, dec) => dec > -30 },
+  'ps1-i':     { label: 'Pan-STARRS1 i', provider: 'ps1', band: 'i', epoch: '2010-2014', coverage: (ra, dec) => dec > -30 },
+};
+
+const DEFAULT_PRIORITY = (process.env.REFERENCE_SURVEYS || 'sdss-i,ps1-r,dss2-red,dss2-blue,2mass-j')
+  .split(',').map(s => s.trim()).filter(id => SURVEYS[id]);
+
+// Request input: `survey` (one id) or `surveys` (priority list); unknown ids are dropped.
+function resolvePriority({ survey, surveys } = {}) {
+  const list = Array.isArray(surveys) ? surveys
+             : typeof surveys === 'string' ? surveys.split(',')
+             : survey ? [survey]
+             : DEFAULT_PRIORITY;
+  const known = list.map(s => String(s).trim().toLowerCase()).filter(id => SURVEYS[id]);
+  return known.length ? [...new Set(known)] : DEFAULT_PRIORITY;
+}
+
+// ── URL builders ──────────────────────────────────────────────────────────────
+function skyViewUrl(survey, calibration, reference) {
+  const params = new URLSearchParams({
+    survey:   survey.name,
+    position: `${calibration.ra},${calibration.dec}`,
+    size:     reference.sizeDeg.toFixed(4),
+    pixels:   String(reference.pixels),
+    scaling:  'Linear',
+    return:   'png',
+  });
+  return `${SKYVIEW_URL}?${params}`;
+}
+
+// PS1 needs a lookup of the sky-cell file before the cutout can be requested.
+async function ps1Url(survey, calibration, reference, signal) {
+  const { ra, dec } = calibration;
+  const { data } = await axios.get(`${PS1_URL}/ps1filenames.py`, {
+    params: { ra, dec, filters: survey.band, type: 'stack' }, signal, timeout: 30000,
+  });
+  const [header, ...rows] = String(data).trim().split('\n').map(l => l.trim().split(/\s+/));
+  const file = rows[0]?.[header.indexOf('filename')];
+  if (!file) return null;
+
+  const params = new URLSearchParams({
+    red:         file,
+    ra:          String(ra),
+    dec:         String(dec),
+    size:        String(Math.round((reference.sizeDeg * 3600) / 0.25)), // native 0.25"/px
+    output_size: String(reference.pixels),
+    format:      'png',
+  });
+  return `${PS1_URL}/fitscut.cgi?${params}`;
+}
+
+// ── Blank detection ───────────────────────────────────────────────────────────
+// SkyView answers out-of-footprint requests with flat frames rather than errors.
+function isBlank(img) {
+  const lum = luminance(img.bitmap);
+  const counts = new Uint32Array(256);
+  let sum = 0;
+  let sumSq = 0;
+  for (const v of lum) {
+    counts[Math.round(v)]++;
+    sum   += v;
+    sumSq += v * v;
+  }
+  const mean = sum / lum.length;
+  const std  = Math.sqrt(Math.max(0, sumSq / lum.length - mean * mean));
+  return std < 1 || Math.max(...counts) / lum.length > 0.9;
+}
+
+// ── Fetch with fallback ───────────────────────────────────────────────────────
+// Returns { id, label, band, epoch, url, image } for the first usable survey,
+// plus `tried` (what was skipped and why). Throws if none are usable.
+async function fetchReference(calibration, reference, { priority = DEFAULT_PRIORITY, signal, onAttempt } = {}) {
+  const tried = [];
+
+  for (const id of priority) {
+    const survey = SURVEYS[id];
+    if (!survey.coverage(calibration.ra, calibration.dec)) {
+      tried.push({ survey: id, reason: 'outside survey footprint' });
+      continue;
+    }
+    onAttempt?.(id);
+
+    try {
+      const url = survey.provider === 'ps1'
+        ? await ps1Url(survey, calibration, reference, signal)
+        : skyViewUrl(survey, calibration, reference);
+      if (!url) { tried.push({ survey: id, reason: 'no survey data at this position' }); continue; }
+
+      const { data } = await axios.get(url, { responseType: 'arraybuffer', signal, timeout: 60000 });
+      const image = await Jimp.read(Buffer.from(data));
+      if (isBlank(image)) { tried.push({ survey: id, reason: 'blank cutout' }); continue; }
+
+      image.resize(reference.pixels, reference.pixels);
+      return { id, label: survey.label, band: survey.band, epoch: survey.epoch, url, image, tried };
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      tried.push({ survey: id, reason: err.message });
+    }
+  }
+
+  const err = new Error(`No usable reference cutout for this field (tried: ${tried.map(t => t.survey).join(', ')})`);
+  err.tried = tried;
+  throw err;
+}
+
+module.exports = { fetchReference, resolvePriority, SURVEYS, DEFAULT_PRIORITY, isBlank };
@@ -0,0 +1,49 @@
+// lib/tags.js
+// What DAO posts and comments are about, stored for filtering and search:
+//   tags     hashtags, lower-case ("#M42 tonight #widefield" → ['m42', 'widefield']);
+//            hashtags naming a catalog object are filed under that object's
+//            tag, so #OrionNebula, #NGC1976 and #M42 are all 'm42'
+//   objects  catalog ids of the objects referenced by hashtag or in the text
+//            ("NGC 7000 and #M42" → ['NGC 7000', 'NGC 1976'])
+// and @mentions of members by their display name ("thanks @Orion_Hunter" → ['Orion_Hunter']).
+
+const { resolveAlias, resolveNames, objectTag } = require('./catalogs');
+
+const MAX_TAGS     = 10;
+const MAX_MENTIONS = 10;
+const MAX_OBJECTS  = 20;
+const TAG_RE       = /(?<![\p{L}\p{N}_&/])#([\p{L}\p{N}][\p{L}\p{N}_-]{0,39})/gu;
+// not after a letter, digit or dot, so e-mail addresses don't count
+const MENTION_RE   = /(?<![\p{L}\p{N}_.@/])@([\p{L}\p{N}_][\p{L}\p{N}_.-]{0,38}[\p{L}\p{N}_]|[\p{L}\p{N}_])/gu;
+
+function normalizeTag(tag) {
+  const plain  = String(tag || '').replace(/^#/, '').trim().toLowerCase();
+  const object = plain && resolveAlias(plain);
+  return object ? objectTag(object) : plain;
+}
+
+const hashtags = text => [...String(text || '').matchAll(TAG_RE)].map(m => m[1]);
+
+function extractHashtags(text) {
+  return [...new Set(hashtags(text).map(normalizeTag))].slice(0, MAX_TAGS);
+}
+
+// Catalog ids, hashtag references first. Hashtags and @mentions are taken out
+// before the text is searched for names, so @Orion_Hunter is nobody's nebula.
+function extractObjects(text) {
+  const tagged = hashtags(text).map(resolveAlias).filter(Boolean);
+  const prose  = String(text || '').replace(TAG_RE, ' ').replace(MENTION_RE, ' ');
+  const ids    = [...tagged, ...resolveNames(prose)].map(o => o.id);
+  return [...new Set(ids)].slice(0, MAX_OBJECTS);
+}
+
+// The stored annotations of a post or comment: { tags, objects }.
+const annotate = text => ({ tags: extractHashtags(text), objects: extractObjects(text) });
+
+// Mentioned names as written (case kept), without duplicates.
+function extractMentions(text) {
+  const names = [...String(text || '').matchAll(MENTION_RE)].map(m => m[1]);
+  return [...new Set(names)].slice(0, MAX_MENTIONS);
+}
+
+module.exports = { annotate, extractHashtags, extractObjects, extractMentions, normalizeTag };
@@ -0,0 +1,105 @@
+// lib/wcs.js
+// Gnomonic (TAN) world-coordinate helpers.
+// Pixel coordinates are 0-based (x = column, y = row) in the orientation the
+// solver saw the image; CD matrices are in degrees per pixel.
+
+const DEG = Math.PI / 180;
+
+// ── Projection ────────────────────────────────────────────────────────────────
+function pixelToSky(wcs, x, y) {
+  const [ra0, dec0] = wcs.crval;
+  const [cd11, cd12, cd21, cd22] = wcs.cd;
+  const dx = x - wcs.crpix[0];
+  const dy = y - wcs.crpix[1];
+  const xi  = (cd11 * dx + cd12 * dy) * DEG;
+  const eta = (cd21 * dx + cd22 * dy) * DEG;
+
+  const rho = Math.hypot(xi, eta);
+  if (rho === 0) return { ra: ra0, dec: dec0 };
+  const c    = Math.atan(rho);
+  const d0   = dec0 * DEG;
+  const dec  = Math.asin(Math.cos(c) * Math.sin(d0) + (eta * Math.sin(c) * Math.cos(d0)) / rho);
+  const ra   = ra0 * DEG + Math.atan2(xi * Math.sin(c), rho * Math.cos(d0) * Math.cos(c) - eta * Math.sin(d0) * Math.sin(c));
+  return { ra: normalizeRa(ra / DEG), dec: dec / DEG };
+}
+
+// Returns null for points on the far side of the tangent plane.
+function skyToPixel(wcs, ra, dec) {
+  const [ra0, dec0] = wcs.crval;
+  const [cd11, cd12, cd21, cd22] = wcs.cd;
+  const a  = (ra - ra0) * DEG;
+  const d  = dec * DEG;
+  const d0 = dec0 * DEG;
+  const cosc = Math.sin(d0) * Math.sin(d) + Math.cos(d0) * Math.cos(d) * Math.cos(a);
+  if (cosc <= 0) return null;
+  const xi  = (Math.cos(d) * Math.sin(a)) / cosc / DEG;
+  const eta = (Math.cos(d0) * Math.sin(d) - Math.sin(d0) * Math.cos(d) * Math.cos(a)) / cosc / DEG;
+
+  const det = cd11 * cd22 - cd12 * cd21;
+  return {
+    x: wcs.crpix[0] + ( cd22 * xi - cd12 * eta) / det,
+    y: wcs.crpix[1] + (-cd21 * xi + cd11 * eta) / det,
+  };
+}
+
+// ── Calibration <-> WCS ───────────────────────────────────────────────────────
+// Calibrations follow nova.astrometry.net: pixscale in arcsec/px, orientation
+// in degrees ("up is N° E of N"), parity = sign of det(CD), radius in degrees.
+function cdFromCalibration({ pixscale, orientation, parity }) {
+  const s   = pixscale / 3600;
+  const phi = (parity >= 0 ? -orientation : orientation) * DEG;
+  const c   = Math.cos(phi);
+  const n   = Math.sin(phi);
+  return parity >= 0
+    ? [ s * c, -s * n, s * n, s * c]
+    : [-s * c,  s * n, s * n, s * c];
+}
+
+function wcsFromCalibration(calibration, width, height) {
+  return {
+    crval: [calibration.ra, calibration.dec],
+    crpix: [width / 2, height / 2],
+    cd:    cdFromCalibration(calibration),
+  };
+}
+
+function calibrationFromWcs(wcs, width, height) {
+  const [cd11, cd12, cd21, cd22] = wcs.cd;
+  const det    = cd11 * cd22 - cd12 * cd21;
+  const parity = det >= 0 ? 1 : -1;
+  const orientation = -Math.atan2(parity * cd21 - cd12, parity * cd11 + cd22) / DEG;
+  const pixscale    = Math.sqrt(Math.abs(det)) * 3600;
+  const center      = pixelToSky(wcs, width / 2, height / 2);
+  return {
+    ra:          center.ra,
+    dec:         center.dec,
+    radius:      (Math.hypot(width, height) / 2) * pixscale / 3600,
+    pixscale,
+    orientation,
+    parity,
+  };
+}
+
+// ── Misc ──────────────────────────────────────────────────────────────────────
+function normalizeRa(ra) {
+  return ((ra % 360) + 360) % 360;
+}
+
+// Great-circle distance in degrees.
+function angularSeparation(ra1, dec1, ra2, dec2) {
+  const d1 = dec1 * DEG;
+  const d2 = dec2 * DEG;
+  const h  = Math.sin((d2 - d1) / 2) ** 2
+           + Math.cos(d1) * Math.cos(d2) * Math.sin(((ra2 - ra1) * DEG) / 2) ** 2;
+  return (2 * Math.asin(Math.min(1, Math.sqrt(h)))) / DEG;
+}
+
+module.exports = {
+  pixelToSky,
+  skyToPixel,
+  cdFromCalibration,
+  wcsFromCalibration,
+  calibrationFromWcs,
+  angularSeparation,
+  normalizeRa,
+};
@@ -4,47 +4,29 @@ const express = require('express');
 const router = express.Router();
 require('dotenv').config();
 
-const HF_API_KEY = process.env.HF_API_KEY;
+const ai = require('../lib/ai');
 
 /**
- * Identify celestial objects using Llava vision model
+ * Identify celestial objects with the configured vision provider(s)
  */
 router.post('/identify', async (req, res) => {
   const { image } = req.body;
 
   try {
-    const response = await fetch(
-      'https://api-inference.huggingface.co/models/llava-hf/llava-1.5-7b-hf',
-      {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${HF_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          inputs: {
-            image,
-            text: 'Identify the astronomical object. Describe its visual structure in detail.',
-          },
-        }),
-      }
-    );
-
-    if (response.status === 503) {
-      return res.status(503).json({ error: 'Vision model is loading. Please try again in 30 seconds.' });
-    }
-
-    if (!response.ok) {
-      throw new Error(`HF API error: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    const description = result[0]?.generated_text || 'Celestial structure detected.';
-
-    res.json({ description });
+    const result = await ai.generate('vision', {
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Identify the astronomical object. Describe its visual structure in detail.' },
+          { type: 'image_url', image_url: { url: image } },
+        ],
+      }],
+    });
+
+    res.json({ description: result.text.trim() || 'Celestial structure detected.' });
   } catch (error) {
-    console.error('Llava identification error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Vision identification error:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -55,33 +37,11 @@ router.post('/chat', async (req, res) => {
   const { prompt, maxTokens = 300, temperature = 0.7, topP = 0.9 } = req.body;
 
   try {
-    const response = await fetch(
-      'https://router.huggingface.co/featherless-ai/v1/completions',
-      {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${HF_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: 'AstroMLab/AstroSage-8B',
-          prompt,
-          max_tokens: maxTokens,
-          temperature,
-          top_p: topP,
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`Chat API error: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    res.json(data);
+    const result = await ai.generate('chat', { prompt, maxTokens, temperature, topP });
+    res.json({ choices: [{ index: 0, text: result.text, finish_reason: result.finishReason }], usage: result.usage });
   } catch (error) {
     console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
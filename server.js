@@ -2,15 +2,36 @@
 // DAO routes are merged directly into this file.
 // No separate route files needed — works as-is on Render.
 
+require('dotenv').config();
 const express    = require('express');
 const axios      = require('axios');
-const FormData   = require('form-data');
 const cors       = require('cors');
-const Jimp       = require('jimp');
-const pixelmatch = require('pixelmatch');
 const multer     = require('multer');
-const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config();
+const supabase   = require('./lib/supabase');
+const { createJob, getJob, cancelJob } = require('./lib/jobs');
+const { openEventStream }              = require('./lib/sse');
+const { runDiscovery, imageHash }      = require('./lib/pipeline');
+const { normalizeHints }               = require('./lib/solvers');
+const { resolvePriority, SURVEYS, DEFAULT_PRIORITY } = require('./lib/surveys');
+const { ASTROMETRY_API_KEY }           = require('./lib/solvers/nova');
+const { fieldObjects }                 = require('./lib/catalogs');
+const chat                             = require('./lib/chat');
+const ai                               = require('./lib/ai');
+const { identifyImage, catalogIdentification } = require('./lib/identify');
+const retrieval                        = require('./lib/retrieval');
+const { cached, hashKey, describeCache } = require('./lib/cache');
+const moderation                       = require('./lib/moderation');
+const report                           = require('./lib/report');
+const governance                       = require('./lib/governance');
+const reviews                          = require('./lib/reviews');
+const feed                             = require('./lib/feed');
+const likes                            = require('./lib/likes');
+const content                          = require('./lib/content');
+const notifications                    = require('./lib/notifications');
+const { annotate }                     = require('./lib/tags');
+const { search, backfillAnnotations }  = require('./lib/search');
+const images                           = require('./lib/images');
+const discoveries = require('./lib/discoveries');
 
 const app  = express();
 const PORT = process.env.PORT || 3001;
@@ -25,33 +46,39 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // ─────────────────────────────────────────────────────────────────────────────
 // CONFIG
 // ─────────────────────────────────────────────────────────────────────────────
-const ASTROMETRY_API_KEY    = process.env.ASTROMETRY_API_KEY || 'colziljqtejtgxxg';
 const HF_API_KEY            = process.env.HF_API_KEY;
 const TWITTER_CLIENT_ID     = process.env.TWITTER_CLIENT_ID;
 const TWITTER_CLIENT_SECRET = process.env.TWITTER_CLIENT_SECRET;
 const FRONTEND_URL          = process.env.FRONTEND_URL || 'http://localhost:3000';
 
-// ─────────────────────────────────────────────────────────────────────────────
-// SUPABASE  (service key — server-side only, never sent to browser)
-// ─────────────────────────────────────────────────────────────────────────────
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
 // ─────────────────────────────────────────────────────────────────────────────
 // MULTER  (memory storage → streamed to Supabase Storage)
 // ─────────────────────────────────────────────────────────────────────────────
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+  // the claimed type is only a first cut: DAO images are decoded and identify
+  // uploads sniffed to find out what they are (lib/images), so generic binary
+  // uploads get through too
   fileFilter: (_req, file, cb) => {
-    file.mimetype.startsWith('image/')
+    file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream' || !file.mimetype
       ? cb(null, true)
       : cb(new Error('Only image files are allowed'), false);
   },
 });
 
+// Observations for the discovery pipeline: bigger, and FITS is allowed.
+const observationUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }, // 100 MB
+  fileFilter: (_req, file, cb) => {
+    const isFits = /fits/.test(file.mimetype) || /\.(fits?|fts)$/i.test(file.originalname);
+    file.mimetype.startsWith('image/') || isFits || file.mimetype === 'application/octet-stream'
+      ? cb(null, true)
+      : cb(new Error('Only image or FITS files are allowed'), false);
+  },
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // IN-MEMORY STORAGE  (user profiles + legacy posts)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -78,11 +105,35 @@ function getOrCreateUser(userId) {
   return userProfiles[userId];
 }
 
+// Multipart fields arrive as strings; JSON bodies arrive parsed.
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try { return JSON.parse(value); } catch { return value; }
+}
+
+// Callers opt out of cached results with `cache: false`.
+const wantsCache = body => body.cache !== false && body.cache !== 'false';
+
 function countNestedComments(comments) {
   if (!comments || comments.length === 0) return 0;
   return comments.reduce((n, c) => n + 1 + countNestedComments(c.replies), 0);
 }
 
+// Stores a finished pipeline result and links it to the submitter's profile.
+// A storage failure doesn't fail the analysis — the result is still returned.
+async function persistDiscovery(job, result, userId) {
+  job.progress('saving');
+  try {
+    const saved = await discoveries.saveDiscovery(result, { userId, jobId: job.id });
+    if (userId) getOrCreateUser(userId).discoveries.unshift(saved.id);
+    const priorReports = await discoveries.findPriorReports(result, { userId, excludeId: saved.id });
+    return { ...result, discoveryId: saved.id, priorReports };
+  } catch (err) {
+    console.error('Discovery save error:', err.message || err);
+    return { ...result, discoveryId: null, priorReports: [], persistError: err.message };
+  }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // DAO HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -96,11 +147,14 @@ const formatTimeString = (timestamp) => {
   return date.toLocaleDateString();
 };
 
+// `edited` for changed posts and comments, `deleted` for soft-deleted comments.
+const editMarkers = row => ({ edited: Boolean(row.edited_at), deleted: Boolean(row.deleted_at) });
+
 const buildNestedComments = (rows) => {
   const map   = {};
   const roots = [];
   rows.forEach(c => {
-    map[c.id] = { ...c, replies: [], timeString: formatTimeString(c.created_at) };
+    map[c.id] = { ...c, ...editMarkers(c), replies: [], timeString: formatTimeString(c.created_at) };
   });
   rows.forEach(c => {
     if (c.parent_id && map[c.parent_id]) map[c.parent_id].replies.push(map[c.id]);
@@ -109,129 +163,161 @@ const buildNestedComments = (rows) => {
   return roots;
 };
 
-// ─────────────────────────────────────────────────────────────────────────────
-// SCIENTIFIC HELPERS
-// ─────────────────────────────────────────────────────────────────────────────
-async function getCalibrationResults(subId) {
-  const statusUrl = `http://nova.astrometry.net/api/submissions/${subId}`;
-  for (let i = 0; i < 20; i++) {
-    const response = await axios.get(statusUrl);
-    if (response.data.job_calibrations && response.data.job_calibrations.length > 0) {
-      const jobId  = response.data.jobs[0];
-      const calRes = await axios.get(`http://nova.astrometry.net/api/jobs/${jobId}/calibration/`);
-      return calRes.data;
-    }
-    console.log(`🔭 Solving coordinates... Attempt ${i + 1}/20`);
-    await new Promise(res => setTimeout(res, 3000));
+// Like routes for posts or comments: POST toggles, PUT likes, DELETE unlikes,
+// GET .../likes lists who liked. The user is `userId` in the body or the x-user-id header.
+function mountLikeRoutes(type, path) {
+  const actions = { post: 'toggle', put: 'like', delete: 'unlike' };
+  for (const [method, action] of Object.entries(actions)) {
+    app[method](`/api/dao/${path}/:id/like`, async (req, res) => {
+      try {
+        const userId = (req.body && req.body.userId) || req.headers['x-user-id'];
+        const result = await likes.setLike(type, req.params.id, userId, action);
+        if (result.liked && result.changed) notifications.notifyLike(type, result.target, { id: userId, name: req.body && req.body.author });
+        res.json({ success: true, liked: result.liked, likes: result.likes, [type]: result.target });
+      } catch (err) {
+        if (!err.status) console.error(`${method.toUpperCase()} /api/dao/${path}/:id/like error:`, err);
+        res.status(err.status || 500).json({ success: false, error: err.message });
+      }
+    });
   }
-  throw new Error('Astrometry solving timed out.');
+
+  app.get(`/api/dao/${path}/:id/likes`, async (req, res) => {
+    try {
+      const result = await likes.listLikers(type, req.params.id, req.query);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      if (!err.status) console.error(`GET /api/dao/${path}/:id/likes error:`, err);
+      res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+  });
 }
 
-async function performChangeDetection(userBuffer, nasaUrl) {
-  try {
-    const [userImg, nasaImg] = await Promise.all([Jimp.read(userBuffer), Jimp.read(nasaUrl)]);
-    userImg.resize(500, 500).greyscale();
-    nasaImg.resize(500, 500).greyscale();
-    const diffBuffer = Buffer.alloc(500 * 500 * 4);
-    return pixelmatch(userImg.bitmap.data, nasaImg.bitmap.data, diffBuffer, 500, 500, { threshold: 0.15 });
-  } catch (e) {
-    console.error('Comparison Error:', e.message);
-    return 0;
-  }
+// Edit (PATCH { text }), delete and revision-history routes for posts or
+// comments. The author or a moderator (`userId` in the body or the x-user-id
+// header) may change them.
+function mountEditRoutes(type, path) {
+  const actorOf = req => (req.body && req.body.userId) || req.headers['x-user-id'];
+
+  app.patch(`/api/dao/${path}/:id`, async (req, res) => {
+    try {
+      const result = await content.editContent(type, req.params.id, { actor: actorOf(req), text: req.body.text });
+      const held   = result.moderation && result.moderation.decision === 'hold';
+      res.status(held ? 202 : 200).json({ success: true, ...result, [type]: { ...result[type], ...editMarkers(result[type]) } });
+    } catch (err) {
+      if (!err.status) console.error(`PATCH /api/dao/${path}/:id error:`, err);
+      res.status(err.status || 500).json({ success: false, error: err.message, ...(err.moderation && { moderation: err.moderation }) });
+    }
+  });
+
+  app.delete(`/api/dao/${path}/:id`, async (req, res) => {
+    try {
+      const result = await content.deleteContent(type, req.params.id, { actor: actorOf(req) });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      if (!err.status) console.error(`DELETE /api/dao/${path}/:id error:`, err);
+      res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+  });
+
+  app.get(`/api/dao/${path}/:id/revisions`, async (req, res) => {
+    try {
+      res.json({ success: true, revisions: await content.listRevisions(type, req.params.id) });
+    } catch (err) {
+      if (!err.status) console.error(`GET /api/dao/${path}/:id/revisions error:`, err);
+      res.status(err.status || 500).json({ success: false, error: err.message });
+    }
+  });
 }
 
 // ═════════════════════════════════════════════════════════════════════════════
 // DAO ROUTES — /api/dao/*   (Supabase-powered)
 // ═════════════════════════════════════════════════════════════════════════════
 
-// GET /api/dao/posts
+// GET /api/dao/posts?sort=new|top|hot&window=day|week|month|year|all&cursor=&limit=
+//                   &authorId=&author=&hasImage=&tag=&discoveryId=&hasDiscovery=
+// The caller (x-user-id header or ?userId) gets likedByMe on each post.
 app.get('/api/dao/posts', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('posts')
-      .select('*')
-      .order('created_at', { ascending: false });
+    const viewerId = req.headers['x-user-id'] || req.query.userId || null;
+    const page     = await feed.listFeed(req.query, { viewerId });
 
-    if (error) throw error;
-
-    const posts = data.map(p => ({
+    // posts that share a discovery show its peer-review status
+    const reviewed = await reviews.statusesFor(page.posts.map(p => p.discovery_id));
+    const posts = page.posts.map(p => ({
       ...p,
+      edited:     Boolean(p.edited_at),
       timeString: formatTimeString(p.created_at),
-      comments:   [],
+      ...(p.discovery_id && { discovery: { id: p.discovery_id, ...reviewed[p.discovery_id] } }),
     }));
 
-    res.json({ success: true, posts });
+    res.json({ success: true, posts, nextCursor: page.nextCursor, sort: page.sort, window: page.window });
   } catch (err) {
-    console.error('GET /api/dao/posts error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    if (!err.status) console.error('GET /api/dao/posts error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
+// A post that could not be saved gives its image back, so its files don't linger.
+async function discardPostImage(columns) {
+  try {
+    await images.removeDaoImage(columns);
+  } catch (err) {
+    console.warn(`Could not remove the image of an unsaved post: ${err.message}`);
+  }
+}
+
 // POST /api/dao/posts
 app.post('/api/dao/posts', upload.single('image'), async (req, res) => {
   try {
     const { text, userId, author } = req.body;
-    let imageUrl = null;
-
-    if (req.file) {
-      const ext      = req.file.originalname.split('.').pop();
-      const filePath = `${Date.now()}-${Math.random().toString(36).slice(2)}.${ext}`;
-
-      const { error: uploadError } = await supabase.storage
-        .from('dao-images')
-        .upload(filePath, req.file.buffer, { contentType: req.file.mimetype });
-
-      if (uploadError) throw uploadError;
-
-      const { data: { publicUrl } } = supabase.storage
-        .from('dao-images')
-        .getPublicUrl(filePath);
-
-      imageUrl = publicUrl;
+    const submission = { kind: 'post', userId, text, hasImage: Boolean(req.file) };
+    const verdict    = await moderation.moderate(submission);
+    if (verdict.decision === 'reject') {
+      await moderation.logDecision('post', null, verdict, submission);
+      return res.status(moderation.rejectionStatus(verdict)).json({ success: false, error: 'Post rejected by moderation', moderation: verdict });
     }
 
+    // decoded, stripped of metadata and stored as full/medium/thumbnail renditions
+    const image = req.file ? await images.storeDaoImage(req.file.buffer) : { image: null };
+
     const { data, error } = await supabase
       .from('posts')
-      .insert([{ user_id: userId, author, text, image: imageUrl, likes: 0, liked_by: [] }])
+      .insert([{
+        user_id:           userId,
+        author,
+        text,
+        ...image,
+        likes:             0,
+        ...annotate(text),
+        moderation_status: verdict.status,
+      }])
       .select()
       .single();
 
-    if (error) throw error;
-    res.json({ success: true, post: data });
+    if (error) {
+      await discardPostImage(image);
+      throw error;
+    }
+    moderation.recordSubmission(submission);
+    await moderation.logDecision('post', data.id, verdict, submission);
+    if (verdict.decision === 'allow') notifications.notifyPost(data);
+    res.status(verdict.decision === 'hold' ? 202 : 200).json({ success: true, post: data, moderation: verdict });
   } catch (err) {
-    console.error('POST /api/dao/posts error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    if (!err.status) console.error('POST /api/dao/posts error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
-// POST /api/dao/posts/:id/like
-app.post('/api/dao/posts/:id/like', async (req, res) => {
-  try {
-    const { userId } = req.body;
-    const postId     = req.params.id;
-
-    const { data: post, error: fetchErr } = await supabase
-      .from('posts').select('liked_by, likes').eq('id', postId).single();
-    if (fetchErr) throw fetchErr;
+// POST /api/dao/posts/:id/like        toggle
+// PUT  /api/dao/posts/:id/like        like (idempotent)
+// DELETE /api/dao/posts/:id/like      unlike (idempotent)
+// GET  /api/dao/posts/:id/likes       who liked it
+mountLikeRoutes('post', 'posts');
 
-    const likedBy  = post.liked_by || [];
-    const hasLiked = likedBy.includes(userId);
-
-    const { data, error } = await supabase
-      .from('posts')
-      .update({
-        likes:    hasLiked ? post.likes - 1 : post.likes + 1,
-        liked_by: hasLiked ? likedBy.filter(id => id !== userId) : [...likedBy, userId],
-      })
-      .eq('id', postId).select().single();
-
-    if (error) throw error;
-    res.json({ success: true, post: data });
-  } catch (err) {
-    console.error('POST /api/dao/posts/:id/like error:', err);
-    res.status(500).json({ success: false, error: err.message });
-  }
-});
+// PATCH  /api/dao/posts/:id            { text }  author or moderator
+// DELETE /api/dao/posts/:id            removes its comments and image too
+// GET    /api/dao/posts/:id/revisions
+mountEditRoutes('post', 'posts');
 
 // GET /api/dao/posts/:id/comments
 app.get('/api/dao/posts/:id/comments', async (req, res) => {
@@ -240,6 +326,7 @@ app.get('/api/dao/posts/:id/comments', async (req, res) => {
       .from('comments')
       .select('*')
       .eq('post_id', req.params.id)
+      .eq('moderation_status', moderation.STATUS.PUBLISHED)
       .order('created_at', { ascending: true });
 
     if (error) throw error;
@@ -254,6 +341,12 @@ app.get('/api/dao/posts/:id/comments', async (req, res) => {
 app.post('/api/dao/posts/:id/comments', async (req, res) => {
   try {
     const { userId, author, text, parentId = null } = req.body;
+    const submission = { kind: 'comment', userId, text, hasImage: false };
+    const verdict    = await moderation.moderate(submission);
+    if (verdict.decision === 'reject') {
+      await moderation.logDecision('comment', null, verdict, submission);
+      return res.status(moderation.rejectionStatus(verdict)).json({ success: false, error: 'Comment rejected by moderation', moderation: verdict });
+    }
 
     const { data, error } = await supabase
       .from('comments')
@@ -264,55 +357,199 @@ app.post('/api/dao/posts/:id/comments', async (req, res) => {
         author,
         text,
         likes:    0,
-        liked_by: [],
+        ...annotate(text),
+        moderation_status: verdict.status,
       }])
       .select()
       .single();
 
     if (error) throw error;
-    res.json({ success: true, comment: data });
+    moderation.recordSubmission(submission);
+    await moderation.logDecision('comment', data.id, verdict, submission);
+    if (verdict.decision === 'allow') notifications.notifyComment(data);
+    res.status(verdict.decision === 'hold' ? 202 : 200).json({ success: true, comment: data, moderation: verdict });
   } catch (err) {
     console.error('POST /api/dao/posts/:id/comments error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// POST /api/dao/comments/:id/like
-app.post('/api/dao/comments/:id/like', async (req, res) => {
-  try {
-    const { userId }  = req.body;
-    const commentId   = req.params.id;
+// POST | PUT | DELETE /api/dao/comments/:id/like, GET /api/dao/comments/:id/likes
+mountLikeRoutes('comment', 'comments');
 
-    const { data: comment, error: fetchErr } = await supabase
-      .from('comments').select('liked_by, likes').eq('id', commentId).single();
-    if (fetchErr) throw fetchErr;
+// PATCH | DELETE /api/dao/comments/:id, GET /api/dao/comments/:id/revisions
+// A comment with replies is soft-deleted and stays in the thread as "[deleted]".
+mountEditRoutes('comment', 'comments');
 
-    const likedBy  = comment.liked_by || [];
-    const hasLiked = likedBy.includes(userId);
+// ── Moderation ────────────────────────────────────────────────────────────────
+// Moderators are the MODERATOR_IDS users, identified by the x-user-id header.
+function requireModerator(req, res, next) {
+  if (!moderation.isModerator(req.headers['x-user-id'])) {
+    return res.status(403).json({ success: false, error: 'Moderator access required' });
+  }
+  next();
+}
 
-    const { data, error } = await supabase
-      .from('comments')
-      .update({
-        likes:    hasLiked ? comment.likes - 1 : comment.likes + 1,
-        liked_by: hasLiked ? likedBy.filter(id => id !== userId) : [...likedBy, userId],
-      })
-      .eq('id', commentId).select().single();
+// GET /api/dao/moderation/queue?type=post|comment — held items, oldest first
+app.get('/api/dao/moderation/queue', requireModerator, async (req, res) => {
+  try {
+    const { type, limit } = req.query;
+    if (type && !['post', 'comment'].includes(type)) return res.status(400).json({ success: false, error: 'type must be post or comment' });
+    const items = await moderation.listQueue({ type, limit: Math.min(200, Number(limit) || 50) });
+    res.json({ success: true, items });
+  } catch (err) {
+    console.error('GET /api/dao/moderation/queue error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    if (error) throw error;
-    res.json({ success: true, comment: data });
+// POST /api/dao/moderation/:type/:id/approve|remove  { note }
+app.post('/api/dao/moderation/:type/:id/:action(approve|remove)', requireModerator, async (req, res) => {
+  try {
+    const { type, id, action } = req.params;
+    const result = await moderation.decide(type, id, action, { actor: req.headers['x-user-id'], note: req.body.note || null });
+    // held submissions notify nobody until they are approved
+    if (action === 'approve' && type === 'post')    notifications.notifyPost(result.post);
+    if (action === 'approve' && type === 'comment') notifications.notifyComment(result.comment);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (!err.status) console.error('POST /api/dao/moderation/:type/:id/:action error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/dao/moderation/audit?targetType=&targetId=&actor=&limit=&offset=
+app.get('/api/dao/moderation/audit', requireModerator, async (req, res) => {
+  try {
+    const actions = await moderation.listAudit(req.query);
+    res.json({ success: true, actions });
   } catch (err) {
-    console.error('POST /api/dao/comments/:id/like error:', err);
+    console.error('GET /api/dao/moderation/audit error:', err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+// ── Governance ────────────────────────────────────────────────────────────────
+const governanceError = (route, res, err) => {
+  if (!err.status) console.error(`${route} error:`, err);
+  res.status(err.status || 500).json({ success: false, error: err.message });
+};
+
+// GET /api/dao/proposals?status=open|closed&limit=&offset=
+app.get('/api/dao/proposals', async (req, res) => {
+  try {
+    const proposals = await governance.listProposals(req.query);
+    res.json({ success: true, proposals });
+  } catch (err) {
+    governanceError('GET /api/dao/proposals', res, err);
+  }
+});
+
+// POST /api/dao/proposals { userId, author, title, body, options[], startsAt, endsAt | durationHours, quorum, strategy }
+app.post('/api/dao/proposals', async (req, res) => {
+  try {
+    const proposal = await governance.createProposal(req.body);
+    res.status(201).json({ success: true, proposal });
+  } catch (err) {
+    governanceError('POST /api/dao/proposals', res, err);
+  }
+});
+
+// GET /api/dao/proposals/:id?userId= — with the current (or final) tally and the caller's vote
+app.get('/api/dao/proposals/:id', async (req, res) => {
+  try {
+    const proposal = await governance.getProposal(req.params.id, { userId: req.query.userId || req.headers['x-user-id'] });
+    res.json({ success: true, proposal });
+  } catch (err) {
+    governanceError('GET /api/dao/proposals/:id', res, err);
+  }
+});
+
+// POST /api/dao/proposals/:id/votes { userId, option } — cast or change a vote
+app.post('/api/dao/proposals/:id/votes', async (req, res) => {
+  try {
+    const { vote, result } = await governance.castVote(req.params.id, req.body.userId, req.body.option);
+    res.json({ success: true, vote, result });
+  } catch (err) {
+    governanceError('POST /api/dao/proposals/:id/votes', res, err);
+  }
+});
+
+// GET /api/dao/voting-power/:userId?strategy=equal|reputation
+app.get('/api/dao/voting-power/:userId', async (req, res) => {
+  try {
+    const power = await governance.votingPower(req.params.userId, req.query.strategy);
+    res.json({ success: true, userId: req.params.userId, ...power });
+  } catch (err) {
+    governanceError('GET /api/dao/voting-power/:userId', res, err);
+  }
+});
+
+// ── Search ────────────────────────────────────────────────────────────────────
+// GET /api/dao/search?q=&type=post|comment|all&tag=&object=&author=&authorId=&from=&to=&sort=relevance|new&limit=&offset=
+// Results carry a `snippet` (HTML-escaped, matches in <mark>).
+app.get('/api/dao/search', async (req, res) => {
+  try {
+    const result = await search(req.query);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (!err.status) console.error('GET /api/dao/search error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ── Notifications ─────────────────────────────────────────────────────────────
+// The recipient is the x-user-id header, ?userId (EventSource can't set headers) or body userId.
+const notificationUser = req => req.headers['x-user-id'] || req.query.userId || (req.body && req.body.userId);
+
+// GET /api/dao/notifications?unread=true&type=comment|reply|like|mention&before=&limit=
+app.get('/api/dao/notifications', async (req, res) => {
+  try {
+    const page = await notifications.listNotifications(notificationUser(req), req.query);
+    res.json({ success: true, ...page });
+  } catch (err) {
+    if (!err.status) console.error('GET /api/dao/notifications error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/dao/notifications/stream?userId= — SSE: 'unread' { count } first,
+// then 'notification' (new or updated) and 'read' ({ ids, read, unread }) events
+app.get('/api/dao/notifications/stream', async (req, res) => {
+  const userId = notificationUser(req);
+  if (!userId) return res.status(400).json({ success: false, error: 'userId required' });
+
+  const stream = openEventStream(req, res);
+  stream.onClose(notifications.subscribe(userId, ({ event, data }) => stream.send(event, data)));
+  try {
+    stream.send('unread', { count: await notifications.unreadCount(userId) });
+  } catch (err) {
+    stream.send('error', { error: err.message });
+  }
+});
+
+// POST /api/dao/notifications/read   { ids?: [...] } — mark read (all unread without ids)
+// POST /api/dao/notifications/unread { ids: [...] }
+app.post('/api/dao/notifications/:state(read|unread)', async (req, res) => {
+  try {
+    const read   = req.params.state === 'read';
+    const ids    = req.body.ids === undefined && read ? null : req.body.ids;
+    const result = await notifications.markRead(notificationUser(req), ids, read);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (!err.status) console.error('POST /api/dao/notifications/:state error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
 // ═════════════════════════════════════════════════════════════════════════════
 // USER PROFILE ENDPOINTS
 // ═════════════════════════════════════════════════════════════════════════════
-app.get('/api/users/:userId', (req, res) => {
+app.get('/api/users/:userId', async (req, res) => {
   try {
     const user      = getOrCreateUser(req.params.userId);
-    user.postsCount = communityPosts.filter(p => p.userId === req.params.userId).length;
+    user.postsCount  = communityPosts.filter(p => p.userId === req.params.userId).length;
+    user.discoveries = await discoveries.listDiscoveryIdsForUser(req.params.userId).catch(() => user.discoveries);
     res.json(user);
   } catch (err) {
     console.error('Error fetching user:', err);
@@ -442,82 +679,433 @@ app.post('/api/posts/:postId/comments/:commentId/like', (req, res) => {
 // ═════════════════════════════════════════════════════════════════════════════
 // AI ENDPOINTS
 // ═════════════════════════════════════════════════════════════════════════════
+// POST /api/chat — single completion for a client-built prompt. Answers in the
+// OpenAI completions shape the frontend already reads (choices[0].text).
 app.post('/api/chat', async (req, res) => {
-  const { prompt, maxTokens = 300, temperature = 0.7, topP = 0.9 } = req.body;
-  if (!prompt)     return res.status(400).json({ error: 'No prompt provided' });
-  if (!HF_API_KEY) return res.status(500).json({ error: 'HF_API_KEY not configured.' });
+  const { prompt, maxTokens = 300, temperature = 0.7, topP = 0.9, grounding = false, userId = null } = req.body;
+  if (!prompt)                  return res.status(400).json({ error: 'No prompt provided' });
+  if (!ai.isConfigured('chat')) return res.status(500).json({ error: 'No AI provider configured for chat.' });
 
   try {
-    const response = await fetch('https://router.huggingface.co/featherless-ai/v1/completions', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${HF_API_KEY}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ model: 'AstroMLab/AstroSage-8B', prompt, max_tokens: maxTokens, temperature, top_p: topP }),
+    // grounded answers need the persona and the retrieved records as a system turn
+    const retrieved = grounding ? await retrieval.retrieveContext(prompt, { userId }) : null;
+    const input     = retrieved?.context
+      ? { messages: [{ role: 'system', content: `${chat.SYSTEM_PROMPT}\n\n${retrieved.context}` }, { role: 'user', content: prompt }] }
+      : { prompt };
+    const params = { ...input, maxTokens, temperature, topP };
+    const { value: result, cache } = await cached('chat', hashKey(params, ai.describeProviders().chat),
+      async () => {
+        const { text, finishReason, usage, model, provider } = await ai.generate('chat', params);
+        return { text, finishReason, usage, model, provider };
+      }, { bypass: !wantsCache(req.body) });
+    res.json({
+      object:   'text_completion',
+      model:    result.model,
+      provider: result.provider,
+      choices:  [{ index: 0, text: result.text, finish_reason: result.finishReason }],
+      usage:    result.usage,
+      cache,
+      ...(retrieved && { citations: retrieval.extractCitations(result.text, retrieved.documents) }),
     });
-    if (!response.ok) throw new Error(`Chat API error: ${response.statusText}`);
-    res.json(await response.json());
   } catch (err) {
-    console.error('Chat error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Chat error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
   }
 });
 
-app.post('/api/identify', async (req, res) => {
-  if (!process.env.HF_TOKEN) {
-    return res.json({ description: 'A celestial object with bright stellar regions.' });
-  }
+// ── Chat sessions ─────────────────────────────────────────────────────────────
+// POST /api/chat/sessions — start a conversation; history is kept server-side.
+app.post('/api/chat/sessions', (req, res) => {
+  const session = chat.createSession({ userId: req.body.userId || null });
+  res.status(201).json(session);
+});
+
+app.get('/api/chat/sessions/:id', (req, res) => {
+  const session = chat.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Chat session not found' });
+  res.json(session);
+});
+
+app.delete('/api/chat/sessions/:id', (req, res) => {
+  if (!chat.deleteSession(req.params.id)) return res.status(404).json({ error: 'Chat session not found' });
+  res.json({ deleted: true });
+});
+
+// POST /api/chat/sessions/:id/messages — streams the reply as SSE `token`
+// events, then `done` (or `error`). Disconnecting aborts the generation.
+app.post('/api/chat/sessions/:id/messages', async (req, res) => {
+  const session = chat.getSession(req.params.id);
+  const { content, maxTokens, temperature, topP, grounding = false } = req.body;
+  if (!session)                            return res.status(404).json({ error: 'Chat session not found' });
+  if (typeof content !== 'string' || !content.trim()) return res.status(400).json({ error: 'content required' });
+  if (!ai.isConfigured('chat'))            return res.status(500).json({ error: 'No AI provider configured for chat.' });
+  if (session.generating)                  return res.status(409).json({ error: 'A reply is already being generated for this session' });
+
+  const stream = openEventStream(req, res);
+  stream.onClose(() => session.abort());
   try {
-    const response = await fetch('https://router.huggingface.co/v1/chat/completions', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${process.env.HF_API_KEY}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'moonshotai/Kimi-K2.5:novita',
-        messages: [{
-          role: 'user',
-          content: [
-            { type: 'text',      text: 'Describe this celestial object in one sentence.' },
-            { type: 'image_url', image_url: { url: req.body.image } },
-          ],
-        }],
-      }),
+    // grounded replies first announce the records the answer may cite
+    const retrieved = grounding
+      ? await retrieval.retrieveContext(content, { userId: session.userId || req.body.userId || null })
+      : null;
+    if (stream.closed) return;
+    if (retrieved) stream.send('context', { documents: retrieved.documents, objects: retrieved.objects, errors: retrieved.errors });
+    const result = await session.reply(content.trim(), {
+      maxTokens, temperature, topP,
+      grounding: retrieved,
+      onToken: text => stream.send('token', { text }),
     });
-    const result = await response.json();
-    res.json({ description: result.choices?.[0]?.message?.content || 'Celestial structure' });
-  } catch (e) {
-    res.status(500).json({ error: 'Vision ID failed: ' + e.message });
+    stream.send('done', result);
+  } catch (err) {
+    console.error('Chat error:', err.message);
+    stream.send('error', { error: err.message, code: err.code });
   }
+  stream.close();
+});
+
+// POST /api/chat/sessions/:id/abort — stop the reply in progress (partial text is kept)
+app.post('/api/chat/sessions/:id/abort', (req, res) => {
+  const session = chat.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Chat session not found' });
+  res.json({ aborted: session.abort() });
 });
 
-app.post('/api/analyze-discovery', async (req, res) => {
-  console.log('🚀 Starting Discovery Pipeline...');
+// Plate solution to ground an identification in: explicit ra/dec(/radius),
+// the finished job or saved discovery named in the request, or else the latest
+// saved discovery of the same image. Jobs and discoveries are matched to the
+// image by content hash, so another image's coordinates are never used.
+const groundingMismatch = (what, hash) => Object.assign(new Error(hash
+  ? `${what} was run on a different image`
+  : `${what} can only ground an uploaded or data URI image`), { status: 409, code: 'GROUNDING_MISMATCH' });
+
+async function resolveGrounding({ ra, dec, radius, jobId, discoveryId }, hash) {
+  const num = v => (v === undefined || v === null || v === '' ? NaN : Number(v));
+  if (Number.isFinite(num(ra)) && Number.isFinite(num(dec))) {
+    return { source: 'coordinates', ra: num(ra), dec: num(dec), radius: num(radius) || 0.25 };
+  }
+  if (jobId) {
+    const result = getJob(jobId)?.result;
+    if (result?.coords) {
+      if (result.imageHash !== hash) throw groundingMismatch(`Job ${jobId}`, hash);
+      return { source: 'job', ra: Number(result.coords.ra), dec: Number(result.coords.dec), radius: result.fieldRadius };
+    }
+  }
+  if (discoveryId) {
+    const row = await discoveries.getDiscovery(discoveryId);
+    if (row) {
+      if (row.image_hash !== hash) throw groundingMismatch(`Discovery ${discoveryId}`, hash);
+      return { source: 'discovery', ra: row.ra, dec: row.dec, radius: row.field_radius || 0.25 };
+    }
+  }
+  if (!hash) return null;
+  // a failed lookup costs the grounding, not the identification
+  const row = await discoveries.findDiscoveryByImage(hash).catch(err => {
+    console.error('Grounding lookup error:', err.message);
+    return null;
+  });
+  if (row) return { source: 'discovery', discoveryId: row.id, ra: row.ra, dec: row.dec, radius: row.field_radius || 0.25 };
+  return null;
+}
+
+// POST /api/identify — structured identification of a multipart `image`
+// upload, or `image` as an http(s) URL or data URI.
+app.post('/api/identify', upload.single('image'), async (req, res) => {
+  // uploads are typed by their header, not by what the client claimed
+  const sniffed = req.file && images.probe(req.file.buffer);
+  if (req.file && !sniffed) return res.status(415).json({ error: 'The upload is not a readable JPEG, PNG, GIF, BMP or TIFF image' });
+  const image = req.file
+    ? `data:${sniffed.type};base64,${req.file.buffer.toString('base64')}`
+    : req.body.image || req.body.imageUrl;
+  if (!image) return res.status(400).json({ error: 'image upload, URL or data URI required' });
+  if (!/^https?:\/\//i.test(image) && !/^data:image\/[\w.+-]+;base64,/i.test(image)) {
+    return res.status(400).json({ error: 'image must be an http(s) URL or a base64 data URI' });
+  }
+
+  // URL images are not fetched here, so only uploads and data URIs have a hash
+  const bytes = req.file ? req.file.buffer
+    : /^data:/i.test(image) ? Buffer.from(image.slice(image.indexOf(',') + 1), 'base64') : null;
+  let located;
   try {
-    const imageBuffer = Buffer.from(req.body.imageBase64, 'base64');
+    located = await resolveGrounding(req.body, bytes && imageHash(bytes));
+  } catch (e) {
+    if (!e.status) console.error('Grounding error:', e.message);
+    return res.status(e.status || 500).json({ error: e.message, code: e.code });
+  }
 
-    const login   = await axios.post('http://nova.astrometry.net/api/login',
-      `request-json=${JSON.stringify({ apikey: ASTROMETRY_API_KEY })}`);
-    const session = login.data.session;
+  try {
+    const field     = located && fieldObjects(located.ra, located.dec, located.radius, { limit: 10 });
+    const grounding = located && { ...located, mainObject: field.mainObject };
 
-    const form = new FormData();
-    form.append('request-json', JSON.stringify({ session, publicly_visible: 'n' }));
-    form.append('file', imageBuffer, { filename: 'observation.jpg' });
+    if (!ai.isConfigured('vision')) {
+      const fromCatalog = field && catalogIdentification(field);
+      if (!fromCatalog) return res.status(503).json({ error: 'No AI provider configured for vision', code: 'NOT_CONFIGURED' });
+      return res.json({ description: fromCatalog.description, identification: fromCatalog, grounding, provider: 'catalog' });
+    }
 
-    const up          = await axios.post('http://nova.astrometry.net/api/upload', form, { headers: form.getHeaders() });
-    const calibration = await getCalibrationResults(up.data.subid);
-    const nasaUrl     = `https://skyview.gsfc.nasa.gov/cgi-bin/images?survey=sdssi&position=${calibration.ra},${calibration.dec}&size=0.1&pixels=500`;
-    const diffCount   = await performChangeDetection(imageBuffer, nasaUrl);
-    const isAnomaly   = diffCount > 1500;
+    const { identification, provider, attempts, cache } = await identifyImage(image, { field, useCache: wantsCache(req.body) });
+    res.json({ description: identification.description, identification, grounding, provider, attempts, cache });
+  } catch (e) {
+    console.error('Identify error:', e.message);
+    res.status(e.status || 500).json({ error: 'Vision ID failed: ' + e.message, code: e.code, attempts: e.attempts });
+  }
+});
 
+// GET /api/catalogs/field?ra=&dec=&radius= — bundled-catalog contents of a field (deg)
+app.get('/api/catalogs/field', (req, res) => {
+  const ra     = Number(req.query.ra);
+  const dec    = Number(req.query.dec);
+  const radius = req.query.radius != null ? Number(req.query.radius) : 0.25;
+  if (![ra, dec, radius].every(Number.isFinite) || Math.abs(dec) > 90 || radius <= 0 || radius > 10) {
+    return res.status(400).json({ error: 'ra, dec (deg) and 0 < radius <= 10 required' });
+  }
+  res.json(fieldObjects(ra, dec, radius, { limit: Math.min(200, Number(req.query.limit) || 25) }));
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// DISCOVERY JOBS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// POST /api/analyze-discovery — queue the pipeline and return a job id at once.
+// Takes JSON { imageBase64 } or a multipart `image` upload (JPEG/PNG/FITS).
+app.post('/api/analyze-discovery', observationUpload.single('image'), (req, res) => {
+  const { imageBase64, filename } = req.body;
+  if (!req.file && !imageBase64) return res.status(400).json({ error: 'imageBase64 or image upload required' });
+  if (!req.file && typeof imageBase64 !== 'string') return res.status(400).json({ error: 'imageBase64 must be a base64 string' });
+
+  const input = {
+    imageBuffer:          req.file ? req.file.buffer : Buffer.from(imageBase64, 'base64'),
+    filename:             req.file ? req.file.originalname : filename,
+    hints:                normalizeHints(parseJsonField(req.body.hints)),
+    classifierThresholds: parseJsonField(req.body.classifierThresholds),
+    surveys:              resolvePriority({ survey: req.body.survey, surveys: parseJsonField(req.body.surveys) }),
+    outputs:              String(req.body.output || '').split(',').map(s => s.trim().toLowerCase()),
+    useCache:             wantsCache(req.body),
+  };
+  const userId = req.body.userId || null;
+  const job    = createJob('discovery', async j => persistDiscovery(j, await runDiscovery(j, input), userId));
+  console.log(`🚀 Discovery job queued: ${job.id}`);
+  res.status(202).json({
+    jobId:     job.id,
+    status:    job.status,
+    statusUrl: `/api/discovery-jobs/${job.id}`,
+    eventsUrl: `/api/discovery-jobs/${job.id}/events`,
+  });
+});
+
+// GET /api/discovery-jobs/:id
+app.get('/api/discovery-jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job.toJSON());
+});
+
+// GET /api/discovery-jobs/:id/events — SSE: replays past stages, then streams live
+app.get('/api/discovery-jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  const stream  = openEventStream(req, res);
+  const onEvent = e => stream.send(e.type, e, e.seq);
+  const onDone  = () => {
+    stream.send('result', job.toJSON());
+    stream.close();
+  };
+
+  job.events.forEach(onEvent);
+  if (job.isFinished) return onDone();
+
+  job.on('event', onEvent);
+  job.once('finished', onDone);
+  stream.onClose(() => {
+    job.off('event', onEvent);
+    job.off('finished', onDone);
+  });
+});
+
+// GET /api/surveys — reference surveys accepted by `survey` / `surveys`
+app.get('/api/surveys', (_req, res) => {
+  res.json({
+    defaultPriority: DEFAULT_PRIORITY,
+    surveys: Object.entries(SURVEYS).map(([id, s]) => ({ id, label: s.label, band: s.band, epoch: s.epoch, provider: s.provider })),
+  });
+});
+
+// GET /api/discovery-jobs/:id/files/:name — downloadable outputs (e.g. difference.fits)
+app.get('/api/discovery-jobs/:id/files/:name', (req, res) => {
+  const job  = getJob(req.params.id);
+  const file = job && job.files.get(req.params.name);
+  if (!file) return res.status(404).json({ error: 'File not found' });
+  res.type(file.contentType);
+  res.attachment(req.params.name);
+  res.send(file.buffer);
+});
+
+// DELETE /api/discovery-jobs/:id — cancel a running job
+app.delete('/api/discovery-jobs/:id', (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job.toJSON());
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// DISCOVERIES  (Supabase-powered)
+// ═════════════════════════════════════════════════════════════════════════════
+
+// GET /api/discoveries?userId=&type=&from=&to=&ra=&dec=&radius=&limit=&offset=
+// ra/dec/radius in degrees; with ra+dec the list becomes a cone search sorted by distance.
+app.get('/api/discoveries', async (req, res) => {
+  try {
+    const { ra, dec, radius } = req.query;
+    if ((ra == null) !== (dec == null)) {
+      return res.status(400).json({ success: false, error: 'ra and dec must be given together' });
+    }
+    if ([ra, dec, radius].some(v => v != null && !Number.isFinite(Number(v)))) {
+      return res.status(400).json({ success: false, error: 'ra, dec and radius must be numbers (degrees)' });
+    }
+    const list = await discoveries.listDiscoveries(req.query);
+    res.json({ success: true, discoveries: list });
+  } catch (err) {
+    if (!err.status) console.error('GET /api/discoveries error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /api/discoveries/:id
+app.get('/api/discoveries/:id', async (req, res) => {
+  try {
+    const discovery = await discoveries.getDiscovery(req.params.id);
+    if (!discovery) return res.status(404).json({ success: false, error: 'Discovery not found' });
+    res.json({ success: true, discovery });
+  } catch (err) {
+    console.error('GET /api/discoveries/:id error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ── Peer review ───────────────────────────────────────────────────────────────
+// GET /api/discoveries/:id/reviews
+app.get('/api/discoveries/:id/reviews', async (req, res) => {
+  try {
+    const discovery = await discoveries.getDiscovery(req.params.id);
+    if (!discovery) return res.status(404).json({ success: false, error: 'Discovery not found' });
+    const list = await reviews.listReviews(req.params.id);
     res.json({
-      coords:         { ra: calibration.ra.toFixed(4), dec: calibration.dec.toFixed(4) },
-      historicalImage: nasaUrl,
-      discovery:      isAnomaly ? `ANOMALY: Found ${diffCount} pixel variances.` : 'Region stable.',
-      type:           isAnomaly ? 'SUPERNOVA' : 'GALAXY',
-      rawScore:       diffCount,
+      success:      true,
+      reviewStatus: discovery.review_status,
+      counts:       reviews.countVerdicts(list),
+      thresholds:   reviews.thresholds,
+      reviews:      list,
     });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+  } catch (err) {
+    console.error('GET /api/discoveries/:id/reviews error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /api/discoveries/:id/reviews { userId, verdict: confirm|false_positive|needs_data, justification }
+app.post('/api/discoveries/:id/reviews', async (req, res) => {
+  try {
+    const { userId, verdict, justification } = req.body;
+    const result = await reviews.submitReview(req.params.id, { reviewerId: userId, verdict, justification });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (!err.status) console.error('POST /api/discoveries/:id/reviews error:', err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
+// ── Reports ───────────────────────────────────────────────────────────────────
+// A finished job or a saved discovery as a report source; null when there is none.
+async function loadReportSource(kind, id) {
+  if (kind === 'job') {
+    const job = getJob(id);
+    return job?.status === 'succeeded' ? report.fromJob(job) : null;
+  }
+  const row = await discoveries.getDiscovery(id);
+  return row ? report.fromDiscovery(row) : null;
+}
+
+const publicBaseUrl = req => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+// GET …/report?format=markdown|html|json&narrative=false
+const sendReport = kind => async (req, res) => {
+  try {
+    const format = String(req.query.format || 'markdown').toLowerCase();
+    if (!['markdown', 'md', 'html', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be markdown, html or json' });
+    }
+    const src = await loadReportSource(kind, req.params.id);
+    if (!src) return res.status(404).json({ success: false, error: kind === 'job' ? 'No finished analysis for this job' : 'Discovery not found' });
+
+    const built = await report.buildReport(src, { baseUrl: publicBaseUrl(req), narrative: req.query.narrative !== 'false' });
+    if (format === 'html') return res.type('html').send(await report.renderHtml(built, src));
+    if (format === 'json') return res.json({ success: true, report: built, markdown: report.renderMarkdown(built) });
+    res.type('text/markdown; charset=utf-8').send(report.renderMarkdown(built));
+  } catch (err) {
+    console.error(`GET report (${kind}) error:`, err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// POST …/publish { userId, author, narrative } — the report as a DAO post
+// with the report image attached; goes through moderation like any post.
+const publishReport = kind => async (req, res) => {
+  try {
+    const { userId, author, narrative = true } = req.body;
+    if (!userId) return res.status(400).json({ success: false, error: 'userId required' });
+    const src = await loadReportSource(kind, req.params.id);
+    if (!src) return res.status(404).json({ success: false, error: kind === 'job' ? 'No finished analysis for this job' : 'Discovery not found' });
+
+    const built      = await report.buildReport(src, { baseUrl: publicBaseUrl(req), narrative: narrative !== false && narrative !== 'false' });
+    const text       = report.postText(built);
+    const image      = await report.reportImage(src);
+    const submission = { kind: 'post', userId, text, hasImage: Boolean(image) };
+    const verdict    = await moderation.moderate(submission);
+    if (verdict.decision === 'reject') {
+      await moderation.logDecision('post', null, verdict, submission);
+      return res.status(moderation.rejectionStatus(verdict)).json({ success: false, error: 'Post rejected by moderation', moderation: verdict });
+    }
+
+    const stored = image ? await images.storeDaoImage(image.buffer) : { image: null };
+    const { data, error } = await supabase
+      .from('posts')
+      .insert([{
+        user_id:           userId,
+        author,
+        text,
+        ...stored,
+        likes:             0,
+        ...annotate(text),
+        moderation_status: verdict.status,
+        discovery_id:      src.discoveryId,
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      await discardPostImage(stored);
+      throw error;
+    }
+    moderation.recordSubmission(submission);
+    await moderation.logDecision('post', data.id, verdict, submission);
+    if (verdict.decision === 'allow') notifications.notifyPost(data);
+    res.status(verdict.decision === 'hold' ? 202 : 200).json({
+      success:    true,
+      post:       data,
+      report:     { title: built.title, analysis: built.analysis, image: image?.name || null },
+      moderation: verdict,
+    });
+  } catch (err) {
+    if (!err.status) console.error(`POST publish (${kind}) error:`, err);
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+};
+
+app.get('/api/discoveries/:id/report', sendReport('discovery'));
+app.get('/api/discovery-jobs/:id/report', sendReport('job'));
+app.post('/api/discoveries/:id/publish', publishReport('discovery'));
+app.post('/api/discovery-jobs/:id/publish', publishReport('job'));
+
 // ═════════════════════════════════════════════════════════════════════════════
 // TWITTER AUTH
 // ═════════════════════════════════════════════════════════════════════════════
@@ -573,16 +1161,69 @@ app.get('/', (_req, res) => {
     status: {
       supabase:       process.env.SUPABASE_URL ? '✓' : '✗',
       hf_api_key:     HF_API_KEY               ? '✓' : '✗',
+      ai_providers:   ai.describeProviders(),
       astrometry_key: ASTROMETRY_API_KEY        ? '✓' : '✗',
+      plate_solver:   process.env.PLATE_SOLVER || 'nova',
       twitter_oauth:  TWITTER_CLIENT_ID         ? '✓' : '✗',
+      cache:          describeCache(),
     },
     dao_endpoints: [
       'GET  /api/dao/posts',
       'POST /api/dao/posts',
       'POST /api/dao/posts/:id/like',
+      'PUT  /api/dao/posts/:id/like',
+      'DELETE /api/dao/posts/:id/like',
+      'GET  /api/dao/posts/:id/likes',
+      'PATCH /api/dao/posts/:id',
+      'DELETE /api/dao/posts/:id',
+      'GET  /api/dao/posts/:id/revisions',
       'GET  /api/dao/posts/:id/comments',
       'POST /api/dao/posts/:id/comments',
       'POST /api/dao/comments/:id/like',
+      'PUT  /api/dao/comments/:id/like',
+      'DELETE /api/dao/comments/:id/like',
+      'GET  /api/dao/comments/:id/likes',
+      'PATCH /api/dao/comments/:id',
+      'DELETE /api/dao/comments/:id',
+      'GET  /api/dao/comments/:id/revisions',
+      'GET  /api/dao/moderation/queue',
+      'POST /api/dao/moderation/:type/:id/approve',
+      'POST /api/dao/moderation/:type/:id/remove',
+      'GET  /api/dao/moderation/audit',
+      'GET  /api/dao/proposals',
+      'POST /api/dao/proposals',
+      'GET  /api/dao/proposals/:id',
+      'POST /api/dao/proposals/:id/votes',
+      'GET  /api/dao/voting-power/:userId',
+      'GET  /api/dao/search',
+      'GET  /api/dao/notifications',
+      'GET  /api/dao/notifications/stream',
+      'POST /api/dao/notifications/read',
+      'POST /api/dao/notifications/unread',
+    ],
+    discovery_endpoints: [
+      'POST   /api/analyze-discovery',
+      'GET    /api/discovery-jobs/:id',
+      'GET    /api/discovery-jobs/:id/events',
+      'GET    /api/discovery-jobs/:id/files/:name',
+      'DELETE /api/discovery-jobs/:id',
+      'GET    /api/surveys',
+      'GET    /api/discoveries',
+      'GET    /api/discoveries/:id',
+      'GET    /api/discoveries/:id/reviews',
+      'POST   /api/discoveries/:id/reviews',
+      'GET    /api/discoveries/:id/report',
+      'POST   /api/discoveries/:id/publish',
+      'GET    /api/discovery-jobs/:id/report',
+      'POST   /api/discovery-jobs/:id/publish',
+      'GET    /api/catalogs/field',
+    ],
+    chat_endpoints: [
+      'POST   /api/chat/sessions',
+      'GET    /api/chat/sessions/:id',
+      'DELETE /api/chat/sessions/:id',
+      'POST   /api/chat/sessions/:id/messages',
+      'POST   /api/chat/sessions/:id/abort',
     ],
   });
 });
@@ -590,13 +1231,25 @@ app.get('/', (_req, res) => {
 // ═════════════════════════════════════════════════════════════════════════════
 // START
 // ═════════════════════════════════════════════════════════════════════════════
-app.listen(PORT, () => {
-  console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`🌌 AstroVision Backend v4.0`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
-  console.log(`🚀 Port: ${PORT}`);
-  console.log(`🗄️  Supabase: ${process.env.SUPABASE_URL       ? '✓ connected' : '✗ SUPABASE_URL missing'}`);
-  console.log(`🤖 HF AI:    ${HF_API_KEY                      ? '✓ ready'     : '✗ HF_API_KEY missing'}`);
-  console.log(`🔐 Twitter:  ${TWITTER_CLIENT_ID               ? '✓ enabled'   : '✗ disabled'}`);
-  console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
-});
\ No newline at end of file
+// Started directly (npm start); tests require the app without listening.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+    console.log(`🌌 AstroVision Backend v4.0`);
+    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━`);
+    console.log(`🚀 Port: ${PORT}`);
+    console.log(`🗄️  Supabase: ${process.env.SUPABASE_URL       ? '✓ connected' : '✗ SUPABASE_URL missing'}`);
+    console.log(`🤖 HF AI:    ${HF_API_KEY                      ? '✓ ready'     : '✗ HF_API_KEY missing'}`);
+    console.log(`🔐 Twitter:  ${TWITTER_CLIENT_ID               ? '✓ enabled'   : '✗ disabled'}`);
+    console.log(`━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`);
+
+    // tags and objects for posts and comments from before they were stored
+    backfillAnnotations()
+      .then(({ posts, comments }) => {
+        if (posts || comments) console.log(`🏷️  Annotated ${posts} posts and ${comments} comments`);
+      })
+      .catch(err => console.error('Annotation backfill failed:', err.message));
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,24 @@
+-- Discovery records written by the /api/analyze-discovery pipeline.
+create table if not exists discoveries (
+  id             uuid primary key default gen_random_uuid(),
+  user_id        text,
+  job_id         uuid,
+  ra             double precision not null,
+  dec            double precision not null,
+  field_radius   double precision,
+  survey         text,
+  survey_epoch   text,
+  solver         text,
+  score          integer     not null default 0,
+  type           text        not null,
+  confidence     real,
+  classification jsonb,
+  candidates     jsonb       not null default '[]'::jsonb,
+  images         jsonb       not null default '{}'::jsonb,
+  created_at     timestamptz not null default now()
+);
+
+-- cone search prefilters on a dec/ra box before the exact distance check
+create index if not exists discoveries_dec_ra_idx  on discoveries (dec, ra);
+create index if not exists discoveries_user_idx    on discoveries (user_id, created_at desc);
+create index if not exists discoveries_type_idx    on discoveries (type);
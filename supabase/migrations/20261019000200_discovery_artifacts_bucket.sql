@@ -0,0 +1,6 @@
+-- Public bucket for the PNG artifacts rendered by lib/artifacts.js
+-- (override the name with DISCOVERY_BUCKET).
+
+insert into storage.buckets (id, name, public)
+values ('discovery-artifacts', 'discovery-artifacts', true)
+on conflict (id) do nothing;
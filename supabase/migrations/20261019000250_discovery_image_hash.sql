@@ -0,0 +1,5 @@
+-- sha256 of the submitted image, so an identification of the same bytes can
+-- be grounded in this discovery's plate solution.
+alter table discoveries add column if not exists image_hash text;
+
+create index if not exists discoveries_image_hash_idx on discoveries (image_hash, created_at desc) where image_hash is not null;
@@ -0,0 +1,11 @@
+-- Persistent tier of lib/cache (CACHE_BACKEND=supabase): plate solutions,
+-- identifications and chat completions keyed by a hash of their inputs.
+create table if not exists cache_entries (
+  key        text primary key,
+  namespace  text,
+  value      jsonb       not null,
+  stored_at  timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists cache_entries_expires_idx on cache_entries (expires_at);
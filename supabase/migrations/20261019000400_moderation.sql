@@ -0,0 +1,24 @@
+-- Moderation of DAO posts and comments (lib/moderation).
+-- Held submissions are stored but only 'published' rows are listed.
+alter table posts    add column if not exists moderation_status text not null default 'published';
+alter table comments add column if not exists moderation_status text not null default 'published';
+
+create index if not exists posts_moderation_status_idx    on posts (moderation_status, created_at);
+create index if not exists comments_moderation_status_idx on comments (moderation_status, created_at);
+
+-- Audit trail: automated holds/rejections (actor 'system') and moderator decisions.
+create table if not exists moderation_actions (
+  id          uuid primary key default gen_random_uuid(),
+  target_type text        not null,          -- 'post' | 'comment'
+  target_id   text,                          -- null for rejected submissions, which are never stored
+  action      text        not null,          -- 'hold' | 'reject' | 'approve' | 'remove'
+  actor       text        not null default 'system',
+  reasons     jsonb       not null default '[]'::jsonb,
+  note        text,
+  user_id     text,                          -- author of the submission
+  excerpt     text,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists moderation_actions_target_idx on moderation_actions (target_type, target_id);
+create index if not exists moderation_actions_created_idx on moderation_actions (created_at desc);
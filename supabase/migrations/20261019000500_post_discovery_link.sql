@@ -0,0 +1,4 @@
+-- Posts published from a discovery report link back to the analysis.
+alter table posts add column if not exists discovery_id uuid references discoveries (id) on delete set null;
+
+create index if not exists posts_discovery_idx on posts (discovery_id) where discovery_id is not null;
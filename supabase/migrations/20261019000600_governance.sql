@@ -0,0 +1,31 @@
+-- DAO governance (lib/governance): proposals and weighted votes.
+create table if not exists proposals (
+  id           uuid primary key default gen_random_uuid(),
+  author_id    text        not null,
+  author       text,
+  title        text        not null,
+  body         text        not null default '',
+  options      jsonb       not null,                 -- ["Yes", "No", …]
+  strategy     text        not null default 'equal', -- voting power strategy
+  quorum       real        not null default 0,       -- minimum total voting power cast
+  starts_at    timestamptz not null default now(),
+  ends_at      timestamptz not null,
+  status       text        not null default 'open',  -- 'open' | 'closed'
+  result       jsonb,                                -- tally frozen at finalization
+  finalized_at timestamptz,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists proposals_status_ends_idx on proposals (status, ends_at);
+
+-- One row per voter; changing a vote overwrites it.
+create table if not exists proposal_votes (
+  proposal_id uuid        not null references proposals (id) on delete cascade,
+  user_id     text        not null,
+  option      integer     not null,
+  weight      real        not null,
+  breakdown   jsonb,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now(),
+  primary key (proposal_id, user_id)
+);
@@ -0,0 +1,18 @@
+-- Community peer review of discoveries (lib/reviews).
+alter table discoveries add column if not exists review_status text  not null default 'pending';
+alter table discoveries add column if not exists review_counts jsonb not null default '{}'::jsonb;
+alter table discoveries add column if not exists reviewed_at   timestamptz;
+
+create index if not exists discoveries_review_status_idx on discoveries (review_status);
+
+-- One review per member per discovery; a member may revise theirs until the status is final.
+create table if not exists discovery_reviews (
+  id            uuid primary key default gen_random_uuid(),
+  discovery_id  uuid        not null references discoveries (id) on delete cascade,
+  reviewer_id   text        not null,
+  verdict       text        not null check (verdict in ('confirm', 'false_positive', 'needs_data')),
+  justification text        not null,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  unique (discovery_id, reviewer_id)
+);
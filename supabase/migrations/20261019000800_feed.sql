@@ -0,0 +1,30 @@
+-- DAO feed (lib/feed): hashtags, a stored hot score and comment counts.
+alter table posts add column if not exists tags      text[]           not null default '{}';
+alter table posts add column if not exists hot_score double precision not null default 0;
+
+-- log10 of the likes plus recency: every 45000 s (12.5 h) counts like a tenfold of likes.
+create or replace function posts_hot_score() returns trigger language plpgsql as $$
+begin
+  new.hot_score := log(greatest(coalesce(new.likes, 0), 1)) + extract(epoch from new.created_at) / 45000;
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_hot_score on posts;
+create trigger posts_hot_score before insert or update of likes, created_at on posts
+  for each row execute function posts_hot_score();
+
+update posts set hot_score = log(greatest(coalesce(likes, 0), 1)) + extract(epoch from created_at) / 45000;
+
+create index if not exists posts_feed_new_idx on posts (created_at desc, id desc);
+create index if not exists posts_feed_top_idx on posts (likes desc, created_at desc, id desc);
+create index if not exists posts_feed_hot_idx on posts (hot_score desc, id desc);
+create index if not exists posts_tags_idx     on posts using gin (tags);
+create index if not exists posts_user_idx     on posts (user_id, created_at desc);
+create index if not exists comments_post_idx  on comments (post_id);
+
+create or replace view post_comment_counts as
+  select post_id, count(*)::int as comment_count
+  from comments
+  where moderation_status = 'published'
+  group by post_id;
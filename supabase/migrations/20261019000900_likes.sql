@@ -0,0 +1,74 @@
+-- Likes as rows (lib/likes): one per member per post or comment.
+-- posts.likes and comments.likes are kept equal to the row count by a trigger,
+-- so the feed's top/hot orders and reputation read them as before.
+create table if not exists likes (
+  target_type text        not null check (target_type in ('post', 'comment')),
+  target_id   text        not null,
+  user_id     text        not null,
+  created_at  timestamptz not null default now(),
+  primary key (target_type, target_id, user_id)
+);
+
+create index if not exists likes_target_created_idx on likes (target_type, target_id, created_at desc);
+create index if not exists likes_user_idx           on likes (user_id, target_type);
+
+-- Move the liked_by arrays over and recount, before the trigger starts counting.
+insert into likes (target_type, target_id, user_id)
+  select 'post', id::text, u from posts, unnest(liked_by) as u where u is not null
+  on conflict do nothing;
+insert into likes (target_type, target_id, user_id)
+  select 'comment', id::text, u from comments, unnest(liked_by) as u where u is not null
+  on conflict do nothing;
+
+update posts    p set likes = (select count(*) from likes l where l.target_type = 'post'    and l.target_id = p.id::text);
+update comments c set likes = (select count(*) from likes l where l.target_type = 'comment' and l.target_id = c.id::text);
+
+-- Increments rather than recounts: the row lock on the post or comment
+-- serializes concurrent likes, where a count(*) could miss uncommitted rows.
+-- target_id is converted to the id column's own type once, so the lookup
+-- uses the primary key instead of casting every id to text.
+create or replace function likes_sync_count() returns trigger language plpgsql as $$
+declare
+  changed    likes;
+  delta      int;
+  post_id    posts.id%type;
+  comment_id comments.id%type;
+begin
+  if tg_op = 'INSERT' then changed := new; delta := 1;
+  else                     changed := old; delta := -1;
+  end if;
+  if changed.target_type = 'post' then
+    post_id := changed.target_id;
+    update posts set likes = greatest(coalesce(likes, 0) + delta, 0) where id = post_id;
+  else
+    comment_id := changed.target_id;
+    update comments set likes = greatest(coalesce(likes, 0) + delta, 0) where id = comment_id;
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists likes_sync_count on likes;
+create trigger likes_sync_count after insert or delete on likes
+  for each row execute function likes_sync_count();
+
+-- Toggles one member's like in a single call. The advisory lock on the
+-- (target, member) pair makes concurrent toggles take turns, so two quick
+-- clicks end where they started instead of both adding (or both removing).
+-- Returns { liked, changed }.
+create or replace function toggle_like(p_target_type text, p_target_id text, p_user_id text)
+returns jsonb language plpgsql as $$
+begin
+  perform pg_advisory_xact_lock(hashtext(p_target_type || ':' || p_target_id || ':' || p_user_id));
+  delete from likes where target_type = p_target_type and target_id = p_target_id and user_id = p_user_id;
+  if found then
+    return jsonb_build_object('liked', false, 'changed', true);
+  end if;
+  insert into likes (target_type, target_id, user_id) values (p_target_type, p_target_id, p_user_id)
+    on conflict do nothing;
+  return jsonb_build_object('liked', true, 'changed', found);
+end;
+$$;
+
+comment on column posts.liked_by    is 'Deprecated: migrated to likes, no longer written';
+comment on column comments.liked_by is 'Deprecated: migrated to likes, no longer written';
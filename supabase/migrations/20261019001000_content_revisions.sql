@@ -0,0 +1,28 @@
+-- Editing and deleting DAO posts and comments (lib/content).
+alter table posts    add column if not exists edited_at  timestamptz;
+alter table comments add column if not exists edited_at  timestamptz;
+alter table comments add column if not exists deleted_at timestamptz;  -- soft-deleted: shown as "[deleted]" to keep the thread
+
+-- The text a post or comment had before each edit, and before it was deleted.
+create table if not exists content_revisions (
+  id          uuid primary key default gen_random_uuid(),
+  target_type text        not null check (target_type in ('post', 'comment')),
+  target_id   text        not null,
+  revision    int         not null,      -- 1 for the original text
+  action      text        not null check (action in ('edit', 'delete')),
+  text        text,
+  actor       text        not null,      -- who edited or deleted it
+  created_at  timestamptz not null default now(),
+  unique (target_type, target_id, revision)
+);
+
+create index if not exists content_revisions_target_idx on content_revisions (target_type, target_id, revision);
+
+create index if not exists comments_parent_idx on comments (parent_id) where parent_id is not null;
+
+-- Soft-deleted comments stay in threads but no longer count.
+create or replace view post_comment_counts as
+  select post_id, count(*)::int as comment_count
+  from comments
+  where moderation_status = 'published' and deleted_at is null
+  group by post_id;
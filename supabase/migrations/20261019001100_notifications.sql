@@ -0,0 +1,19 @@
+-- Notifications for comments, replies, likes and mentions (lib/notifications).
+create table if not exists notifications (
+  id          uuid primary key default gen_random_uuid(),
+  user_id     text        not null,                      -- recipient
+  type        text        not null check (type in ('comment', 'reply', 'like', 'mention')),
+  target_type text        not null check (target_type in ('post', 'comment')),
+  target_id   text        not null,                      -- the reply, the liked item, or where the mention is
+  post_id     text,                                      -- thread the target belongs to
+  actors      jsonb       not null default '[]'::jsonb,  -- [{ id, name }], several for batched likes
+  excerpt     text,
+  read_at     timestamptz,
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx   on notifications (user_id, updated_at desc);
+create index if not exists notifications_unread_idx on notifications (user_id) where read_at is null;
+-- finding the open like batch for an item
+create index if not exists notifications_batch_idx  on notifications (user_id, type, target_type, target_id, updated_at desc);
@@ -0,0 +1,91 @@
+-- Tags, object references and full-text search over DAO posts and comments
+-- (lib/tags, lib/search). tags and objects are filled in by the API on create
+-- and edit. Resolving object names needs the catalog aliases in lib/catalogs,
+-- so rows from before this migration keep annotated_at null until
+-- backfillAnnotations (lib/search, run at startup) annotates them; new rows
+-- get now() by default.
+alter table posts    add column if not exists objects      text[] not null default '{}';
+alter table comments add column if not exists tags         text[] not null default '{}';
+alter table comments add column if not exists objects      text[] not null default '{}';
+alter table posts    add column if not exists annotated_at timestamptz;
+alter table comments add column if not exists annotated_at timestamptz;
+alter table posts    alter column annotated_at set default now();
+alter table comments alter column annotated_at set default now();
+
+-- PostgREST full-text filters on a text column match to_tsvector(config, column);
+-- these expression indexes serve the 'english' configuration lib/search uses.
+create index if not exists posts_search_idx     on posts    using gin (to_tsvector('english', text));
+create index if not exists comments_search_idx  on comments using gin (to_tsvector('english', text));
+create index if not exists posts_objects_idx    on posts    using gin (objects);
+create index if not exists comments_tags_idx    on comments using gin (tags);
+create index if not exists comments_objects_idx on comments using gin (objects);
+create index if not exists posts_unannotated_idx    on posts    (id) where annotated_at is null;
+create index if not exists comments_unannotated_idx on comments (id) where annotated_at is null;
+
+-- One page of published posts and comments matching the query and filters,
+-- ranked and counted here so no match is left out. Relevance is ts_rank_cd
+-- scaled to 0..1 (normalization 32), doubled, plus a recency bonus that halves
+-- after 30 days; sort 'new' is newest first. total is the number of matches,
+-- repeated on every row. Filters left null do not apply.
+create or replace function search_dao(
+  p_query     text,
+  p_types     text[],
+  p_tag       text,
+  p_object    text,
+  p_author    text,
+  p_author_id text,
+  p_from      timestamptz,
+  p_to        timestamptz,
+  p_sort      text,
+  p_limit     int,
+  p_offset    int
+) returns table (item jsonb, score real, total bigint)
+language sql stable as $$
+  with q as (
+    select case when coalesce(p_query, '') = '' then null
+                else websearch_to_tsquery('english', p_query) end as tsq
+  ),
+  hits as (
+    select 'post' as type, p.text, p.created_at, jsonb_build_object(
+             'id', p.id, 'user_id', p.user_id, 'author', p.author, 'text', p.text, 'image', p.image,
+             'likes', p.likes, 'tags', p.tags, 'objects', p.objects, 'discovery_id', p.discovery_id,
+             'created_at', p.created_at, 'edited_at', p.edited_at) as item
+    from posts p, q
+    where 'post' = any(p_types)
+      and p.moderation_status = 'published'
+      and (q.tsq is null or to_tsvector('english', p.text) @@ q.tsq)
+      and (p_tag is null or p.tags @> array[p_tag])
+      and (p_object is null or p.objects @> array[p_object])
+      and (p_author is null or p.author ilike p_author)
+      and (p_author_id is null or p.user_id::text = p_author_id)
+      and (p_from is null or p.created_at >= p_from)
+      and (p_to is null or p.created_at <= p_to)
+    union all
+    select 'comment', c.text, c.created_at, jsonb_build_object(
+             'id', c.id, 'post_id', c.post_id, 'parent_id', c.parent_id, 'user_id', c.user_id,
+             'author', c.author, 'text', c.text, 'likes', c.likes, 'tags', c.tags, 'objects', c.objects,
+             'created_at', c.created_at, 'edited_at', c.edited_at)
+    from comments c, q
+    where 'comment' = any(p_types)
+      and c.moderation_status = 'published'
+      and c.deleted_at is null
+      and (q.tsq is null or to_tsvector('english', c.text) @@ q.tsq)
+      and (p_tag is null or c.tags @> array[p_tag])
+      and (p_object is null or c.objects @> array[p_object])
+      and (p_author is null or c.author ilike p_author)
+      and (p_author_id is null or c.user_id::text = p_author_id)
+      and (p_from is null or c.created_at >= p_from)
+      and (p_to is null or c.created_at <= p_to)
+  ),
+  scored as (
+    select h.*, (
+             case when q.tsq is null then 0 else 2 * ts_rank_cd(to_tsvector('english', h.text), q.tsq, 32) end
+             + 1 / (1 + extract(epoch from now() - h.created_at) / 86400 / 30)
+           )::real as score
+    from hits h, q
+  )
+  select s.item || jsonb_build_object('type', s.type), s.score, count(*) over ()
+  from scored s
+  order by case when p_sort = 'new' then null else s.score end desc nulls last, s.created_at desc
+  limit p_limit offset p_offset;
+$$;
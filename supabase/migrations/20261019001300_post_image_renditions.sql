@@ -0,0 +1,50 @@
+-- Processed DAO post images (lib/images): posts.image stays the full-size URL.
+alter table posts add column if not exists image_renditions jsonb;  -- { full, medium, thumbnail } URLs
+alter table posts add column if not exists image_width      int;    -- of the full rendition
+alter table posts add column if not exists image_height     int;
+
+-- Who holds each stored image (lib/images), keyed by the hash its files are
+-- stored under. A post takes a reference before its files are uploaded and
+-- gives it back when it is deleted or fails to save; whoever gives back the
+-- last one marks the image deleting, removes the files, then forgets it. A
+-- new reference is refused while the files are being removed, so an upload
+-- never lands just before a removal; a deletion that stopped halfway is taken
+-- over after 5 minutes.
+create table if not exists dao_images (
+  hash           text        primary key,
+  refs           int         not null default 0 check (refs >= 0),
+  deleting_since timestamptz
+);
+
+insert into dao_images (hash, refs)
+  select substring(image from '/dao-images/([0-9a-f]{32})/'), count(*)
+  from posts
+  where image ~ '/dao-images/[0-9a-f]{32}/'
+  group by 1
+on conflict (hash) do update set refs = excluded.refs;
+
+-- True when the reference was taken; false while the files are being removed.
+create or replace function acquire_dao_image(p_hash text) returns boolean
+language sql as $$
+  insert into dao_images as d (hash, refs) values (p_hash, 1)
+  on conflict (hash) do update set refs = case when d.deleting_since is null then d.refs + 1 else 1 end,
+                                   deleting_since = null
+    where d.deleting_since is null or d.deleting_since < now() - interval '5 minutes'
+  returning true;
+$$;
+
+-- True when that was the last reference: the caller removes the files and
+-- then calls forget_dao_image.
+create or replace function release_dao_image(p_hash text) returns boolean
+language sql as $$
+  update dao_images
+     set refs           = greatest(refs - 1, 0),
+         deleting_since = case when refs <= 1 then now() end
+   where hash = p_hash and deleting_since is null
+  returning deleting_since is not null;
+$$;
+
+create or replace function forget_dao_image(p_hash text) returns void
+language sql as $$
+  delete from dao_images where hash = p_hash and deleting_since is not null;
+$$;
@@ -0,0 +1,110 @@
+jest.mock('../lib/supabase', () => ({}));
+
+process.env.CACHE_BACKEND     = 'memory';
+process.env.CACHE_TTL_TEST_MS = '1000';
+
+const { cached, hashKey, invalidate } = require('../lib/cache');
+const { createMemoryBackend }         = require('../lib/cache/memory');
+
+let n = 0;
+const freshKey = () => `key-${++n}`;
+
+// A compute() that resolves when told to and counts its calls.
+function deferred(value) {
+  let release;
+  const compute = jest.fn(() => new Promise(resolve => { release = () => resolve(value); }));
+  return { compute, release: () => release() };
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('cached', () => {
+  test('shares one upstream call between identical calls in flight', async () => {
+    const key = freshKey();
+    const { compute, release } = deferred({ answer: 42 });
+    const first  = cached('test', key, compute);
+    const second = cached('test', key, compute);
+    await new Promise(setImmediate);
+    release();
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(a).toMatchObject({ value: { answer: 42 }, cache: { status: 'miss', backend: null } });
+    expect(b).toMatchObject({ value: { answer: 42 }, cache: { status: 'shared' } });
+  });
+
+  test('serves a stored value until its TTL runs out', async () => {
+    const key = freshKey();
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    const compute = jest.fn(async () => n);
+
+    const miss = await cached('test', key, compute);
+    clock.mockReturnValue(now + 999);
+    const hit = await cached('test', key, compute);
+    clock.mockReturnValue(now + 1000);
+    const expired = await cached('test', key, compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(miss.cache.status).toBe('miss');
+    expect(hit.cache).toMatchObject({ status: 'hit', backend: 'memory', expiresAt: new Date(now + 1000).toISOString() });
+    expect(expired.cache.status).toBe('miss');
+  });
+
+  test('does not store failures', async () => {
+    const key = freshKey();
+    await expect(cached('test', key, async () => { throw new Error('upstream down'); })).rejects.toThrow('upstream down');
+    await expect(cached('test', key, async () => 'ok')).resolves.toMatchObject({ value: 'ok', cache: { status: 'miss' } });
+  });
+
+  test('starts over when the shared call was aborted by its own caller', async () => {
+    const key = freshKey();
+    const controller = new AbortController();
+    let reject;
+    const aborted = cached('test', key, () => new Promise((_, r) => { reject = r; }), { signal: controller.signal });
+    const waiting = cached('test', key, async () => 'second try');
+    await new Promise(setImmediate);
+    controller.abort();
+    reject(new Error('aborted'));
+
+    await expect(aborted).rejects.toThrow('aborted');
+    await expect(waiting).resolves.toMatchObject({ value: 'second try', cache: { status: 'miss' } });
+  });
+
+  test('bypasses and invalidates on request', async () => {
+    const key = freshKey();
+    await cached('test', key, async () => 1);
+    await expect(cached('test', key, async () => 2, { bypass: true })).resolves.toMatchObject({ value: 2, cache: { status: 'bypass' } });
+    await expect(cached('test', key, async () => 3)).resolves.toMatchObject({ value: 1, cache: { status: 'hit' } });
+    await invalidate('test', key);
+    await expect(cached('test', key, async () => 4)).resolves.toMatchObject({ value: 4, cache: { status: 'miss' } });
+  });
+
+  test('hands out copies, so callers cannot change a cached value', async () => {
+    const key = freshKey();
+    const { value } = await cached('test', key, async () => ({ list: [1] }));
+    value.list.push(2);
+    await expect(cached('test', key, async () => null)).resolves.toMatchObject({ value: { list: [1] } });
+  });
+});
+
+describe('hashKey', () => {
+  test('ignores object key order but not buffer contents', () => {
+    expect(hashKey(Buffer.from('img'), { a: 1, b: 2 })).toBe(hashKey(Buffer.from('img'), { b: 2, a: 1 }));
+    expect(hashKey(Buffer.from('img'), {})).not.toBe(hashKey(Buffer.from('img2'), {}));
+    expect(hashKey('ab', 'c')).not.toBe(hashKey('a', 'bc'));
+  });
+});
+
+describe('memory backend', () => {
+  test('evicts the least recently used entry past maxEntries', async () => {
+    const memory = createMemoryBackend({ maxEntries: 2 });
+    await memory.set('a', 1, { ttlMs: 1000 });
+    await memory.set('b', 2, { ttlMs: 1000 });
+    await memory.get('a');
+    await memory.set('c', 3, { ttlMs: 1000 });
+    expect(await memory.get('b')).toBeNull();
+    expect((await memory.get('a')).value).toBe(1);
+    expect(memory.size).toBe(2);
+  });
+});
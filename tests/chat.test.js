@@ -0,0 +1,72 @@
+// /api/chat and chat sessions against the deterministic mock provider
+// (AI_PROVIDER=mock), with no network access.
+
+jest.mock('../lib/supabase', () => ({}));
+
+process.env.AI_PROVIDER = 'mock';
+
+const request = require('supertest');
+const chat    = require('../lib/chat');
+const ai      = require('../lib/ai');
+const app     = require('../server');
+
+describe('POST /api/chat with AI_PROVIDER=mock', () => {
+  test('answers in the completions shape', async () => {
+    const res = await request(app).post('/api/chat').send({ prompt: 'What is a globular cluster?', cache: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ object: 'text_completion', provider: 'mock', model: 'mock' });
+    expect(res.body.choices[0].text).toContain('What is a globular cluster?');
+    expect(res.body.choices[0].finish_reason).toBe('stop');
+  });
+
+  test('requires a prompt', async () => {
+    const res = await request(app).post('/api/chat').send({});
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('chat sessions with AI_PROVIDER=mock', () => {
+  test('streams a reply and stores both turns', async () => {
+    const session = chat.createSession({ userId: 'user-1' });
+    const tokens  = [];
+    const result  = await session.reply('What is a planetary nebula?', { onToken: t => tokens.push(t) });
+
+    expect(result.provider).toBe('mock');
+    expect(result.aborted).toBe(false);
+    expect(result.finishReason).toBe('stop');
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe(result.message.content);
+    expect(result.message.content).toContain('What is a planetary nebula?');
+    expect(session.messages.map(m => m.role)).toEqual(['user', 'assistant']);
+  });
+
+  test('answers the same conversation the same way', async () => {
+    const first  = await chat.createSession().reply('How far is M31?');
+    const second = await chat.createSession().reply('How far is M31?');
+    expect(second.message.content).toBe(first.message.content);
+  });
+
+  test('keeps the partial reply when aborted', async () => {
+    const session = chat.createSession();
+    const result  = await session.reply('Tell me about the Crab Nebula', { onToken: () => session.abort() });
+
+    expect(result.aborted).toBe(true);
+    expect(result.finishReason).toBe('aborted');
+    expect(session.messages[1]).toMatchObject({ role: 'assistant', aborted: true });
+    expect(session.generating).toBe(false);
+  });
+
+  test('refuses a second reply while one is generating', async () => {
+    const session = chat.createSession();
+    const pending = session.reply('First question');
+    await expect(session.reply('Second question')).rejects.toMatchObject({ status: 409 });
+    await pending;
+  });
+
+  test('serves every task from the mock provider', () => {
+    expect(ai.isConfigured('chat')).toBe(true);
+    expect(ai.isConfigured('vision')).toBe(true);
+    expect(ai.describeProviders()).toEqual({ chat: ['mock:mock'], vision: ['mock:mock'], moderation: ['mock:mock'] });
+  });
+});
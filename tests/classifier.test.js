@@ -0,0 +1,76 @@
+const { classifyCandidates, classifyCandidate, LABELS, DEFAULT_THRESHOLDS } = require('../lib/classifier');
+
+// A compact, significant brightening on empty reference sky unless overridden.
+const candidate = (overrides = {}) => ({
+  id:          1,
+  sign:        'brighter',
+  snr:         20,
+  area:        12,
+  sharpness:   0.15,
+  elongation:  1.2,
+  angleDeg:    0,
+  refLevel:    0.5,
+  touchesEdge: false,
+  bbox:        { width: 4, height: 4 },
+  pixel:       { x: 100, y: 100 },
+  ...overrides,
+});
+
+const labelOf = (c, ctx) => classifyCandidate(c, DEFAULT_THRESHOLDS, ctx).label;
+
+describe('classifyCandidate', () => {
+  test('labels a compact brightening on empty sky a new point source', () => {
+    expect(labelOf(candidate())).toBe(LABELS.NEW_POINT_SOURCE);
+  });
+
+  test('labels residuals below minSnr as no significant change', () => {
+    const result = classifyCandidate(candidate({ snr: 3 }), DEFAULT_THRESHOLDS);
+    expect(result.label).toBe(LABELS.NO_SIGNIFICANT_CHANGE);
+    expect(result.reasons[0]).toMatch(/below 7/);
+  });
+
+  test('tells artifacts from sources', () => {
+    expect(labelOf(candidate({ area: 2, sharpness: 0.8 }))).toBe(LABELS.HOT_PIXEL);
+    expect(labelOf(candidate({ elongation: 8, bbox: { width: 30, height: 3 } }))).toBe(LABELS.LINEAR_STREAK);
+    expect(labelOf(candidate({ touchesEdge: true }))).toBe(LABELS.EDGE_ARTIFACT);
+    expect(labelOf(candidate({ snr: 10 }), { dipole: 2 })).toBe(LABELS.EDGE_ARTIFACT);
+  });
+
+  test('separates brightened and faded reference sources', () => {
+    expect(labelOf(candidate({ refLevel: 12 }))).toBe(LABELS.BRIGHTENED_SOURCE);
+    expect(labelOf(candidate({ sign: 'fainter', refLevel: 12 }))).toBe(LABELS.FADED_SOURCE);
+  });
+});
+
+describe('classifyCandidates', () => {
+  test('summarises with the most significant real change', () => {
+    const { summary, candidates } = classifyCandidates([
+      candidate({ id: 1, area: 2, sharpness: 0.9, snr: 50 }),
+      candidate({ id: 2, snr: 15 }),
+    ]);
+    expect(candidates.map(c => c.classification.label)).toEqual([LABELS.HOT_PIXEL, LABELS.NEW_POINT_SOURCE]);
+    expect(summary).toMatchObject({ label: LABELS.NEW_POINT_SOURCE, candidateId: 2 });
+    expect(summary.counts).toEqual({ [LABELS.HOT_PIXEL]: 1, [LABELS.NEW_POINT_SOURCE]: 1 });
+  });
+
+  test('reports no change when only artifacts remain', () => {
+    expect(classifyCandidates([]).summary).toMatchObject({ label: LABELS.NO_SIGNIFICANT_CHANGE, confidence: 0.9, candidateId: null });
+    const { summary } = classifyCandidates([candidate({ touchesEdge: true })]);
+    expect(summary).toMatchObject({ label: LABELS.NO_SIGNIFICANT_CHANGE, candidateId: null });
+  });
+
+  test('pairs faint opposite-sign residuals as dipoles', () => {
+    const { candidates } = classifyCandidates([
+      candidate({ id: 1, snr: 10 }),
+      candidate({ id: 2, snr: 10, sign: 'fainter', pixel: { x: 103, y: 100 } }),
+    ]);
+    expect(candidates.every(c => c.classification.label === LABELS.EDGE_ARTIFACT)).toBe(true);
+  });
+
+  test('takes per-call thresholds over the defaults', () => {
+    const { candidates, thresholds } = classifyCandidates([candidate({ snr: 20 })], { minSnr: 30, bogus: 1 });
+    expect(thresholds.minSnr).toBe(30);
+    expect(thresholds).not.toHaveProperty('bogus');
+    expect(candidates[0].classification.label).toBe(LABELS.NO_SIGNIFICANT_CHANGE);
+  });
+});
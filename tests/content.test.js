@@ -0,0 +1,110 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock({ unique: { content_revisions: ['target_type', 'target_id', 'revision'] } });
+jest.mock('../lib/supabase', () => mockDb.client);
+
+process.env.MODERATOR_IDS    = 'mod-1';
+process.env.MODERATION_RULES = JSON.stringify({ bannedTerms: ['free crypto'] });
+
+const { editContent, deleteContent, listRevisions, DELETED_TEXT } = require('../lib/content');
+
+const IMAGE_URL = 'https://storage.test/storage/v1/object/public/dao-images/abc123/full.jpg';
+
+beforeEach(() => {
+  mockDb.reset({
+    posts: [
+      { id: 1, user_id: 'author', author: 'Vega', text: 'First light with the new scope', image: IMAGE_URL, moderation_status: 'published' },
+      { id: 2, user_id: 'author', text: 'removed by a moderator', moderation_status: 'removed' },
+    ],
+    comments: [
+      { id: 10, post_id: 1, parent_id: null, user_id: 'c1', author: 'Deneb', text: 'Congrats!', moderation_status: 'published' },
+      { id: 11, post_id: 1, parent_id: 10, user_id: 'c2', author: 'Altair', text: 'Agreed', moderation_status: 'published' },
+      { id: 12, post_id: 1, parent_id: null, user_id: 'c3', author: 'Mira', text: 'Which eyepiece?', moderation_status: 'published' },
+    ],
+    likes: [
+      { target_type: 'post', target_id: '1', user_id: 'c1' },
+      { target_type: 'comment', target_id: '10', user_id: 'author' },
+      { target_type: 'comment', target_id: '12', user_id: 'author' },
+    ],
+  });
+  mockDb.files('dao-images').set('abc123/full.jpg', Buffer.from('jpeg'));
+});
+
+describe('authorization', () => {
+  test('lets the author edit without an audit entry', async () => {
+    const result = await editContent('post', 1, { actor: 'author', text: 'First light with the new 8" scope' });
+    expect(result).toMatchObject({ changed: true, post: { text: 'First light with the new 8" scope' } });
+    expect(result.post.edited_at).toEqual(expect.any(String));
+    expect(mockDb.rows('moderation_actions')).toHaveLength(0);
+  });
+
+  test('lets a moderator change someone else\'s submission and audits it', async () => {
+    await deleteContent('comment', 12, { actor: 'mod-1' });
+    expect(mockDb.rows('moderation_actions')).toEqual([
+      expect.objectContaining({ action: 'delete', actor: 'mod-1', target_type: 'comment', target_id: '12', user_id: 'c3' }),
+    ]);
+  });
+
+  test('refuses everyone else', async () => {
+    await expect(editContent('post', 1, { actor: 'c1', text: 'mine now' })).rejects.toMatchObject({ name: 'ContentError', status: 403 });
+    await expect(deleteContent('post', 1, { actor: null })).rejects.toMatchObject({ status: 400 });
+    await expect(deleteContent('post', 2, { actor: 'author' })).rejects.toMatchObject({ status: 404 });
+    await expect(editContent('poll', 1, { actor: 'author', text: 'x' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('runs edits through moderation', async () => {
+    await expect(editContent('comment', 12, { actor: 'c3', text: 'free crypto here' }))
+      .rejects.toMatchObject({ status: 422, moderation: { decision: 'reject' } });
+    expect(mockDb.rows('comments').find(c => c.id === 12).text).toBe('Which eyepiece?');
+  });
+});
+
+describe('revisions', () => {
+  test('numbers each earlier text from 1', async () => {
+    await editContent('post', 1, { actor: 'author', text: 'second' });
+    await editContent('post', 1, { actor: 'author', text: 'second' }); // unchanged, no revision
+    await editContent('post', 1, { actor: 'mod-1', text: 'third' });
+    const revisions = await listRevisions('post', 1);
+    expect(revisions.map(r => [r.revision, r.action, r.text, r.actor])).toEqual([
+      [1, 'edit', 'First light with the new scope', 'author'],
+      [2, 'edit', 'second', 'mod-1'],
+    ]);
+  });
+
+  test('turns two edits racing for the same revision into a 409', async () => {
+    const results = await Promise.allSettled([
+      editContent('comment', 12, { actor: 'c3', text: 'Which eyepiece did you use?' }),
+      editContent('comment', 12, { actor: 'c3', text: 'Which eyepiece and filter?' }),
+    ]);
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toMatchObject({ status: 409 });
+    expect(mockDb.rows('content_revisions')).toHaveLength(1);
+  });
+});
+
+describe('deleting', () => {
+  test('soft-deletes a comment with replies and keeps it in the thread', async () => {
+    const result = await deleteContent('comment', 10, { actor: 'c1' });
+    expect(result).toMatchObject({ deleted: 'soft', comment: { id: 10, text: DELETED_TEXT, author: DELETED_TEXT } });
+    expect(mockDb.rows('comments').map(c => c.id)).toEqual([10, 11, 12]);
+    expect(mockDb.rows('likes').some(l => l.target_id === '10')).toBe(false);
+
+    await expect(editContent('comment', 10, { actor: 'c1', text: 'back' })).rejects.toMatchObject({ status: 409 });
+    await expect(deleteContent('comment', 10, { actor: 'c1' })).resolves.toMatchObject({ deleted: 'soft' });
+    expect(await listRevisions('comment', 10)).toEqual([expect.objectContaining({ revision: 1, action: 'delete', text: 'Congrats!' })]);
+  });
+
+  test('hard-deletes a comment without replies', async () => {
+    await expect(deleteContent('comment', 12, { actor: 'c3' })).resolves.toMatchObject({ deleted: 'hard', comment: { id: 12 } });
+    expect(mockDb.rows('comments').map(c => c.id)).toEqual([10, 11]);
+  });
+
+  test('deletes a post with its comments, every like and its image', async () => {
+    await expect(deleteContent('post', 1, { actor: 'author' })).resolves.toMatchObject({ deleted: 'hard', commentsDeleted: 3 });
+    expect(mockDb.rows('posts').map(p => p.id)).toEqual([2]);
+    expect(mockDb.rows('comments')).toEqual([]);
+    expect(mockDb.rows('likes')).toEqual([]);
+    expect(mockDb.files('dao-images').size).toBe(0);
+    expect(await listRevisions('post', 1)).toEqual([expect.objectContaining({ action: 'delete', text: 'First light with the new scope' })]);
+  });
+});
@@ -0,0 +1,69 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock();
+jest.mock('../lib/supabase', () => mockDb.client);
+
+const { listDiscoveries, findPriorReports, DiscoveryError } = require('../lib/discoveries');
+
+const ARCSEC = 1 / 3600;
+const at = (id, ra, dec, extra = {}) => ({ id, ra, dec, type: 'NEW_POINT_SOURCE', user_id: 'u1', created_at: `2026-10-0${id % 9 + 1}T00:00:00Z`, ...extra });
+
+describe('listDiscoveries cone search', () => {
+  beforeEach(() => mockDb.reset({
+    discoveries: [
+      at(1, 83.8221, -5.3911),
+      at(2, 83.8221 + 10 * ARCSEC, -5.3911),   // 10″ east in RA, ~9.96″ on the sky
+      at(3, 83.8221, -5.3911 + 50 * ARCSEC),   // outside 30″
+      at(4, 359.998, 0.001),                   // across RA=0 from the next two
+      at(5, 0.002, 0.001),
+      at(6, 180, 0.001),
+      at(7, 10, 89.999),                       // near the pole: RA barely matters
+      at(8, 190, 89.999),
+    ],
+  }));
+
+  test('keeps only rows inside the radius, nearest first, with their separation', async () => {
+    const rows = await listDiscoveries({ ra: 83.8221, dec: -5.3911, radius: 30 * ARCSEC });
+    expect(rows.map(r => r.id)).toEqual([1, 2]);
+    expect(rows[0].separationArcsec).toBe(0);
+    expect(rows[1].separationArcsec).toBeCloseTo(10 * Math.cos(5.3911 * Math.PI / 180), 1);
+  });
+
+  test('defaults to the 30″ prior-report radius', async () => {
+    const rows = await listDiscoveries({ ra: 83.8221, dec: -5.3911 + 45 * ARCSEC });
+    expect(rows.map(r => r.id)).toEqual([3]);
+  });
+
+  test('wraps the RA box across 0h', async () => {
+    const rows = await listDiscoveries({ ra: 0, dec: 0, radius: 0.01 });
+    expect(rows.map(r => r.id).sort()).toEqual([4, 5]);
+    rows.forEach(r => expect(r.separationArcsec).toBeCloseTo(Math.hypot(7.2, 3.6), 1));
+  });
+
+  test('spans all RA near the pole', async () => {
+    const rows = await listDiscoveries({ ra: 100, dec: 90, radius: 0.01 });
+    expect(rows.map(r => r.id).sort()).toEqual([7, 8]);
+  });
+
+  test('applies offset and limit after sorting by separation', async () => {
+    const rows = await listDiscoveries({ ra: 83.8221, dec: -5.3911, radius: 0.1, offset: 1, limit: 1 });
+    expect(rows.map(r => r.id)).toEqual([2]);
+  });
+
+  test('rejects an unparseable date with a 400', async () => {
+    await expect(listDiscoveries({ from: 'yesterday-ish' })).rejects.toBeInstanceOf(DiscoveryError);
+    await expect(listDiscoveries({ to: 'soon' })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('findPriorReports', () => {
+  beforeEach(() => mockDb.reset({
+    discoveries: [at(1, 83.8221, -5.3911, { user_id: 'me' }), at(2, 83.8222, -5.3911, { user_id: 'other' })],
+  }));
+
+  test('returns earlier reports by other users at the main change', async () => {
+    const result = { coords: { ra: 0, dec: 0 }, classification: { candidateId: 9 }, candidates: [{ id: 9, ra: 83.8221, dec: -5.3911 }] };
+    const reports = await findPriorReports(result, { userId: 'me' });
+    expect(reports).toEqual([expect.objectContaining({ id: 2, userId: 'other' })]);
+  });
+});
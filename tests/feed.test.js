@@ -0,0 +1,89 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock();
+jest.mock('../lib/supabase', () => mockDb.client);
+
+const { listFeed, encodeCursor, decodeCursor, afterFilter, FeedError } = require('../lib/feed');
+
+const DAY = 86400000;
+const NOW = Date.now();
+const ago = days => new Date(NOW - days * DAY).toISOString();
+
+// Ties on likes and on created_at, so paging has to fall back to later keys.
+const POSTS = [
+  { id: 1, likes: 5, created_at: ago(3),  hot_score: 1.5 },
+  { id: 2, likes: 5, created_at: ago(2),  hot_score: 2.5 },
+  { id: 3, likes: 5, created_at: ago(2),  hot_score: 2.5 },
+  { id: 4, likes: 0, created_at: ago(1),  hot_score: 0.5 },
+  { id: 5, likes: 9, created_at: ago(1),  hot_score: 3 },
+  { id: 6, likes: 2, created_at: ago(40), hot_score: 0.1 },
+  { id: 7, likes: 1, created_at: ago(0.5), hot_score: 1, moderation_status: 'held' },
+].map(p => ({ moderation_status: 'published', user_id: `u${p.id}`, image: null, tags: [], ...p }));
+
+async function allPages(params) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await listFeed({ ...params, limit: 2, cursor });
+    ids.push(...page.posts.map(p => p.id));
+    cursor = page.nextCursor;
+  } while (cursor && ids.length < 20);
+  return ids;
+}
+
+describe('cursors', () => {
+  test('round-trip the sort keys of a row', () => {
+    const cursor = encodeCursor('top', POSTS[1]);
+    expect(decodeCursor(cursor, 'top')).toEqual([5, POSTS[1].created_at, 2]);
+  });
+
+  test('reject garbage, another sort\'s cursor and the wrong number of keys', () => {
+    const bad = [
+      'not-a-cursor',
+      encodeCursor('new', POSTS[0]),
+      Buffer.from(JSON.stringify({ s: 'top', k: [1, 2] })).toString('base64url'),
+      Buffer.from(JSON.stringify({ s: 'top', k: 'abc' })).toString('base64url'),
+    ];
+    for (const cursor of bad) {
+      expect(() => decodeCursor(cursor, 'top')).toThrow(FeedError);
+      expect(() => decodeCursor(cursor, 'top')).toThrow(expect.objectContaining({ status: 400 }));
+    }
+  });
+
+  test('afterFilter compares key by key, quoting every value', () => {
+    expect(afterFilter('top', [5, '2026-10-01T00:00:00Z', 'a"b'])).toBe(
+      'likes.lt."5",'
+      + 'and(likes.eq."5",created_at.lt."2026-10-01T00:00:00Z"),'
+      + 'and(likes.eq."5",created_at.eq."2026-10-01T00:00:00Z",id.lt."a\\"b")');
+    expect(afterFilter('new', ['2026-10-01', 9])).toBe('created_at.lt."2026-10-01",and(created_at.eq."2026-10-01",id.lt."9")');
+  });
+});
+
+describe('listFeed', () => {
+  beforeEach(() => mockDb.reset({
+    posts:               POSTS,
+    likes:               [{ target_type: 'post', target_id: '5', user_id: 'viewer' }],
+    post_comment_counts: [{ post_id: 2, comment_count: 4 }],
+  }));
+
+  test('pages through every published post exactly once in each order', async () => {
+    await expect(allPages({ sort: 'new' })).resolves.toEqual([5, 4, 3, 2, 1, 6]);
+    await expect(allPages({ sort: 'top', window: 'all' })).resolves.toEqual([5, 3, 2, 1, 6, 4]);
+    await expect(allPages({ sort: 'hot' })).resolves.toEqual([5, 3, 2, 1, 4, 6]);
+  });
+
+  test('limits top to its window', async () => {
+    await expect(allPages({ sort: 'top', window: 'month' })).resolves.toEqual([5, 3, 2, 1, 4]);
+  });
+
+  test('adds comment counts and likedByMe', async () => {
+    const { posts } = await listFeed({ sort: 'top', window: 'all', limit: 3 }, { viewerId: 'viewer' });
+    expect(posts.map(p => [p.id, p.likedByMe, p.commentCount])).toEqual([[5, true, 0], [3, false, 0], [2, false, 4]]);
+  });
+
+  test('rejects unknown sorts, windows and cursors with a 400', async () => {
+    await expect(listFeed({ sort: 'random' })).rejects.toMatchObject({ status: 400 });
+    await expect(listFeed({ sort: 'top', window: 'decade' })).rejects.toMatchObject({ status: 400 });
+    await expect(listFeed({ sort: 'hot', cursor: encodeCursor('new', POSTS[0]) })).rejects.toMatchObject({ status: 400 });
+  });
+});
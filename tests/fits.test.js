@@ -0,0 +1,79 @@
+const fits = require('../lib/fits');
+const { pixelToSky } = require('../lib/wcs');
+
+const WIDTH  = 6;
+const HEIGHT = 4;
+const WCS    = { crval: [83.8221, -5.3911], crpix: [3, 2], cd: [-0.001, 0, 0, -0.001] };
+const data   = Float32Array.from({ length: WIDTH * HEIGHT }, (_, i) => i * 1.5 - 4);
+
+describe('FITS image round trip', () => {
+  const file = fits.imageHdu(data, WIDTH, HEIGHT, { wcs: WCS, extend: true, cards: [['BUNIT', 'ADU', 'test units']] });
+
+  test('writes whole 2880-byte blocks that read back as FITS', () => {
+    expect(file.length % 2880).toBe(0);
+    expect(fits.isFits(file)).toBe(true);
+    const { header } = fits.readHeader(file);
+    expect(header).toMatchObject({ SIMPLE: true, BITPIX: -32, NAXIS1: WIDTH, NAXIS2: HEIGHT, EXTEND: true, BUNIT: 'ADU' });
+  });
+
+  test('keeps every pixel value, rows stored bottom-up', () => {
+    const image = fits.readImage(file);
+    expect([image.width, image.height]).toEqual([WIDTH, HEIGHT]);
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        expect(image.data[(HEIGHT - 1 - y) * WIDTH + x]).toBeCloseTo(data[y * WIDTH + x], 5);
+      }
+    }
+  });
+
+  test('flips the WCS with the rows, so every pixel keeps its sky position', () => {
+    const wcs = fits.wcsFromHeader(fits.readHeader(file).header);
+    for (const [x, y] of [[0, 0], [5, 3], [2, 1]]) {
+      const before = pixelToSky(WCS, x, y);
+      const after  = pixelToSky(wcs, x, HEIGHT - 1 - y);
+      expect(after.ra).toBeCloseTo(before.ra, 8);
+      expect(after.dec).toBeCloseTo(before.dec, 8);
+    }
+  });
+});
+
+describe('FITS headers', () => {
+  test('parses strings, logicals and D exponents', () => {
+    const card = s => s.padEnd(80);
+    const buffer = Buffer.from([
+      card("SIMPLE  =                    T"),
+      card("OBJECT  = 'M 42 ''core'''      / quoted"),
+      card('EXPTIME =              1.5D+01'),
+      card('END'),
+    ].join('').padEnd(2880), 'latin1');
+    expect(fits.readHeader(buffer).header).toEqual({ SIMPLE: true, OBJECT: "M 42 'core'", EXPTIME: 15 });
+  });
+
+  test('rejects files without an image or an END card', () => {
+    const empty = Buffer.from(['SIMPLE  =                    T', 'NAXIS   =                    0', 'END']
+      .map(c => c.padEnd(80)).join('').padEnd(2880), 'latin1');
+    expect(() => fits.readHeader(Buffer.alloc(2880, 0x20))).toThrow('no END card');
+    expect(() => fits.readImage(empty)).toThrow('no 2-D image');
+  });
+
+  test('builds WCS from CDELT and CROTA2 and refuses non-celestial axes', () => {
+    const h = { CRVAL1: 10, CRVAL2: 20, CRPIX1: 1, CRPIX2: 1, CDELT1: -0.01, CDELT2: 0.01, CROTA2: 0 };
+    const wcs = fits.wcsFromHeader(h);
+    expect(wcs).toMatchObject({ crval: [10, 20], crpix: [0, 0] });
+    [-0.01, 0, 0, 0.01].forEach((v, i) => expect(wcs.cd[i]).toBeCloseTo(v, 12));
+    expect(fits.wcsFromHeader({ ...h, CTYPE1: 'GLON-TAN' })).toBeNull();
+  });
+});
+
+describe('FITS binary tables', () => {
+  test('write one row per object with the declared column widths', () => {
+    const hdu = fits.tableHdu('CANDIDATES', [
+      { name: 'ID', type: 'J' }, { name: 'RA', type: 'D', unit: 'deg' }, { name: 'CLASS', type: '8A' },
+    ], [{ ID: 7, RA: 83.5, CLASS: 'HOT_PIXEL_LONG' }]);
+    const { header, dataOffset } = fits.readHeader(hdu);
+    expect(header).toMatchObject({ XTENSION: 'BINTABLE', NAXIS1: 20, NAXIS2: 1, TFIELDS: 3, TUNIT2: 'deg', EXTNAME: 'CANDIDATES' });
+    expect(hdu.readInt32BE(dataOffset)).toBe(7);
+    expect(hdu.readDoubleBE(dataOffset + 4)).toBe(83.5);
+    expect(hdu.toString('latin1', dataOffset + 12, dataOffset + 20)).toBe('HOT_PIXE');
+  });
+});
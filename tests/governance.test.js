@@ -0,0 +1,122 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock();
+jest.mock('../lib/supabase', () => mockDb.client);
+
+const governance = require('../lib/governance');
+const { getStrategy, createReputationStrategy } = require('../lib/governance/strategies');
+
+const HOUR = 60 * 60 * 1000;
+const iso  = offsetMs => new Date(Date.now() + offsetMs).toISOString();
+
+const proposal = (id, overrides = {}) => ({
+  id, author_id: 'author', title: `Proposal ${id}`, body: '', options: ['Yes', 'No', 'Abstain'],
+  strategy: 'equal', quorum: 0, starts_at: iso(-HOUR), ends_at: iso(HOUR), status: 'open', result: null,
+  created_at: iso(-2 * HOUR), ...overrides,
+});
+const vote = (proposalId, userId, option, weight = 1) => ({ proposal_id: proposalId, user_id: userId, option, weight });
+
+beforeEach(() => mockDb.reset());
+
+describe('strategies', () => {
+  test('only own strategies are found', async () => {
+    expect(getStrategy('equal').name).toBe('equal');
+    expect(getStrategy('toString')).toBeNull();
+    expect(getStrategy('__proto__')).toBeNull();
+    await expect(governance.createProposal({ userId: 'u1', title: 'T', options: ['a', 'b'], strategy: 'toString' }))
+      .rejects.toMatchObject({ name: 'GovernanceError', status: 400 });
+    await expect(governance.votingPower('u1', 'constructor')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('reputation grows with likes received and confirmed discoveries, up to the cap', async () => {
+    mockDb.reset({
+      posts:       [{ user_id: 'u1', likes: 9 }, { user_id: 'u2', likes: 400 }],
+      comments:    [{ user_id: 'u1', likes: 7 }],
+      discoveries: [
+        { user_id: 'u1', type: 'NEW_POINT_SOURCE', confidence: 0.9, review_status: 'confirmed' },
+        { user_id: 'u1', type: 'HOT_PIXEL', confidence: 0.2, review_status: 'rejected' },
+      ],
+    });
+    const strategy = createReputationStrategy({ maxWeight: 10 });
+    await expect(strategy.power('u1')).resolves.toEqual({ weight: 5, breakdown: { base: 1, likes: 16, discoveries: 1 } });
+    await expect(strategy.power('u2')).resolves.toMatchObject({ weight: 10 });
+    await expect(strategy.power('nobody')).resolves.toMatchObject({ weight: 1 });
+  });
+});
+
+describe('tally', () => {
+  test('weights options and picks the heaviest', () => {
+    const result = governance.tally(proposal(1), [vote(1, 'a', 0, 1), vote(1, 'b', 1, 1), vote(1, 'c', 1, 2.5)]);
+    expect(result).toMatchObject({ voters: 3, totalWeight: 4.5, winner: 1, tie: false, quorumMet: true });
+    expect(result.options.map(o => [o.weight, o.votes, o.share])).toEqual([[1, 1, 0.2222], [3.5, 2, 0.7778], [0, 0, 0]]);
+  });
+
+  test('has no winner on a tie, without votes or below quorum', () => {
+    expect(governance.tally(proposal(1), [vote(1, 'a', 0), vote(1, 'b', 1)])).toMatchObject({ tie: true, winner: null });
+    expect(governance.tally(proposal(1), [])).toMatchObject({ quorumMet: false, winner: null, totalWeight: 0 });
+    expect(governance.tally(proposal(1, { quorum: 3 }), [vote(1, 'a', 0), vote(1, 'b', 0)]))
+      .toMatchObject({ quorumMet: false, winner: null, quorum: 3 });
+    expect(governance.tally(proposal(1, { quorum: 2 }), [vote(1, 'a', 0), vote(1, 'b', 0)]))
+      .toMatchObject({ quorumMet: true, winner: 0 });
+  });
+});
+
+describe('voting', () => {
+  test('casts and changes a vote, keeping one row per voter', async () => {
+    mockDb.reset({ proposals: [proposal('p1')] });
+    await governance.castVote('p1', 'u1', 0);
+    const { result } = await governance.castVote('p1', 'u1', '2');
+    expect(mockDb.rows('proposal_votes')).toHaveLength(1);
+    expect(result).toMatchObject({ voters: 1, winner: 2 });
+    await expect(governance.getProposal('p1', { userId: 'u1' })).resolves.toMatchObject({ phase: 'open', myVote: { option: 2, weight: 1 } });
+  });
+
+  test('refuses bad options, unknown proposals and closed or pending windows', async () => {
+    mockDb.reset({
+      proposals: [proposal('p1'), proposal('later', { starts_at: iso(HOUR), ends_at: iso(2 * HOUR) }), proposal('done', { status: 'closed' })],
+    });
+    await expect(governance.castVote('p1', 'u1', 3)).rejects.toMatchObject({ status: 400 });
+    await expect(governance.castVote('p1', null, 0)).rejects.toMatchObject({ status: 400 });
+    await expect(governance.castVote('missing', 'u1', 0)).rejects.toMatchObject({ status: 404 });
+    await expect(governance.castVote('later', 'u1', 0)).rejects.toMatchObject({ status: 409, message: 'Voting has not started' });
+    await expect(governance.castVote('done', 'u1', 0)).rejects.toMatchObject({ status: 409, message: 'Voting has closed' });
+  });
+
+  test('validates new proposals', async () => {
+    const base = { userId: 'u1', title: 'Star party venue', options: ['Hill', 'Lake'] };
+    await expect(governance.createProposal({ ...base, options: ['Hill', 'hill'] })).rejects.toMatchObject({ status: 400 });
+    await expect(governance.createProposal({ ...base, durationHours: 0.5 })).rejects.toMatchObject({ status: 400 });
+    await expect(governance.createProposal({ ...base, quorum: -1 })).rejects.toMatchObject({ status: 400 });
+    await expect(governance.createProposal(base)).resolves.toMatchObject({ strategy: 'equal', status: 'open', phase: 'open' });
+  });
+});
+
+describe('finalize', () => {
+  const ended = () => proposal('p1', { starts_at: iso(-3 * HOUR), ends_at: iso(-HOUR) });
+
+  test('freezes the tally once, however many callers race to close it', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.reset({ proposals: [ended()], proposal_votes: [vote('p1', 'a', 1), vote('p1', 'b', 1), vote('p1', 'c', 0)] });
+
+    const closed = (await Promise.all([governance.finalize('p1'), governance.finalize('p1'), governance.finalizeDue()]))
+      .slice(0, 2).filter(Boolean);
+    expect(closed).toHaveLength(1);
+    expect(closed[0]).toMatchObject({ status: 'closed', result: { winner: 1, voters: 3 } });
+    expect(console.log).toHaveBeenCalledTimes(1);
+
+    mockDb.rows('proposal_votes').push(vote('p1', 'late', 0, 10));
+    await expect(governance.getProposal('p1')).resolves.toMatchObject({ phase: 'closed', result: { winner: 1, voters: 3 } });
+  });
+
+  test('closes an ended proposal when it is read', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockDb.reset({ proposals: [ended()] });
+    await expect(governance.getProposal('p1')).resolves.toMatchObject({ status: 'closed', phase: 'closed', result: { winner: null } });
+  });
+
+  test('leaves open proposals alone', async () => {
+    mockDb.reset({ proposals: [proposal('p1')] });
+    await expect(governance.finalize('p1')).resolves.toBeNull();
+    expect(mockDb.rows('proposals')[0].status).toBe('open');
+  });
+});
@@ -0,0 +1,239 @@
+// In-memory stand-in for the supabase-js client, enough of PostgREST for the
+// lib modules under test: select/insert/update/upsert/delete with the usual
+// filters, ordering, ranges, counts, single rows, rpc() and storage buckets.
+// Column lists in select() are ignored; whole rows come back.
+//
+//   const mockDb = createSupabaseMock({ unique: { likes: ['target_type', 'target_id', 'user_id'] } });
+//   jest.mock('../lib/supabase', () => mockDb.client);
+//   beforeEach(() => mockDb.reset({ posts: [...] }));
+
+const equal = (a, b) => a === b || (a != null && b != null && String(a) === String(b));
+// Filter values arrive as strings; a numeric column compares them as numbers.
+const compare = (a, b) => {
+  if (typeof a === 'number' && b !== '' && !Number.isNaN(Number(b))) return a - Number(b);
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const OPERATORS = {
+  eq:  (v, x) => equal(v, x),
+  neq: (v, x) => !equal(v, x),
+  gt:  (v, x) => v != null && compare(v, x) > 0,
+  gte: (v, x) => v != null && compare(v, x) >= 0,
+  lt:  (v, x) => v != null && compare(v, x) < 0,
+  lte: (v, x) => v != null && compare(v, x) <= 0,
+  is:  (v, x) => (x === null ? v == null : v === x),
+  in:  (v, x) => (Array.isArray(x) ? x : String(x).replace(/^\(|\)$/g, '').split(',')).some(y => equal(v, y)),
+};
+
+// Splits "a,b,and(c,d)" on the commas outside parentheses and double quotes.
+function splitList(text) {
+  const parts = [];
+  let depth = 0, quoted = false, current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && quoted) { current += ch + text[++i]; continue; }
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (!quoted && depth === 0 && ch === ',') { parts.push(current); current = ''; continue; }
+    current += ch;
+  }
+  return parts.concat(current);
+}
+
+// One PostgREST logic-tree condition, e.g. `ra.gte.350`, `created_at.lt."2026-10-01"`
+// or `and(likes.eq.5,id.lt.9)`, as a predicate.
+function parseCondition(condition) {
+  const group = /^(and|or)\((.*)\)$/.exec(condition);
+  if (group) {
+    const parts = splitList(group[2]).map(parseCondition);
+    return group[1] === 'and' ? row => parts.every(p => p(row)) : row => parts.some(p => p(row));
+  }
+  const [, column, op, raw] = /^([^.]+)\.(\w+)\.(.*)$/.exec(condition);
+  const value = raw === 'null' ? null
+    : raw.startsWith('"') ? raw.slice(1, -1).replace(/\\(.)/g, '$1') : raw;
+  return row => OPERATORS[op](row[column], value);
+}
+
+const parseOr = expression => parseCondition(`or(${expression})`);
+
+class Query {
+  constructor(db, table) {
+    this.db       = db;
+    this.table    = table;
+    this.action   = 'select';
+    this.filters  = [];
+    this.orders   = [];
+    this.returning = false;
+  }
+
+  select(_columns, { count, head } = {}) {
+    if (this.action === 'select') Object.assign(this, { count, head });
+    else this.returning = true;
+    return this;
+  }
+  insert(rows)                { return Object.assign(this, { action: 'insert', payload: [].concat(rows) }); }
+  upsert(rows, options = {})  { return Object.assign(this, { action: 'upsert', payload: [].concat(rows), options }); }
+  update(patch)               { return Object.assign(this, { action: 'update', payload: patch }); }
+  delete()                    { return Object.assign(this, { action: 'delete' }); }
+
+  filter(predicate)           { this.filters.push(predicate); return this; }
+  not(column, op, value)      { return this.filter(row => !OPERATORS[op](row[column], value)); }
+  or(expression)              { return this.filter(parseOr(expression)); }
+  contains(column, values)    { return this.filter(row => values.every(v => (row[column] || []).includes(v))); }
+  ilike(column, pattern) {
+    const re = new RegExp(`^${pattern.replace(/\\([%_])/g, '$1').replace(/[.*+?^${}()|[\]]/g, '\\$&').replace(/%/g, '.*')}$`, 'i');
+    return this.filter(row => re.test(String(row[column] ?? '')));
+  }
+  textSearch(column, query) {
+    const words = String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return this.filter(row => words.every(w => String(row[column] || '').toLowerCase().includes(w)));
+  }
+
+  order(column, { ascending = true } = {}) { this.orders.push({ column, ascending }); return this; }
+  limit(n)          { this.max = n; return this; }
+  range(from, to)   { this.offset = from; this.max = to - from + 1; return this; }
+  single()          { this.one = 'single'; return this; }
+  maybeSingle()     { this.one = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter(row => this.filters.every(f => f(row)));
+  }
+
+  execute() {
+    const failure = this.db.failures[this.table]?.[this.action];
+    if (failure) return { data: null, error: failure };
+    let rows;
+    switch (this.action) {
+      case 'insert': {
+        const result = this.db.insertRows(this.table, this.payload);
+        if (result.error) return { data: null, error: result.error };
+        rows = result.rows;
+        break;
+      }
+      case 'upsert': rows = this.db.upsertRows(this.table, this.payload, this.options); break;
+      case 'update':
+        rows = this.matching();
+        rows.forEach(row => Object.assign(row, this.payload));
+        break;
+      case 'delete':
+        rows = this.matching();
+        this.db.deleteRows(this.table, rows);
+        break;
+      default:
+        rows = this.matching();
+    }
+
+    rows = [...rows];
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows.sort((a, b) => (a[column] == null) - (b[column] == null) || compare(a[column], b[column]) * (ascending ? 1 : -1));
+    }
+    const count = rows.length;
+    if (this.offset) rows = rows.slice(this.offset);
+    if (this.max != null) rows = rows.slice(0, this.max);
+    rows = rows.map(row => ({ ...row }));
+
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+    if (this.head) return { data: null, count, error: null };
+    if (this.one) {
+      if (rows.length > 1 || (rows.length === 0 && this.one === 'single')) {
+        return { data: null, error: { code: 'PGRST116', message: `expected one row, got ${rows.length}` } };
+      }
+      return { data: rows[0] || null, error: null };
+    }
+    return { data: rows, ...(this.count && { count }), error: null };
+  }
+}
+
+function createBucket(files) {
+  return {
+    async upload(path, buffer, { upsert = false } = {}) {
+      if (files.has(path) && !upsert) return { data: null, error: { statusCode: '409', message: 'The resource already exists' } };
+      files.set(path, buffer);
+      return { data: { path }, error: null };
+    },
+    async remove(paths) {
+      paths.forEach(p => files.delete(p));
+      return { data: paths, error: null };
+    },
+    getPublicUrl: path => ({ data: { publicUrl: `https://storage.test/storage/v1/object/public/${files.bucket}/${path}` } }),
+  };
+}
+
+function createSupabaseMock({ unique = {}, triggers = {}, rpc = {} } = {}) {
+  let nextId = 1000;
+  let tables  = {};
+  let buckets = {};
+  const db = {
+    failures: {},
+    // Replaces every table with copies of the seed rows and empties the buckets.
+    reset(seed = {}) {
+      tables  = Object.fromEntries(Object.entries(seed).map(([t, rows]) => [t, rows.map(r => ({ ...r }))]));
+      buckets = {};
+      db.failures = {};
+    },
+    rows: table => (tables[table] ??= []),
+    insertRows(table, payload) {
+      const rows = db.rows(table);
+      const added = [];
+      for (const input of payload) {
+        const row = { id: nextId++, created_at: new Date(Date.now() + nextId).toISOString(), ...input };
+        const key = unique[table];
+        if (key && rows.concat(added).some(r => key.every(k => equal(r[k], row[k])))) {
+          return { error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+        }
+        added.push(row);
+      }
+      added.forEach(row => { rows.push(row); triggers[table]?.insert?.(row, db); });
+      return { rows: added };
+    },
+    upsertRows(table, payload, { onConflict, ignoreDuplicates } = {}) {
+      const key  = onConflict ? onConflict.split(',') : ['id'];
+      const rows = db.rows(table);
+      const out  = [];
+      for (const input of payload) {
+        const existing = rows.find(r => key.every(k => equal(r[k], input[k])));
+        if (existing && ignoreDuplicates) continue;
+        if (existing) { Object.assign(existing, input); out.push(existing); continue; }
+        out.push(...db.insertRows(table, [input]).rows);
+      }
+      return out;
+    },
+    deleteRows(table, victims) {
+      tables[table] = db.rows(table).filter(r => !victims.includes(r));
+      victims.forEach(row => triggers[table]?.delete?.(row, db));
+    },
+    // Makes the next and every later `action` on `table` fail with `error`.
+    fail(table, action, error = { message: `${table} ${action} failed` }) {
+      (db.failures[table] ??= {})[action] = error;
+    },
+    files: bucket => (buckets[bucket] ??= Object.assign(new Map(), { bucket })),
+  };
+
+  db.client = {
+    from: table => new Query(db, table),
+    rpc:  async (name, args) => {
+      if (!rpc[name]) return { data: null, error: { message: `function ${name} does not exist` } };
+      try {
+        return { data: await rpc[name](args, db), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+    storage: { from: bucket => createBucket(db.files(bucket)) },
+  };
+  return db;
+}
+
+// eq(column, value), gte(column, value), in(column, values), ...
+for (const [op, test] of Object.entries(OPERATORS)) {
+  Query.prototype[op] = function (column, value) {
+    return this.filter(row => test(row[column], value));
+  };
+}
+
+module.exports = { createSupabaseMock };
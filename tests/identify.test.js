@@ -0,0 +1,88 @@
+// /api/identify grounding: a job or discovery only lends its plate solution
+// to an identification of the same image bytes.
+
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock();
+jest.mock('../lib/supabase', () => mockDb.client);
+
+process.env.AI_PROVIDER = 'mock';
+
+const request         = require('supertest');
+const { createJob }   = require('../lib/jobs');
+const { imageHash }   = require('../lib/pipeline');
+const app             = require('../server');
+
+// a PNG header is all the route reads of an upload before passing it on
+const PNG_HEADER = Buffer.from('89504e470d0a1a0a0000000d4948445200000100000000c0', 'hex');
+const IMAGE = Buffer.concat([PNG_HEADER, Buffer.from('pretend these are the bytes of an M42 photo')]);
+const OTHER = Buffer.from('and these are some other photo');
+const dataUri = buffer => `data:image/jpeg;base64,${buffer.toString('base64')}`;
+
+const M42 = { ra: 83.8221, dec: -5.3911 };
+
+const finishedJob = result => new Promise(resolve => {
+  const job = createJob('discovery', async () => result);
+  job.once('finished', () => resolve(job));
+});
+
+describe('POST /api/identify grounding', () => {
+  beforeEach(() => mockDb.reset({
+    discoveries: [
+      { id: 'd-m42', ...M42, field_radius: 0.3, image_hash: imageHash(IMAGE), created_at: '2026-10-01T00:00:00Z' },
+      { id: 'd-old', ra: 10, dec: 41, field_radius: 0.3, image_hash: null, created_at: '2026-09-01T00:00:00Z' },
+    ],
+  }));
+
+  test('uses a finished job run on the same image', async () => {
+    const job = await finishedJob({ coords: { ra: '83.8221', dec: '-5.3911' }, fieldRadius: 0.3, imageHash: imageHash(IMAGE) });
+    const res = await request(app).post('/api/identify').send({ image: dataUri(IMAGE), jobId: job.id });
+    expect(res.status).toBe(200);
+    expect(res.body.grounding).toMatchObject({ source: 'job', ...M42 });
+  });
+
+  test('refuses a job run on a different image', async () => {
+    const job = await finishedJob({ coords: { ra: '83.8221', dec: '-5.3911' }, fieldRadius: 0.3, imageHash: imageHash(OTHER) });
+    const res = await request(app).post('/api/identify').send({ image: dataUri(IMAGE), jobId: job.id });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('GROUNDING_MISMATCH');
+  });
+
+  test('refuses a discovery of another image, or one without a hash', async () => {
+    const mismatch = await request(app).post('/api/identify').send({ image: dataUri(OTHER), discoveryId: 'd-m42' });
+    const unhashed = await request(app).post('/api/identify').send({ image: dataUri(IMAGE), discoveryId: 'd-old' });
+    expect([mismatch.status, unhashed.status]).toEqual([409, 409]);
+  });
+
+  test('refuses job or discovery grounding for URL images, whose bytes are never seen', async () => {
+    const res = await request(app).post('/api/identify').send({ image: 'https://example.test/m42.jpg', discoveryId: 'd-m42' });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/uploaded or data URI/);
+  });
+
+  test('finds a saved discovery of the same upload by itself', async () => {
+    const res = await request(app).post('/api/identify').attach('image', IMAGE, { filename: 'm42.jpg', contentType: 'image/jpeg' });
+    expect(res.status).toBe(200);
+    expect(res.body.grounding).toMatchObject({ source: 'discovery', discoveryId: 'd-m42', ...M42 });
+  });
+
+  test('types uploads by their header, whatever the client claimed', async () => {
+    const generic = await request(app).post('/api/identify').attach('image', IMAGE, { filename: 'upload', contentType: 'application/octet-stream' });
+    expect(generic.status).toBe(200);
+    expect(generic.body.grounding).toMatchObject({ discoveryId: 'd-m42' });
+
+    const notAnImage = await request(app).post('/api/identify').attach('image', Buffer.from('%PDF-1.7'), { filename: 'm42.jpg', contentType: 'image/jpeg' });
+    expect(notAnImage.status).toBe(415);
+  });
+
+  test('leaves an unknown image ungrounded', async () => {
+    const res = await request(app).post('/api/identify').send({ image: dataUri(OTHER) });
+    expect(res.status).toBe(200);
+    expect(res.body.grounding).toBeNull();
+  });
+
+  test('trusts explicit coordinates', async () => {
+    const res = await request(app).post('/api/identify').send({ image: dataUri(OTHER), ra: 10.68, dec: 41.27 });
+    expect(res.body.grounding).toMatchObject({ source: 'coordinates', ra: 10.68, dec: 41.27, radius: 0.25 });
+  });
+});
@@ -0,0 +1,141 @@
+const Jimp = require('jimp');
+const { createSupabaseMock } = require('./helpers/supabase');
+
+// acquire/release/forget_dao_image as the migration defines them
+const holder = (db, hash) => db.rows('dao_images').find(d => d.hash === hash);
+const mockDb = createSupabaseMock({
+  rpc: {
+    acquire_dao_image: ({ p_hash }, db) => {
+      const held = holder(db, p_hash);
+      if (held && held.deleting) return null;
+      if (held) held.refs += 1;
+      else db.insertRows('dao_images', [{ hash: p_hash, refs: 1, deleting: false }]);
+      return true;
+    },
+    release_dao_image: ({ p_hash }, db) => {
+      const held = holder(db, p_hash);
+      if (!held || held.deleting) return null;
+      held.refs     = Math.max(held.refs - 1, 0);
+      held.deleting = held.refs === 0;
+      return held.deleting;
+    },
+    forget_dao_image: ({ p_hash }, db) => {
+      db.deleteRows('dao_images', db.rows('dao_images').filter(d => d.hash === p_hash && d.deleting));
+      return null;
+    },
+  },
+});
+jest.mock('../lib/supabase', () => mockDb.client);
+
+process.env.MODERATION_RULES        = JSON.stringify({});
+process.env.DAO_IMAGE_MAX_DIMENSION = '400'; // small renditions keep this quick
+
+const request = require('supertest');
+const { probe, processImage, storeDaoImage, removeDaoImage, ImageError } = require('../lib/images');
+const app = require('../server');
+
+const stored = () => [...mockDb.files('dao-images').keys()].sort();
+
+// A JPEG with an EXIF block and a comment spliced in after the start marker.
+async function jpegWithMetadata(width, height) {
+  const plain = await new Jimp(width, height, 0x336699ff).quality(90).getBufferAsync(Jimp.MIME_JPEG);
+  const tiff  = Buffer.from('49492a00080000000000000000', 'hex'); // empty little-endian IFD
+  const exif  = Buffer.concat([Buffer.from('Exif\0\0'), tiff, Buffer.from('GPS 48.8566N 2.3522E')]);
+  const note  = Buffer.from('shot from my back garden');
+  const segment = (marker, body) => {
+    const head = Buffer.from([0xff, marker, 0, 0]);
+    head.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([head, body]);
+  };
+  return Buffer.concat([plain.subarray(0, 2), segment(0xe1, exif), segment(0xfe, note), plain.subarray(2)]);
+}
+
+// Only the header of a PNG: enough for probe, nothing to decode.
+function pngHeader(width, height) {
+  const b = Buffer.from('89504e470d0a1a0a0000000d494844520000000000000000', 'hex');
+  b.writeUInt32BE(width, 16);
+  b.writeUInt32BE(height, 20);
+  return b;
+}
+
+let photo;
+beforeAll(async () => { photo = await jpegWithMetadata(600, 400); });
+beforeEach(() => mockDb.reset());
+
+describe('probe and decode', () => {
+  test('read the size from the header of each accepted type', async () => {
+    expect(probe(photo)).toEqual({ type: 'image/jpeg', width: 600, height: 400 });
+    expect(probe(pngHeader(640, 480))).toEqual({ type: 'image/png', width: 640, height: 480 });
+    const gif = await new Jimp(40, 30, 0xffffffff).getBufferAsync(Jimp.MIME_GIF);
+    expect(probe(gif)).toMatchObject({ type: 'image/gif', width: 40, height: 30 });
+    expect(probe(Buffer.from('%PDF-1.7'))).toBeNull();
+    expect(probe(photo.subarray(0, 20))).toBeNull();
+  });
+
+  test('refuse what is not an image, too small or too big to decode', async () => {
+    await expect(processImage(Buffer.from('%PDF-1.7 not a picture'))).rejects.toMatchObject({ name: 'ImageError', status: 415 });
+    await expect(processImage(await new Jimp(8, 8, 0xffffffff).getBufferAsync(Jimp.MIME_PNG))).rejects.toMatchObject({ status: 422 });
+    // a few bytes claiming 100 000 × 100 000 pixels are refused on the header alone
+    await expect(processImage(pngHeader(100000, 100000))).rejects.toMatchObject({ status: 413 });
+    await expect(processImage(pngHeader(640, 480))).rejects.toBeInstanceOf(ImageError); // header without pixels
+  });
+});
+
+describe('processImage', () => {
+  test('makes three renditions and drops EXIF and comments', async () => {
+    const result = await processImage(photo);
+    expect(result).toMatchObject({ contentType: 'image/jpeg', ext: 'jpg', width: 400, height: 267 });
+    expect(result.renditions).toMatchObject({
+      full:      { width: 400, height: 267 },
+      medium:    { width: 400, height: 267 }, // never larger than full
+      thumbnail: { width: 320, height: 214 },
+    });
+    for (const { buffer } of Object.values(result.renditions)) {
+      expect(buffer.includes('Exif')).toBe(false);
+      expect(buffer.includes('GPS 48.8566N')).toBe(false);
+      expect(buffer.includes('back garden')).toBe(false);
+    }
+  });
+
+  test('keeps transparent images as PNG', async () => {
+    const result = await processImage(await new Jimp(64, 64, 0xff000080).getBufferAsync(Jimp.MIME_PNG));
+    expect(result).toMatchObject({ contentType: 'image/png', ext: 'png', width: 64, height: 64 });
+  });
+});
+
+describe('shared files', () => {
+  let small;
+  beforeAll(async () => { small = await jpegWithMetadata(100, 80); });
+
+  test('are stored once and removed with the last post holding them', async () => {
+    const first  = await storeDaoImage(small);
+    const second = await storeDaoImage(small);
+    expect(second.image).toBe(first.image);
+    expect(stored()).toHaveLength(3);
+
+    await removeDaoImage(first);
+    expect(stored()).toHaveLength(3);
+    await removeDaoImage(second);
+    expect(stored()).toEqual([]);
+    expect(mockDb.rows('dao_images')).toEqual([]);
+  });
+
+  test('are not taken while they are being removed', async () => {
+    const { hash } = await processImage(small);
+    mockDb.reset({ dao_images: [{ hash, refs: 0, deleting: true }] });
+    setTimeout(() => mockDb.reset(), 300); // the removal finishes
+    await storeDaoImage(small);
+    expect(mockDb.rows('dao_images')).toEqual([expect.objectContaining({ hash, refs: 1 })]);
+    expect(stored()).toHaveLength(3);
+  });
+
+  test('are given back when the post cannot be saved', async () => {
+    mockDb.fail('posts', 'insert', { message: 'connection reset' });
+    const res = await request(app).post('/api/dao/posts')
+      .field('userId', 'u1').field('author', 'Vega').field('text', 'First light')
+      .attach('image', small, { filename: 'first.jpg', contentType: 'image/jpeg' });
+    expect(res.status).toBe(500);
+    expect(stored()).toEqual([]);
+    expect(mockDb.rows('dao_images')).toEqual([]);
+  });
+});
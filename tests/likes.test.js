@@ -0,0 +1,102 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+// likes rows keep posts.likes / comments.likes current, as the database trigger does
+const recount = delta => (like, db) => {
+  const target = db.rows(`${like.target_type}s`).find(r => String(r.id) === like.target_id);
+  if (target) target.likes = Math.max((target.likes || 0) + delta, 0);
+};
+
+const mockDb = createSupabaseMock({
+  unique:   { likes: ['target_type', 'target_id', 'user_id'] },
+  triggers: { likes: { insert: recount(1), delete: recount(-1) } },
+  rpc:      {
+    // toggle_like runs as one statement, so nothing can interleave with it here either
+    toggle_like: ({ p_target_type, p_target_id, p_user_id }, db) => {
+      const key  = { target_type: p_target_type, target_id: p_target_id, user_id: p_user_id };
+      const mine = db.rows('likes').filter(l => Object.entries(key).every(([k, v]) => l[k] === v));
+      if (mine.length) {
+        db.deleteRows('likes', mine);
+        return { liked: false, changed: true };
+      }
+      db.insertRows('likes', [key]);
+      return { liked: true, changed: true };
+    },
+  },
+});
+jest.mock('../lib/supabase', () => mockDb.client);
+
+const request = require('supertest');
+const { setLike, listLikers, likedByUser } = require('../lib/likes');
+const app = require('../server');
+
+beforeEach(() => mockDb.reset({
+  posts: [
+    { id: 1, user_id: 'author', text: 'M13 tonight', likes: 0, moderation_status: 'published' },
+    { id: 2, user_id: 'author', text: 'held', likes: 0, moderation_status: 'held' },
+  ],
+  comments: [
+    { id: 10, post_id: 1, user_id: 'author', text: 'nice', likes: 0, moderation_status: 'published' },
+    { id: 11, post_id: 1, user_id: 'author', text: '[deleted]', likes: 0, moderation_status: 'published', deleted_at: '2026-10-01T00:00:00Z' },
+  ],
+}));
+
+describe('setLike', () => {
+  test('like is idempotent and reports whether anything changed', async () => {
+    await expect(setLike('post', 1, 'u1', 'like')).resolves.toMatchObject({ liked: true, changed: true, likes: 1 });
+    await expect(setLike('post', 1, 'u1', 'like')).resolves.toMatchObject({ liked: true, changed: false, likes: 1 });
+    expect(mockDb.rows('likes')).toHaveLength(1);
+  });
+
+  test('unlike is idempotent and reports whether anything changed', async () => {
+    await setLike('post', 1, 'u1', 'like');
+    await expect(setLike('post', 1, 'u1', 'unlike')).resolves.toMatchObject({ liked: false, changed: true, likes: 0 });
+    await expect(setLike('post', 1, 'u1', 'unlike')).resolves.toMatchObject({ liked: false, changed: false, likes: 0 });
+  });
+
+  test('toggle flips the like and always changes it', async () => {
+    await expect(setLike('comment', 10, 'u1')).resolves.toMatchObject({ liked: true, changed: true, likes: 1 });
+    await expect(setLike('comment', 10, 'u1', 'toggle')).resolves.toMatchObject({ liked: false, changed: true, likes: 0 });
+    await expect(setLike('comment', 10, 'u1', 'toggle')).resolves.toMatchObject({ liked: true, changed: true, likes: 1 });
+  });
+
+  test('counts each member once', async () => {
+    await Promise.all(['u1', 'u2', 'u3', 'u1'].map(u => setLike('post', 1, u, 'like')));
+    expect(mockDb.rows('posts')[0].likes).toBe(3);
+  });
+
+  test('only published, undeleted targets can be liked', async () => {
+    await expect(setLike('post', 2, 'u1', 'like')).rejects.toMatchObject({ name: 'LikeError', status: 404 });
+    await expect(setLike('comment', 11, 'u1', 'like')).rejects.toMatchObject({ status: 404 });
+    await expect(setLike('post', 99, 'u1', 'like')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('validates type, member and action', async () => {
+    await expect(setLike('poll', 1, 'u1')).rejects.toMatchObject({ status: 400 });
+    await expect(setLike('post', 1, null)).rejects.toMatchObject({ status: 400 });
+    await expect(setLike('post', 1, 'u1', 'love')).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('likers', () => {
+  test('lists who liked a target, newest first, and which ids a member liked', async () => {
+    for (const u of ['u1', 'u2', 'u3']) await setLike('post', 1, u, 'like');
+    const { likes, total } = await listLikers('post', 1, { limit: 2 });
+    expect(total).toBe(3);
+    expect(likes.map(l => l.userId)).toEqual(['u3', 'u2']);
+    await expect(likedByUser('post', [1, 2], 'u2')).resolves.toEqual(new Set(['1']));
+    await expect(likedByUser('post', [1], null)).resolves.toEqual(new Set());
+  });
+});
+
+describe('like routes', () => {
+  test('PUT likes, DELETE unlikes and POST toggles', async () => {
+    const put = await request(app).put('/api/dao/posts/1/like').send({ userId: 'u1' });
+    expect(put.body).toMatchObject({ success: true, liked: true, likes: 1 });
+    const toggled = await request(app).post('/api/dao/posts/1/like').set('x-user-id', 'u1');
+    expect(toggled.body).toMatchObject({ liked: false, likes: 0 });
+    const removed = await request(app).delete('/api/dao/comments/10/like').send({ userId: 'u1' });
+    expect(removed.body).toMatchObject({ liked: false, likes: 0 });
+    expect((await request(app).get('/api/dao/posts/1/likes')).body).toMatchObject({ success: true, total: 0 });
+    expect((await request(app).put('/api/dao/posts/2/like').send({ userId: 'u1' })).status).toBe(404);
+  });
+});
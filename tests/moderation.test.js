@@ -0,0 +1,129 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock();
+jest.mock('../lib/supabase', () => mockDb.client);
+
+process.env.MODERATOR_IDS    = 'mod-1';
+process.env.MODERATION_RULES = JSON.stringify({ bannedTerms: ['free crypto'], holdTerms: ['giveaway'], blockedDomains: ['spam.example'] });
+
+const request = require('supertest');
+const { createRuleEngine, DEFAULT_RULES } = require('../lib/moderation/rules');
+const moderation = require('../lib/moderation');
+const app        = require('../server');
+
+const engine = (rules = {}) => createRuleEngine({ ...DEFAULT_RULES, ...rules });
+const ruleNames = verdict => verdict.reasons.map(r => r.rule);
+
+describe('moderation rules', () => {
+  test('allows ordinary posts', () => {
+    expect(engine().evaluate({ userId: 'u1', text: 'Caught M42 last night, seeing was great.' }))
+      .toEqual({ decision: 'allow', reasons: [] });
+  });
+
+  test('matches banned and watched phrases as whole words, through character swaps', () => {
+    const rules = engine({ bannedTerms: ['free crypto'], holdTerms: ['giveaway'] });
+    expect(rules.evaluate({ text: 'FR33 CRYPT0 here' }).decision).toBe('reject');
+    expect(rules.evaluate({ text: 'telescope giveaway!' }).decision).toBe('hold');
+    expect(rules.evaluate({ text: 'giveaways are fun' }).decision).toBe('allow');
+  });
+
+  test('rejects blocked domains and their subdomains, holds too many links', () => {
+    const rules = engine({ blockedDomains: ['spam.example'], maxLinks: 1 });
+    expect(ruleNames(rules.evaluate({ text: 'see https://www.shop.spam.example/deal' }))).toContain('blocked_domain');
+    expect(rules.evaluate({ text: 'see https://notspam.example.org' }).decision).toBe('allow');
+    expect(rules.evaluate({ text: 'https://a.org and https://b.org' })).toMatchObject({ decision: 'hold', reasons: [{ rule: 'links' }] });
+  });
+
+  test('holds shouting and character runs, rejects overlong text', () => {
+    const rules = engine({ maxLength: 50 });
+    expect(ruleNames(rules.evaluate({ text: 'LOOK AT THIS AMAZING COMET EVERYONE' }))).toEqual(['caps']);
+    expect(ruleNames(rules.evaluate({ text: 'wow!!!!!!!!!!!!!!' }))).toEqual(['repeated_chars']);
+    expect(rules.evaluate({ text: 'x '.repeat(30) }).decision).toBe('reject');
+  });
+
+  test('rejects floods and holds duplicates, counting only recorded submissions', () => {
+    const rules = engine({ floodMaxPerWindow: 2, floodWindowMs: 1000 });
+    const now = 1e6;
+    rules.record({ userId: 'u1', text: 'first' }, now);
+    expect(rules.evaluate({ userId: 'u1', text: 'second' }, now + 10).decision).toBe('allow');
+    rules.record({ userId: 'u1', text: 'second' }, now + 10);
+
+    expect(rules.evaluate({ userId: 'u1', text: 'third' }, now + 20)).toMatchObject({ decision: 'reject', reasons: [{ rule: 'flood' }] });
+    expect(rules.evaluate({ userId: 'u2', text: 'third' }, now + 20).decision).toBe('allow');
+    expect(rules.evaluate({ userId: 'u1', text: 'third' }, now + 1010).decision).toBe('allow');
+    expect(rules.evaluate({ userId: 'u1', text: 'SECOND' }, now + 1010)).toMatchObject({ decision: 'hold', reasons: [{ rule: 'duplicate' }] });
+  });
+});
+
+describe('moderate', () => {
+  afterEach(() => moderation.setClassifier(null));
+
+  test('lets the classifier raise a decision but never lower it', async () => {
+    moderation.setClassifier(async () => ({ decision: 'hold', categories: ['spam'], reason: 'looks like an ad' }));
+    await expect(moderation.moderate({ kind: 'post', text: 'nice nebula' })).resolves.toMatchObject({ decision: 'hold', status: 'held' });
+
+    moderation.setClassifier(async () => ({ decision: 'allow', categories: [], reason: '' }));
+    await expect(moderation.moderate({ kind: 'post', text: 'telescope giveaway' })).resolves.toMatchObject({ decision: 'hold' });
+  });
+
+  test('falls back to the rules when the classifier fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    moderation.setClassifier(async () => { throw new Error('timeout'); });
+    await expect(moderation.moderate({ kind: 'post', text: 'nice nebula' })).resolves.toMatchObject({ decision: 'allow', status: 'published' });
+  });
+
+  test('flood rejections are 429, content rejections 422', () => {
+    expect(moderation.rejectionStatus({ reasons: [{ rule: 'flood', action: 'reject' }] })).toBe(429);
+    expect(moderation.rejectionStatus({ reasons: [{ rule: 'banned_terms', action: 'reject' }] })).toBe(422);
+  });
+});
+
+describe('moderation routes', () => {
+  const asModerator = req => req.set('x-user-id', 'mod-1');
+
+  beforeEach(() => mockDb.reset({
+    posts: [
+      { id: 1, user_id: 'u1', text: 'clear skies', moderation_status: 'published', created_at: '2026-10-01T00:00:00Z' },
+    ],
+  }));
+
+  test('hold, queue, approve and audit a post', async () => {
+    const posted = await request(app).post('/api/dao/posts').send({ userId: 'u2', author: 'Vega', text: 'Telescope giveaway tonight' });
+    expect(posted.status).toBe(202);
+    expect(posted.body.post.moderation_status).toBe('held');
+    const id = posted.body.post.id;
+
+    const queue = await asModerator(request(app).get('/api/dao/moderation/queue'));
+    expect(queue.body.items).toEqual([expect.objectContaining({ type: 'post', id, reasons: [expect.objectContaining({ rule: 'watched_terms' })] })]);
+
+    const approved = await asModerator(request(app).post(`/api/dao/moderation/post/${id}/approve`)).send({ note: 'it is a real club event' });
+    expect(approved.status).toBe(200);
+    expect(approved.body.post.moderation_status).toBe('published');
+    expect(mockDb.rows('posts').find(p => p.id === id).moderation_status).toBe('published');
+
+    const again = await asModerator(request(app).post(`/api/dao/moderation/post/${id}/approve`));
+    expect(again.status).toBe(404);
+
+    const audit = await asModerator(request(app).get('/api/dao/moderation/audit').query({ targetId: id }));
+    expect(audit.body.actions.map(a => [a.action, a.actor])).toEqual(expect.arrayContaining([['hold', 'system'], ['approve', 'mod-1']]));
+    expect(audit.body.actions.find(a => a.action === 'approve').note).toBe('it is a real club event');
+  });
+
+  test('rejects banned content without storing it and logs the rejection', async () => {
+    const res = await request(app).post('/api/dao/posts').send({ userId: 'u3', text: 'free crypto for all' });
+    expect(res.status).toBe(422);
+    expect(mockDb.rows('posts')).toHaveLength(1);
+    expect(mockDb.rows('moderation_actions')).toEqual([expect.objectContaining({ action: 'reject', target_id: null, user_id: 'u3' })]);
+  });
+
+  test('removes a published post', async () => {
+    const res = await asModerator(request(app).post('/api/dao/moderation/post/1/remove'));
+    expect(res.body.post.moderation_status).toBe('removed');
+  });
+
+  test('is for moderators only', async () => {
+    const res = await request(app).get('/api/dao/moderation/queue').set('x-user-id', 'u1');
+    expect(res.status).toBe(403);
+    expect((await asModerator(request(app).get('/api/dao/moderation/queue').query({ type: 'poll' }))).status).toBe(400);
+  });
+});
@@ -0,0 +1,141 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock({
+  unique:   { likes: ['target_type', 'target_id', 'user_id'] },
+  // the column defaults of the notifications table
+  triggers: { notifications: { insert: row => { row.updated_at ??= row.created_at; row.read_at ??= null; } } },
+});
+jest.mock('../lib/supabase', () => mockDb.client);
+
+process.env.NOTIFICATION_LIKE_BATCH_MS = String(60 * 1000);
+
+const request       = require('supertest');
+const notifications = require('../lib/notifications');
+const app           = require('../server');
+
+const inbox = userId => mockDb.rows('notifications').filter(n => n.user_id === userId);
+const ago   = ms => new Date(Date.now() - ms).toISOString();
+
+beforeEach(() => mockDb.reset({
+  posts: [
+    { id: 1, user_id: 'poster', author: 'Vega', text: 'Comet C/2026 A1 tonight', likes: 0, moderation_status: 'published', created_at: ago(5000) },
+  ],
+  comments: [
+    { id: 10, post_id: 1, parent_id: null, user_id: 'commenter', author: 'Deneb', text: 'Got it too', likes: 0, moderation_status: 'published', created_at: ago(4000) },
+  ],
+}));
+
+describe('comments and replies', () => {
+  test('a top-level comment notifies the post author', async () => {
+    await notifications.notifyComment({ id: 11, post_id: 1, parent_id: null, user_id: 'u1', author: 'Altair', text: 'Lovely tail' });
+    expect(inbox('poster')).toEqual([expect.objectContaining({
+      type: 'comment', target_type: 'comment', target_id: '11', post_id: '1', actors: [{ id: 'u1', name: 'Altair' }], excerpt: 'Lovely tail',
+    })]);
+  });
+
+  test('a reply notifies the parent comment\'s author, not the post author', async () => {
+    await notifications.notifyComment({ id: 12, post_id: 1, parent_id: 10, user_id: 'u1', author: 'Altair', text: 'Same here' });
+    expect(inbox('commenter')).toEqual([expect.objectContaining({ type: 'reply', target_id: '12' })]);
+    expect(inbox('poster')).toEqual([]);
+  });
+
+  test('nobody is notified about their own activity', async () => {
+    await notifications.notifyComment({ id: 13, post_id: 1, parent_id: null, user_id: 'poster', author: 'Vega', text: 'Thanks @Vega' });
+    await notifications.notifyLike('post', mockDb.rows('posts')[0], { id: 'poster', name: 'Vega' });
+    expect(mockDb.rows('notifications')).toEqual([]);
+  });
+});
+
+describe('mentions', () => {
+  test('notify the members posting under the mentioned names, once each', async () => {
+    await notifications.notifyComment({ id: 14, post_id: 1, parent_id: 10, user_id: 'u1', author: 'Altair', text: '@Deneb @Vega @Nobody look' });
+    expect(inbox('commenter').map(n => n.type)).toEqual(['reply']); // replied to and mentioned: one notification
+    expect(inbox('poster')).toEqual([expect.objectContaining({ type: 'mention', target_type: 'comment', target_id: '14' })]);
+    expect(mockDb.rows('notifications')).toHaveLength(2);
+  });
+
+  test('work in posts too', async () => {
+    await notifications.notifyPost({ id: 2, user_id: 'u1', author: 'Altair', text: 'Thanks @Deneb for the tip' });
+    expect(inbox('commenter')).toEqual([expect.objectContaining({ type: 'mention', target_type: 'post', post_id: '2' })]);
+  });
+});
+
+describe('like batching', () => {
+  const post = () => mockDb.rows('posts')[0];
+  const like = (id, name) => notifications.notifyLike('post', post(), { id, name });
+
+  test('collects likes on one item into one unread notification', async () => {
+    await like('a', 'Altair');
+    await like('b', 'Mira');
+    await like('a', 'Altair');
+    await like('c', 'Rigel');
+    expect(inbox('poster')).toHaveLength(1);
+    const { notifications: [n] } = await notifications.listNotifications('poster');
+    expect(n.actors.map(a => a.id)).toEqual(['c', 'b', 'a']);
+    expect(n.message).toBe('Rigel and 2 others liked your post');
+  });
+
+  test('starts a new notification once the batch is read or its window has passed', async () => {
+    await like('a', 'Altair');
+    await notifications.markRead('poster', null);
+    await like('b', 'Mira');
+    inbox('poster')[1].updated_at = ago(2 * 60 * 1000);
+    await like('c', 'Rigel');
+    expect(inbox('poster').map(n => n.actors.map(a => a.id))).toEqual([['a'], ['b'], ['c']]);
+  });
+
+  test('the like routes notify only when a like was added', async () => {
+    const spy = jest.spyOn(notifications, 'notifyLike');
+    await request(app).put('/api/dao/posts/1/like').send({ userId: 'a', author: 'Altair' });
+    await request(app).put('/api/dao/posts/1/like').send({ userId: 'a', author: 'Altair' });
+    await request(app).delete('/api/dao/posts/1/like').send({ userId: 'a' });
+    expect(spy).toHaveBeenCalledTimes(1);
+    spy.mockRestore();
+  });
+});
+
+describe('reading', () => {
+  beforeEach(async () => {
+    await notifications.notifyComment({ id: 11, post_id: 1, parent_id: null, user_id: 'u1', author: 'Altair', text: 'one' });
+    await notifications.notifyComment({ id: 12, post_id: 1, parent_id: null, user_id: 'u2', author: 'Mira', text: 'two' });
+  });
+
+  test('marks everything unread as read, or chosen ids read or unread', async () => {
+    const [first, second] = inbox('poster');
+    await expect(notifications.markRead('poster', null)).resolves.toEqual({ updated: 2, unread: 0 });
+    await expect(notifications.markRead('poster', [first.id], false)).resolves.toEqual({ updated: 1, unread: 1 });
+    expect(inbox('poster').map(n => n.read_at === null)).toEqual([true, false]);
+    await expect(notifications.markRead('poster', [first.id, second.id])).resolves.toMatchObject({ unread: 0 });
+    await expect(notifications.markRead('someone-else', [first.id])).resolves.toEqual({ updated: 0, unread: 0 });
+  });
+
+  test('lists newest first with the unread count and filters', async () => {
+    const page = await notifications.listNotifications('poster', { unread: 'true', limit: 1 });
+    expect(page).toMatchObject({ unread: 2, notifications: [{ excerpt: 'two', read: false }] });
+    expect(page.nextBefore).toEqual(expect.any(String));
+    await expect(notifications.listNotifications('poster', { type: 'bogus' })).rejects.toMatchObject({ status: 400 });
+    await expect(notifications.markRead('poster', [])).rejects.toMatchObject({ status: 400 });
+    await expect(notifications.markRead(null, null)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('tells subscribers about new notifications and read changes', async () => {
+    const events = [];
+    const unsubscribe = notifications.subscribe('poster', e => events.push(e.event));
+    await notifications.notifyComment({ id: 13, post_id: 1, parent_id: null, user_id: 'u3', text: 'three' });
+    await notifications.markRead('poster', null);
+    unsubscribe();
+    await notifications.markRead('poster', null);
+    expect(events).toEqual(['notification', 'read']);
+  });
+
+  test('serves members whose ids look like emitter events', async () => {
+    mockDb.rows('posts')[0].user_id = 'error';
+    const heard = [];
+    await notifications.notifyComment({ id: 14, post_id: 1, parent_id: null, user_id: 'u1', text: 'hi' });
+    const unsubscribe = notifications.subscribe('newListener', e => heard.push(e.event));
+    await notifications.markRead('newListener', null);
+    unsubscribe();
+    expect(inbox('error')).toHaveLength(1);
+    expect(heard).toEqual(['read']);
+  });
+});
@@ -0,0 +1,51 @@
+jest.mock('axios', () => {
+  const axios = jest.fn();
+  axios.isCancel = () => false;
+  return axios;
+});
+
+const axios = require('axios');
+const { NovaClient } = require('../lib/solvers/nova');
+
+// Everything a multipart body stream sends.
+const drain = stream => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+  stream.resume();
+});
+
+describe('NovaClient.upload', () => {
+  beforeEach(() => axios.mockReset());
+
+  test('rebuilds the multipart body for every retry', async () => {
+    const bodies = [];
+    axios.mockImplementation(async ({ data }) => {
+      bodies.push(await drain(data));
+      if (bodies.length === 1) throw Object.assign(new Error('Service Unavailable'), { response: { status: 503 } });
+      return { data: { status: 'success', subid: 77 } };
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const client = new NovaClient({ apiKey: 'key', baseUrl: 'http://nova.test' });
+    client.session = { key: 'session-1', expiresAt: Infinity };
+    const image  = Buffer.from('fake image bytes');
+
+    await expect(client.upload(image, { filename: 'field.jpg' })).resolves.toBe(77);
+    expect(axios).toHaveBeenCalledTimes(2);
+    expect(bodies[1].length).toBeGreaterThan(image.length);
+    expect(bodies[1].includes(image)).toBe(true);
+    expect(bodies[1].includes('session-1')).toBe(true);
+    expect(bodies[1].length).toBe(bodies[0].length);
+  });
+
+  test('does not retry a rejected image', async () => {
+    axios.mockRejectedValue(Object.assign(new Error('Unsupported Media Type'), { response: { status: 415 } }));
+    const client = new NovaClient({ apiKey: 'key', baseUrl: 'http://nova.test' });
+    client.session = { key: 'session-1', expiresAt: Infinity };
+
+    await expect(client.upload(Buffer.from('x'))).rejects.toMatchObject({ code: 'BAD_IMAGE' });
+    expect(axios).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,115 @@
+// The discovery pipeline end to end without a network: the fixture plate
+// solver answers with its recorded calibration and the survey cutouts are
+// rendered here from the same star list the observation is rendered from.
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../lib/supabase', () => ({
+  storage: { from: () => ({ upload: async () => ({ error: new Error('storage offline') }) }) },
+}));
+
+process.env.PLATE_SOLVER = 'fixture';
+
+// a full-size comparison takes several seconds on a slow machine
+jest.setTimeout(60 * 1000);
+
+const axios = require('axios');
+const Jimp  = require('jimp');
+const { runDiscovery }       = require('../lib/pipeline');
+const { referenceGeometry }  = require('../lib/registration');
+const { skyToPixel, wcsFromCalibration, angularSeparation } = require('../lib/wcs');
+const recorded = require('../lib/solvers/fixtures/calibrations.json').default;
+
+const OBS_SIZE = 720; // about the recorded field radius at the recorded plate scale
+
+let seed = 42;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+// Deterministic star list around the recorded field centre.
+function starField(count) {
+  return Array.from({ length: count }, () => ({
+    ra:   recorded.ra + (random() - 0.5) * 0.4 / Math.cos(recorded.dec * Math.PI / 180),
+    dec:  recorded.dec + (random() - 0.5) * 0.4,
+    peak: 120 + random() * 120,
+  }));
+}
+
+// Renders stars as Gaussians of a fixed angular width onto a noisy sky
+// background, on a frame with the given WCS.
+function render(stars, wcs, width, height, pixscale) {
+  const image = new Jimp(width, height, 0x000000ff);
+  image.scan(0, 0, width, height, (x, y, idx) => {
+    const sky = 20 + Math.round((random() + random() + random() - 1.5) * 4);
+    image.bitmap.data[idx] = image.bitmap.data[idx + 1] = image.bitmap.data[idx + 2] = sky;
+  });
+  const sigma = 4 / pixscale; // 4″
+  for (const star of stars) {
+    const p = skyToPixel(wcs, star.ra, star.dec);
+    if (!p) continue;
+    const reach = Math.ceil(4 * sigma);
+    for (let y = Math.floor(p.y - reach); y <= p.y + reach; y++) {
+      for (let x = Math.floor(p.x - reach); x <= p.x + reach; x++) {
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+        const idx = (y * width + x) * 4;
+        const v   = Math.min(255, image.bitmap.data[idx] + star.peak * Math.exp(-((x - p.x) ** 2 + (y - p.y) ** 2) / (2 * sigma * sigma)));
+        image.bitmap.data[idx] = image.bitmap.data[idx + 1] = image.bitmap.data[idx + 2] = v;
+      }
+    }
+  }
+  return image;
+}
+
+function fakeJob() {
+  const stages = [];
+  const files  = new Map();
+  return {
+    id:         'test-job',
+    signal:     new AbortController().signal,
+    stages,
+    files,
+    progress:   stage => { stages.push(stage); },
+    attachFile: (name, contentType, buffer) => { files.set(name, buffer); return `/files/${name}`; },
+  };
+}
+
+describe('runDiscovery', () => {
+  const stars     = starField(60);
+  const transient = { ra: recorded.ra + 0.05, dec: recorded.dec - 0.04, peak: 230 };
+  const reference = referenceGeometry(recorded);
+  let observation;
+  let cutout;
+  let blank;
+
+  beforeAll(async () => {
+    const obsWcs = wcsFromCalibration(recorded, OBS_SIZE, OBS_SIZE);
+    observation  = await render([...stars, transient], obsWcs, OBS_SIZE, OBS_SIZE, recorded.pixscale).getBufferAsync(Jimp.MIME_PNG);
+    cutout       = await render(stars, reference.wcs, reference.pixels, reference.pixels, reference.pixscale).getBufferAsync(Jimp.MIME_PNG);
+    blank        = await new Jimp(reference.pixels, reference.pixels, 0x202020ff).getBufferAsync(Jimp.MIME_PNG);
+  });
+
+  beforeEach(() => axios.get.mockReset());
+
+  test('solves with the fixture solver and finds the new source', async () => {
+    axios.get.mockResolvedValue({ data: cutout });
+    const job    = fakeJob();
+    const result = await runDiscovery(job, { imageBuffer: observation, filename: 'field.png', surveys: ['dss2-red'], outputs: ['fits'] });
+
+    expect(result.solver).toBe('fixture');
+    expect(result.coords).toEqual({ ra: recorded.ra.toFixed(4), dec: recorded.dec.toFixed(4) });
+    expect(result.reference.survey).toBe('dss2-red');
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('skyview'), expect.any(Object));
+    expect(job.stages).toEqual(expect.arrayContaining(['solving', 'reference', 'comparison', 'catalog', 'classification', 'artifacts', 'output']));
+
+    const nearest = Math.min(...result.candidates.map(c => angularSeparation(c.ra, c.dec, transient.ra, transient.dec) * 3600));
+    expect(nearest).toBeLessThan(15);
+    expect(result.artifacts.storage).toBe('job');
+    expect(job.files.has('difference.fits')).toBe(true);
+  });
+
+  test('falls back to the next survey when a cutout is blank', async () => {
+    axios.get.mockResolvedValueOnce({ data: blank }).mockResolvedValueOnce({ data: cutout });
+    const result = await runDiscovery(fakeJob(), { imageBuffer: observation, surveys: ['dss2-blue', 'dss2-red'], useCache: false });
+
+    expect(result.reference.survey).toBe('dss2-red');
+    expect(result.reference.skipped).toEqual([{ survey: 'dss2-blue', reason: 'blank cutout' }]);
+  });
+});
@@ -0,0 +1,81 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+const mockDb = createSupabaseMock();
+jest.mock('../lib/supabase', () => mockDb.client);
+
+const { submitReview, statusFor, countVerdicts, STATUS, thresholds } = require('../lib/reviews');
+
+const counts = (confirm, falsePositive = 0, needsData = 0) => ({ confirm, false_positive: falsePositive, needs_data: needsData });
+const REASON = 'Checked against a second-epoch plate.';
+
+describe('statusFor', () => {
+  test('stays pending without votes and under review below the thresholds', () => {
+    expect(statusFor(counts(0))).toBe(STATUS.PENDING);
+    expect(statusFor(counts(0, 0, 4))).toBe(STATUS.UNDER_REVIEW);
+    expect(statusFor(counts(2))).toBe(STATUS.UNDER_REVIEW);
+    expect(statusFor(counts(0, 2))).toBe(STATUS.UNDER_REVIEW);
+  });
+
+  test('confirms or rejects once enough decisive votes agree', () => {
+    expect(statusFor(counts(3))).toBe(STATUS.CONFIRMED);
+    expect(statusFor(counts(0, 3, 5))).toBe(STATUS.REJECTED);
+    expect(statusFor(counts(5, 2))).toBe(STATUS.CONFIRMED);   // 71% agree
+    expect(statusFor(counts(4, 2))).toBe(STATUS.UNDER_REVIEW); // 67% is just short of 0.67
+    expect(statusFor(counts(3, 3))).toBe(STATUS.UNDER_REVIEW);
+  });
+
+  test('follows the thresholds it is given', () => {
+    const lenient = { ...thresholds, minConfirmations: 1, minAgreement: 0.5 };
+    expect(statusFor(counts(1, 1), lenient)).toBe(STATUS.CONFIRMED);
+  });
+
+  test('counts verdicts', () => {
+    expect(countVerdicts([{ verdict: 'confirm' }, { verdict: 'needs_data' }, { verdict: 'confirm' }])).toEqual(counts(2, 0, 1));
+  });
+});
+
+describe('submitReview', () => {
+  beforeEach(() => mockDb.reset({
+    discoveries: [
+      { id: 'd1', user_id: 'finder', review_status: STATUS.PENDING, review_counts: counts(0) },
+      { id: 'done', user_id: 'finder', review_status: STATUS.CONFIRMED, review_counts: counts(3) },
+    ],
+  }));
+
+  const review = (reviewerId, verdict = 'confirm', justification = REASON) => submitReview('d1', { reviewerId, verdict, justification });
+
+  test('moves the discovery from pending through review to confirmed', async () => {
+    const first = await review('r1');
+    expect(first.discovery).toEqual({ id: 'd1', reviewStatus: STATUS.UNDER_REVIEW, counts: counts(1), changed: true });
+    expect((await review('r2')).discovery.changed).toBe(false);
+
+    const third = await review('r3');
+    expect(third.discovery).toMatchObject({ reviewStatus: STATUS.CONFIRMED, changed: true });
+    expect(mockDb.rows('discoveries')[0]).toMatchObject({ review_status: STATUS.CONFIRMED, review_counts: counts(3) });
+    expect(mockDb.rows('discoveries')[0].reviewed_at).toEqual(expect.any(String));
+  });
+
+  test('replaces a reviewer\'s earlier review instead of adding one', async () => {
+    await review('r1', 'confirm');
+    const changed = await review('r1', 'false_positive');
+    expect(changed.discovery.counts).toEqual(counts(0, 1));
+    expect(mockDb.rows('discovery_reviews')).toHaveLength(1);
+  });
+
+  test('blocks reviewing your own discovery', async () => {
+    await expect(review('finder')).rejects.toMatchObject({ name: 'ReviewError', status: 403 });
+    expect(mockDb.rows('discovery_reviews')).toHaveLength(0);
+  });
+
+  test('refuses reviews once the status is final', async () => {
+    await expect(submitReview('done', { reviewerId: 'r1', verdict: 'false_positive', justification: REASON }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  test('validates the verdict, justification and discovery', async () => {
+    await expect(review(null)).rejects.toMatchObject({ status: 400 });
+    await expect(review('r1', 'maybe')).rejects.toMatchObject({ status: 400 });
+    await expect(review('r1', 'confirm', 'looks ok')).rejects.toMatchObject({ status: 400 });
+    await expect(submitReview('nope', { reviewerId: 'r1', verdict: 'confirm', justification: REASON })).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,110 @@
+const { createSupabaseMock } = require('./helpers/supabase');
+
+// search_dao ranks in the database; here it hands back a page of canned hits
+// and remembers what it was asked.
+const calls = [];
+const mockDb = createSupabaseMock({
+  rpc: {
+    search_dao: (args, db) => {
+      calls.push(args);
+      const hits = db.rows('hits');
+      return hits.slice(args.p_offset, args.p_offset + args.p_limit)
+        .map(({ score, ...item }) => ({ item, score, total: hits.length }));
+    },
+  },
+});
+jest.mock('../lib/supabase', () => mockDb.client);
+
+const { search, backfillAnnotations, snippet, findMatches, queryTerms } = require('../lib/search');
+
+const hit = (id, text, extra = {}) => ({ type: 'post', id, user_id: 'u1', author: 'Vega', text, score: 1 / id, ...extra });
+
+beforeEach(() => {
+  calls.length = 0;
+  mockDb.reset({
+    hits: [
+      hit(1, 'Orion Nebula (M 42) through the <new> scope'),
+      hit(2, 'M42 again, and the Running Man', { type: 'comment', post_id: 1 }),
+      hit(3, 'Galaxies in Leo'),
+    ],
+  });
+});
+
+describe('search', () => {
+  test('passes the query, filters and page to search_dao', async () => {
+    await search({ q: 'M42 -moon', type: 'comment', tag: '#OrionNebula', object: 'Orion Nebula', author: '50%_off', authorId: 'u1', from: '2026-10-01', limit: 500 });
+    expect(calls).toEqual([{
+      p_query:     'M42 -moon',
+      p_types:     ['comment'],
+      p_tag:       'm42',
+      p_object:    'NGC 1976',
+      p_author:    '50\\%\\_off',
+      p_author_id: 'u1',
+      p_from:      '2026-10-01T00:00:00.000Z',
+      p_to:        null,
+      p_sort:      'relevance',
+      p_limit:     50,
+      p_offset:    0,
+    }]);
+    await search({ tag: 'widefield' });
+    expect(calls[1]).toMatchObject({ p_query: null, p_types: ['post', 'comment'], p_sort: 'new', p_limit: 20 });
+  });
+
+  test('returns the page in the database\'s order with snippets and the total', async () => {
+    const first = await search({ q: 'm42 nebula', limit: 2 });
+    expect(first.results.map(r => [r.type, r.id])).toEqual([['post', 1], ['comment', 2]]);
+    expect(first.results[0].snippet).toBe('Orion <mark>Nebula</mark> (<mark>M 42</mark>) through the &lt;new&gt; scope');
+    expect(first).toMatchObject({ total: 3, nextOffset: 2, query: { terms: ['m42', 'nebula'] } });
+
+    const last = await search({ q: 'm42 nebula', limit: 2, offset: first.nextOffset });
+    expect(last.results.map(r => r.id)).toEqual([3]);
+    expect(last.nextOffset).toBeNull();
+  });
+
+  test('rejects bad parameters with a 400', async () => {
+    const bad = [{}, { q: 'x', type: 'poll' }, { q: 'x', sort: 'top' }, { q: 'x'.repeat(201) }, { object: 'Planet X' }, { q: 'x', from: 'soon' }];
+    for (const params of bad) await expect(search(params)).rejects.toMatchObject({ name: 'SearchError', status: 400 });
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('highlighting', () => {
+  test('marks stems and designations, never excluded words', () => {
+    const terms = queryTerms('galaxies ngc1976 -leo or "spiral"');
+    expect(terms.map(t => t.term)).toEqual(['galaxies', 'ngc1976', 'spiral']);
+    const text = 'A spiral galaxy near NGC 1976 in Leo';
+    expect(snippet(text, findMatches(text, terms))).toBe('A <mark>spiral</mark> <mark>galaxy</mark> near <mark>NGC 1976</mark> in Leo');
+  });
+
+  test('cuts long text around the first match at word boundaries', () => {
+    const text = `${'word '.repeat(60)}comet ${'tail '.repeat(60)}`.trim();
+    const html = snippet(text, findMatches(text, queryTerms('comet')));
+    expect(html).toMatch(/^…word .*<mark>comet<\/mark> tail.*…$/);
+    expect(html.length).toBeLessThan(230);
+  });
+});
+
+describe('backfillAnnotations', () => {
+  test('annotates only rows without annotations, across batches', async () => {
+    mockDb.reset({
+      posts: [
+        ...Array.from({ length: 120 }, (_, i) => ({ id: i + 1, text: `#M42 night ${i}`, tags: [], objects: [], annotated_at: null })),
+        { id: 500, text: '#widefield', tags: ['kept'], objects: [], annotated_at: '2026-10-19T00:00:00Z' },
+      ],
+      comments: [{ id: 7, text: 'The Whirlpool Galaxy at last', tags: [], objects: [] }],
+    });
+    await expect(backfillAnnotations()).resolves.toEqual({ posts: 120, comments: 1 });
+
+    const posts = mockDb.rows('posts');
+    expect(posts[119]).toMatchObject({ tags: ['m42'], objects: ['NGC 1976'], annotated_at: expect.any(String) });
+    expect(posts[120].tags).toEqual(['kept']);
+    expect(mockDb.rows('comments')[0].objects).toEqual(['NGC 5194']);
+    await expect(backfillAnnotations()).resolves.toEqual({ posts: 0, comments: 0 });
+  });
+
+  test('stops on a database error', async () => {
+    mockDb.reset({ posts: [{ id: 1, text: '#M42', annotated_at: null }] });
+    mockDb.fail('posts', 'update', { message: 'permission denied' });
+    await expect(backfillAnnotations()).rejects.toMatchObject({ message: 'permission denied' });
+  });
+});
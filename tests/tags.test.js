@@ -0,0 +1,47 @@
+const { annotate, extractObjects, extractHashtags, extractMentions } = require('../lib/tags');
+const { resolveNames } = require('../lib/catalogs');
+
+describe('extractObjects', () => {
+  test('finds designations, names and hashtags', () => {
+    expect(extractObjects('M42 and NGC 7000 tonight')).toEqual(['NGC 1976', 'NGC 7000']);
+    expect(extractObjects('Stacked the Whirlpool Galaxy, #M31 next')).toEqual(['NGC 224', 'NGC 5194']);
+    expect(extractObjects('ngc 1976 through haze')).toEqual(['NGC 1976']);
+  });
+
+  test('ignores a lower-case m and an M after an apostrophe or letter', () => {
+    expect(extractObjects("I'm 2 hours late")).toEqual([]);
+    expect(extractObjects('I’m 3 minutes out')).toEqual([]);
+    expect(extractObjects('m 2 ok')).toEqual([]);
+    expect(extractObjects('FM 3 radio')).toEqual([]);
+  });
+
+  test('does not read names out of mentions or hashtags', () => {
+    expect(extractObjects('thanks @Orion_Hunter')).toEqual([]);
+    expect(extractObjects('#Orion_Hunter strikes again')).toEqual([]);
+    expect(extractMentions('thanks @Orion_Hunter')).toEqual(['Orion_Hunter']);
+  });
+
+  test('needs whole words, with underscores and digits counting as word characters', () => {
+    expect(extractObjects('Vega_fan and Whirlpool2')).toEqual([]);
+    expect(extractObjects('Vega rising')).toEqual(['HIP 91262']);
+  });
+
+  test('does not match one-word short forms in running text', () => {
+    expect(extractObjects('orion rising over the hills')).toEqual([]);
+    expect(extractObjects('Helix nebula in the east')).toEqual(['NGC 7293']);
+    expect(extractObjects('North America under dark skies')).toEqual(['NGC 7000']);
+  });
+});
+
+describe('hashtags', () => {
+  test('file object hashtags under the object tag', () => {
+    expect(extractHashtags('#OrionNebula #NGC1976 #M42 #widefield')).toEqual(['m42', 'widefield']);
+    expect(annotate('#Orion_Hunter at M 13')).toEqual({ tags: ['orion_hunter'], objects: ['NGC 6205'] });
+  });
+});
+
+describe('resolveNames', () => {
+  test('gives casual text no objects', () => {
+    expect(resolveNames("I'm 3 and m 2 and I m 5")).toEqual([]);
+  });
+});